@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+// Command-line front end for formatter.js, so CI and pre-commit hooks produce exactly the
+// output the web UI does.
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  format, minify, convert, compare, normalizeFormatOptions, fileExtension, fileFormat, detectFormat,
+  decodeFileBytes, encodeFileText, outputFileName, describeDiff, summarizeDiffs, pluralize, FormatError, DATA_FORMATS,
+} from '../formatter.js';
+
+const USAGE = `Usage: devformat <command> [options] [files...]
+
+Commands:
+  fmt                 Format files and print the result (or rewrite them with --write)
+  check               List files that aren't formatted; same as fmt --check
+  convert --to <fmt>  Convert to another format and print the result (or write a sibling file with --write)
+  diff <a> <b>        Structural diff of two JSON/YAML files
+
+With no files, or "-", input is read from stdin.
+
+Options:
+  --check                   Don't print; exit 1 if any file would change
+  -w, --write               Write results to disk
+  --to <fmt>                Target format for convert: json, yaml, toml, xml, csv or env
+  --format <fmt>            Input format (default: by extension, else sniffed as json or yaml)
+  --lenient                 Accept JSON5/JSONC input (on by default for .jsonc and .json5)
+  --ndjson                  Read JSON input as one record per line (on by default for .ndjson and .jsonl)
+  --lossless                Keep big integers and exact decimals as written in JSON output
+  --minify                  Minify JSON instead of pretty-printing it
+  --indent <n|tab>          Indent width, or tab (JSON and XML)                [2]
+  --sort-keys <mode>        none, natural or locale                             [none]
+  --final-newline           End output with a newline       [as the input does]
+  --no-final-newline        End output without a newline
+  --quote-style <style>     YAML: preserve, plain, single or double             [preserve]
+  --collection-style <s>    YAML: any, block or flow                            [any]
+  --line-width <n>          YAML: fold long strings at n columns, 0 disables    [0]
+  --no-indent-seq           YAML: don't indent sequences inside maps
+  --ignore-key-order        diff: treat maps with the same entries as equal
+  --ignore-array-order      diff: treat arrays as unordered
+  -h, --help                Show this help
+
+Exit codes: 0 success · 1 files need formatting or documents differ · 2 invalid input or usage error`;
+
+const OPTIONS = {
+  check: { type: 'boolean' },
+  write: { type: 'boolean', short: 'w' },
+  to: { type: 'string' },
+  format: { type: 'string' },
+  lenient: { type: 'boolean' },
+  ndjson: { type: 'boolean' },
+  lossless: { type: 'boolean' },
+  minify: { type: 'boolean' },
+  indent: { type: 'string' },
+  'sort-keys': { type: 'string' },
+  'final-newline': { type: 'boolean' },
+  'no-final-newline': { type: 'boolean' },
+  'quote-style': { type: 'string' },
+  'collection-style': { type: 'string' },
+  'line-width': { type: 'string' },
+  'no-indent-seq': { type: 'boolean' },
+  'ignore-key-order': { type: 'boolean' },
+  'ignore-array-order': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+class UsageError extends Error { }
+
+const FORMAT_NAMES = Object.keys(DATA_FORMATS).join(', ').replace(/, (\w+)$/, ' or $1');
+
+const STDIN = '-';
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return new Uint8Array(Buffer.concat(chunks));
+}
+
+// `{ name, text, encoding, bom, eol, format, lenient, ndjson }` for a path, or stdin for "-"
+async function readInput(file, flags) {
+  const bytes = file === STDIN ? await readStdin() : new Uint8Array(await readFile(file));
+  const decoded = decodeFileBytes(bytes);
+  const name = file === STDIN ? '<stdin>' : file;
+  const fmt = flags.format ?? (file === STDIN ? detectFormat(decoded.text) : fileFormat(file, decoded.text));
+  if (!Object.hasOwn(DATA_FORMATS, fmt)) throw new UsageError(`Unknown format "${fmt}" (expected ${FORMAT_NAMES})`);
+  const lenient = flags.lenient || ['jsonc', 'json5'].includes(fileExtension(name));
+  const ndjson = flags.ndjson || ['ndjson', 'jsonl'].includes(fileExtension(name));
+  return { ...decoded, name, file, format: fmt, lenient, ndjson };
+}
+
+const READ_ERRORS = { ENOENT: 'No such file', EISDIR: 'Is a directory', EACCES: 'Permission denied' };
+
+// A file that can't be read is reported and skipped (null), so the rest still get processed
+async function tryReadInput(file, flags) {
+  try {
+    return await readInput(file, flags);
+  } catch (err) {
+    if (!err.code) throw err;
+    process.stderr.write(`${file}: ${READ_ERRORS[err.code] ?? err.message}\n`);
+    return null;
+  }
+}
+
+// normalizeFormatOptions quietly falls back to defaults, which would hide a typo here
+function integerFlag(flags, name, min, max = Infinity) {
+  const value = flags[name];
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!/^\d+$/.test(value) || n < min || n > max) {
+    const range = max === Infinity ? `of at least ${min}` : `from ${min} to ${max}`;
+    throw new UsageError(`--${name} needs a whole number ${range}, not "${value}"`);
+  }
+  return n;
+}
+
+// Unless a flag says otherwise, output ends with a newline when the input did, so files
+// saved by an editor check as formatted and --write leaves their last line alone
+function formatOptions(flags, input) {
+  let finalNewline = input.text.endsWith('\n');
+  if (flags['final-newline']) finalNewline = true;
+  else if (flags['no-final-newline']) finalNewline = false;
+  return normalizeFormatOptions({
+    indent: flags.indent === 'tab' ? 'tab' : integerFlag(flags, 'indent', 1, 8),
+    sortKeys: flags['sort-keys'],
+    finalNewline,
+    quoteStyle: flags['quote-style'],
+    collectionStyle: flags['collection-style'],
+    lineWidth: integerFlag(flags, 'line-width', 0),
+    indentSeq: !flags['no-indent-seq'],
+  });
+}
+
+// Prints exactly what the UI would show; only a result followed by another file's gets a
+// newline added, so several files don't run together
+function printOutput(output, last) {
+  process.stdout.write(output);
+  if (!last && !output.endsWith('\n')) process.stdout.write('\n');
+}
+
+function reportError(name, err) {
+  if (!(err instanceof FormatError)) throw err;
+  const what = err.format ? `Invalid ${err.format.toUpperCase()}` : 'Error';
+  process.stderr.write(`${name}: ${what}${err.location ? ` · ${err.location}` : ''} — ${err.message}\n`);
+}
+
+// Warnings name the web UI's Lossless toggle; here it's a flag
+function reportWarnings(name, warnings) {
+  for (const warning of warnings) {
+    const text = warning.replace('turn on Lossless', 'pass --lossless').replace(/^Lossless /, '--lossless ');
+    process.stderr.write(`${name}: ${text}\n`);
+  }
+}
+
+async function runFormat(files, flags) {
+  const check = flags.check;
+  let failed = 0;
+  let unformatted = 0;
+
+  for (const file of files) {
+    const input = await tryReadInput(file, flags);
+    if (!input) {
+      failed++;
+      continue;
+    }
+    const options = formatOptions(flags, input);
+    let result;
+    try {
+      const run = flags.minify ? minify : format;
+      result = run(input.text, { format: input.format, ndjson: input.ndjson, lenient: input.lenient, exact: flags.lossless, options });
+    } catch (err) {
+      reportError(input.name, err);
+      failed++;
+      continue;
+    }
+    reportWarnings(input.name, result.warnings);
+
+    // The encoder restores CRLF endings, so compare against LF-normalized input
+    const changed = result.output !== input.text.replace(/\r\n/g, '\n');
+    if (check) {
+      if (changed) {
+        process.stderr.write(`${input.name}: not formatted\n`);
+        unformatted++;
+      }
+    } else if (flags.write && file !== STDIN) {
+      if (changed) await writeFile(file, encodeFileText(result.output, input));
+    } else {
+      printOutput(result.output, file === files.at(-1));
+    }
+  }
+
+  if (check && !failed) {
+    process.stderr.write(unformatted
+      ? `${unformatted} of ${pluralize(files.length, 'file')} ${unformatted === 1 ? 'needs' : 'need'} formatting\n`
+      : `All ${pluralize(files.length, 'file')} formatted\n`);
+  }
+  return failed ? 2 : unformatted ? 1 : 0;
+}
+
+async function runConvert(files, flags) {
+  if (!Object.hasOwn(DATA_FORMATS, flags.to)) throw new UsageError(`convert needs --to ${FORMAT_NAMES}`);
+  let failed = 0;
+
+  for (const file of files) {
+    const input = await tryReadInput(file, flags);
+    if (!input) {
+      failed++;
+      continue;
+    }
+    const options = formatOptions(flags, input);
+    let result;
+    try {
+      const { format: from, ndjson, lenient } = input;
+      result = convert(input.text, flags.to, { from, ndjson, lenient, exact: flags.lossless, options });
+    } catch (err) {
+      reportError(input.name, err);
+      failed++;
+      continue;
+    }
+    reportWarnings(input.name, result.warnings);
+
+    if (flags.write && file !== STDIN) {
+      const target = path.join(path.dirname(file), outputFileName(path.basename(file), flags.to));
+      await writeFile(target, encodeFileText(result.output, input));
+      process.stderr.write(`${file} → ${target}\n`);
+    } else {
+      printOutput(result.output, file === files.at(-1));
+    }
+  }
+  return failed ? 2 : 0;
+}
+
+async function runDiff(files, flags) {
+  if (files.length !== 2) throw new UsageError('diff needs exactly two files');
+  if (files[0] === STDIN && files[1] === STDIN) throw new UsageError('Only one side of a diff can be stdin');
+  const [left, right] = await Promise.all(files.map(file => tryReadInput(file, flags)));
+  if (!left || !right) return 2;
+  const other = [left, right].find(input => !['json', 'yaml'].includes(input.format));
+  if (other) throw new UsageError(`diff compares JSON and YAML; ${other.name} is ${DATA_FORMATS[other.format]}`);
+
+  let result;
+  try {
+    result = compare(left.text, right.text, {
+      leftFormat: left.format,
+      rightFormat: right.format,
+      ignoreKeyOrder: flags['ignore-key-order'],
+      ignoreArrayOrder: flags['ignore-array-order'],
+    });
+  } catch (err) {
+    reportError(err.side === 'left' ? left.name : right.name, err);
+    return 2;
+  }
+
+  for (const d of result.diffs) {
+    const { symbol, path: diffPath, detail } = describeDiff(d);
+    process.stdout.write(`${symbol} ${diffPath}  ${detail}\n`);
+  }
+  process.stderr.write(result.diffs.length
+    ? `${pluralize(result.diffs.length, 'difference')} · ${summarizeDiffs(result.diffs)}\n`
+    : 'Identical\n');
+  return result.diffs.length ? 1 : 0;
+}
+
+const COMMANDS = {
+  fmt: runFormat,
+  check: (files, flags) => runFormat(files, { ...flags, check: true }),
+  convert: runConvert,
+  diff: runDiff,
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values: flags, positionals: [command, ...files] } = parsed;
+  if (flags.help || !command) {
+    process.stdout.write(`${USAGE}\n`);
+    return command || flags.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"`);
+  return COMMANDS[command](files.length ? files : [STDIN], flags);
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    process.stderr.write(`devformat: ${err.message}\n`);
+    if (err instanceof UsageError) process.stderr.write('Run devformat --help for usage\n');
+    process.exitCode = 2;
+  },
+);
@@ -0,0 +1,8 @@
+// Runs panel format jobs off the main thread, so multi-megabyte documents don't freeze the tab
+import { runFormatJob } from './formatter.js';
+
+self.addEventListener('message', ({ data }) => {
+  const { id, job } = data;
+  const result = runFormatJob(job, stage => self.postMessage({ id, stage }));
+  self.postMessage({ id, result });
+});
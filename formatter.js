@@ -0,0 +1,4010 @@
+// Pure parsing, formatting, conversion, query and compare functions shared by the UI, the
+// background format worker and the `devformat` CLI. Nothing in here touches the DOM or CodeMirror.
+import YAML from 'yaml';
+import JSON5 from 'json5';
+import { parse as parseTOML, stringify as stringifyTOML, TomlError } from 'smol-toml';
+import { XMLParser, XMLBuilder, XMLValidator } from 'fast-xml-parser';
+
+// ===== Error Locations =====
+
+function offsetToLineCol(text, offset) {
+  const before = text.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, col: offset - before.lastIndexOf('\n') };
+}
+
+export function lineColToOffset(text, line, col) {
+  let offset = 0;
+  for (let i = 1; i < line; i++) {
+    const next = text.indexOf('\n', offset);
+    if (next === -1) return text.length;
+    offset = next + 1;
+  }
+  return Math.min(offset + col - 1, text.length);
+}
+
+// Offset of the first character a strict JSON parser would reject, or null if the text is valid.
+// Only used when the engine's SyntaxError doesn't carry a position.
+function scanJSONError(text) {
+  let i = 0;
+  const fail = () => { throw i; };
+  const ws = () => {
+    while (i < text.length && ' \t\n\r'.includes(text[i])) i++;
+  };
+  function string() {
+    i++;
+    while (i < text.length) {
+      const c = text[i];
+      if (c === '"') { i++; return; }
+      if (c < ' ') fail();
+      if (c === '\\') {
+        i++;
+        if (text[i] === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(i + 1, i + 5))) i += 5;
+        else if (text[i] !== undefined && '"\\/bfnrt'.includes(text[i])) i++;
+        else fail();
+        continue;
+      }
+      i++;
+    }
+    fail();
+  }
+  function value() {
+    ws();
+    const c = text[i];
+    if (c === '{' || c === '[') {
+      const close = c === '{' ? '}' : ']';
+      i++;
+      ws();
+      if (text[i] === close) { i++; return; }
+      for (;;) {
+        ws();
+        if (c === '{') {
+          if (text[i] !== '"') fail();
+          string();
+          ws();
+          if (text[i] !== ':') fail();
+          i++;
+        }
+        value();
+        ws();
+        if (text[i] === ',') { i++; continue; }
+        if (text[i] === close) { i++; return; }
+        fail();
+      }
+    }
+    if (c === '"') return string();
+    const m = /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(text.slice(i, i + 64));
+    if (!m) fail();
+    i += m[0].length;
+  }
+  try {
+    value();
+    ws();
+    if (i < text.length) fail();
+    return null;
+  } catch (pos) {
+    if (typeof pos === 'number') return Math.min(pos, text.length);
+    throw pos;
+  }
+}
+
+// Engines report JSON.parse failures differently:
+//   V8:      "... in JSON at position 12 (line 2 column 3)", sometimes no position at all
+//   Firefox: "JSON.parse: ... at line 2 column 3 of the JSON data"
+export function jsonErrorOffset(err, text) {
+  if (err.lineNumber) return lineColToOffset(text, err.lineNumber, err.columnNumber); // JSON5
+  let m = /at position (\d+)/.exec(err.message);
+  if (m) return Math.min(Number(m[1]), text.length);
+  m = /line (\d+) column (\d+)/.exec(err.message);
+  if (m) return lineColToOffset(text, Number(m[1]), Number(m[2]));
+  return scanJSONError(text);
+}
+
+// "Line 2, Col 3" for the status bar, relative to the full (untrimmed) editor text
+function jsonErrorLocation(err, text) {
+  const lead = text.length - text.trimStart().length;
+  const offset = jsonErrorOffset(err, text.trim());
+  if (offset === null) return '';
+  const { line, col } = offsetToLineCol(text, offset + lead);
+  return `Line ${line}, Col ${col}`;
+}
+
+// YAML errors, and the TOML, XML, CSV and .env ones built to match, carry `linePos`
+function linePosLocation(err) {
+  if (!err.linePos) return '';
+  return `Line ${err.linePos[0].line}, Col ${err.linePos[0].col}`;
+}
+
+// The parser appends "at line 3, column 7:" and a source excerpt; keep the first line only
+function yamlErrorSummary(err) {
+  return err.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '');
+}
+
+
+// ===== Formatting Options =====
+
+export const DEFAULT_FORMAT_OPTIONS = {
+  indent: 2,               // spaces, or 'tab' (JSON only — YAML forbids tab indentation)
+  sortKeys: 'none',        // 'none' | 'natural' | 'locale'
+  finalNewline: false,
+  quoteStyle: 'preserve',  // 'preserve' | 'plain' | 'single' | 'double'
+  collectionStyle: 'any',  // 'any' (as written) | 'block' | 'flow'
+  indentSeq: true,
+  lineWidth: 0,            // 0 disables folding
+};
+
+const FORMAT_OPTION_CHOICES = {
+  sortKeys: ['none', 'natural', 'locale'],
+  quoteStyle: ['preserve', 'plain', 'single', 'double'],
+  collectionStyle: ['any', 'block', 'flow'],
+};
+
+// Options may come from storage or a share link, so anything out of range falls back to its default
+export function normalizeFormatOptions(options = {}) {
+  const out = { ...DEFAULT_FORMAT_OPTIONS };
+  for (const key of Object.keys(out)) {
+    if (options[key] !== undefined && options[key] !== null) out[key] = options[key];
+  }
+  for (const [key, choices] of Object.entries(FORMAT_OPTION_CHOICES)) {
+    if (!choices.includes(out[key])) out[key] = DEFAULT_FORMAT_OPTIONS[key];
+  }
+  out.finalNewline = out.finalNewline === true;
+  out.indentSeq = out.indentSeq !== false;
+  if (out.indent !== 'tab') out.indent = Math.min(Math.max(Number(out.indent) || 2, 1), 8);
+  out.lineWidth = Math.max(Number(out.lineWidth) || 0, 0);
+  return out;
+}
+
+// Natural order compares digit runs numerically ("item2" < "item10") and everything else
+// by code point, so it's stable across browsers; locale order follows Intl.Collator.
+function naturalCompare(a, b) {
+  const re = /(\d+)|(\D+)/g;
+  const as = a.match(re) || [];
+  const bs = b.match(re) || [];
+  for (let i = 0; i < Math.min(as.length, bs.length); i++) {
+    const x = as[i];
+    const y = bs[i];
+    if (x === y) continue;
+    if (/^\d/.test(x) && /^\d/.test(y)) {
+      const nx = x.replace(/^0+/, '');
+      const ny = y.replace(/^0+/, '');
+      if (nx.length !== ny.length) return nx.length - ny.length;
+      if (nx !== ny) return nx < ny ? -1 : 1;
+      return x.length - y.length;
+    }
+    return x < y ? -1 : 1;
+  }
+  return as.length - bs.length;
+}
+
+const localeCollator = new Intl.Collator();
+
+function keyComparator(mode) {
+  if (mode === 'natural') return naturalCompare;
+  if (mode === 'locale') return localeCollator.compare;
+  return null;
+}
+
+function sortKeysDeep(value, compare) {
+  if (Array.isArray(value)) return value.map(v => sortKeysDeep(v, compare));
+  if (value === null || typeof value !== 'object' || value instanceof LosslessNumber) return value;
+  // fromEntries defines keys as own properties, so a "__proto__" key survives
+  return Object.fromEntries(Object.keys(value).sort(compare).map(key => [key, sortKeysDeep(value[key], compare)]));
+}
+
+// Same layout as JSON.stringify, but writes LosslessNumbers as their original lexeme
+export function writeExactJSON(value, indent, depth) {
+  if (value instanceof LosslessNumber) return value.lexeme;
+  if (typeof value === 'bigint') return String(value);
+  if (value === null || typeof value !== 'object') return JSON.stringify(value) ?? 'null';
+  const inner = depth + indent;
+  const items = Array.isArray(value)
+    ? value.map(v => writeExactJSON(v, indent, inner))
+    : Object.keys(value).map(k => `${JSON.stringify(k)}:${indent ? ' ' : ''}${writeExactJSON(value[k], indent, inner)}`);
+  const [open, close] = Array.isArray(value) ? '[]' : '{}';
+  if (!items.length) return open + close;
+  if (!indent) return `${open}${items.join(',')}${close}`;
+  return `${open}\n${inner}${items.join(`,\n${inner}`)}\n${depth}${close}`;
+}
+
+function stringifyJSON(value, options = DEFAULT_FORMAT_OPTIONS, minify = false, exact = false) {
+  const compare = keyComparator(options.sortKeys);
+  const sorted = compare ? sortKeysDeep(value, compare) : value;
+  const indent = minify ? '' : options.indent === 'tab' ? '\t' : ' '.repeat(options.indent);
+  // JSON.stringify can't emit a raw lexeme, so values holding LosslessNumbers take the slow path
+  const output = exact ? writeExactJSON(sorted, indent, '') : JSON.stringify(sorted, null, indent) ?? 'null';
+  return options.finalNewline && !minify ? `${output}\n` : output;
+}
+
+const QUOTE_TYPES = { plain: 'PLAIN', single: 'QUOTE_SINGLE', double: 'QUOTE_DOUBLE' };
+
+// Sorts maps and re-quotes string scalars in place. Merge keys (<<) stay on top of their
+// map; block scalars (| and >) keep their style whatever the quote preference.
+function applyYAMLFormatting(doc, options) {
+  const compare = keyComparator(options.sortKeys);
+  const quoteType = QUOTE_TYPES[options.quoteStyle];
+  if (!compare && !quoteType) return doc;
+  YAML.visit(doc, {
+    Map(_, map) {
+      if (!compare) return;
+      const isMerge = pair => YAML.isScalar(pair.key) && pair.key.source === '<<';
+      map.items.sort((a, b) => (isMerge(b) - isMerge(a)) || compare(nodeKey(a.key), nodeKey(b.key)));
+    },
+    Pair(_, pair) {
+      if (quoteType && YAML.isScalar(pair.key) && typeof pair.key.value === 'string') pair.key.type = 'PLAIN';
+    },
+    Scalar(key, node) {
+      if (!quoteType || key === 'key' || typeof node.value !== 'string') return;
+      if (node.type === 'BLOCK_LITERAL' || node.type === 'BLOCK_FOLDED') return;
+      node.type = quoteType;
+    }
+  });
+  return doc;
+}
+
+function yamlStringifyOptions(options = DEFAULT_FORMAT_OPTIONS) {
+  return {
+    indent: options.indent === 'tab' ? 2 : options.indent,
+    indentSeq: options.indentSeq,
+    lineWidth: options.lineWidth,
+    collectionStyle: options.collectionStyle,
+    defaultStringType: QUOTE_TYPES[options.quoteStyle] ?? 'PLAIN',
+    defaultKeyType: 'PLAIN',
+    singleQuote: options.quoteStyle === 'single' ? true : options.quoteStyle === 'double' ? false : null,
+  };
+}
+
+// Stringifies a list of documents as one stream, applying the panel's format options.
+// A string in the list is a document's source, passed through untouched.
+function stringifyYAML(docs, options = DEFAULT_FORMAT_OPTIONS) {
+  const output = docs.map((doc, i) => {
+    const text = typeof doc === 'string' ? doc : applyYAMLFormatting(doc, options).toString(yamlStringifyOptions(options));
+    // Parsed documents that began with --- (or directives) already write their own marker
+    const marked = i && !/^(?:---|%)/.test(text) ? `---\n${text}` : text;
+    return marked.endsWith('\n') ? marked : `${marked}\n`;
+  }).join('').trimEnd();
+  return options.finalNewline ? `${output}\n` : output;
+}
+
+
+// ===== Parsing =====
+
+export function parseJSON(text, lenient = false) {
+  return lenient ? JSON5.parse(text) : JSON.parse(text);
+}
+
+// JSON5 allows Infinity and NaN, which JSON output can only write as null; worded like
+// the warnings for YAML's .inf and .nan
+function nonFiniteWarnings(value, path = [], out = []) {
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    out.push(`${value} at ${formatPath(path)} has no JSON equivalent → null`);
+  } else if (Array.isArray(value)) {
+    value.forEach((v, i) => nonFiniteWarnings(v, [...path, i], out));
+  } else if (isPlainObject(value)) {
+    for (const [k, v] of Object.entries(value)) nonFiniteWarnings(v, [...path, k], out);
+  }
+  return out;
+}
+
+// A JSON number kept as written, for values a JS number would round or reformat
+// (12345678901234567890, 1.10, 1e3). Only produced by parseExactJSON.
+export class LosslessNumber {
+  constructor(lexeme) {
+    this.lexeme = lexeme;
+  }
+
+  valueOf() {
+    return Number(this.lexeme);
+  }
+
+  toString() {
+    return this.lexeme;
+  }
+}
+
+const JSON_TOKEN = /"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g;
+const JSON_NUMBER = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+// Sign, significant digits and exponent of a decimal lexeme: "1.10" and "11e-1" both give "11e-1"
+function decimalKey(lexeme) {
+  const m = /^(-?)(\d+)(?:\.(\d+))?(?:[eE]([+-]?\d+))?$/.exec(lexeme);
+  const fraction = m[3] || '';
+  const digits = (m[2] + fraction).replace(/^0+/, '');
+  if (!digits) return '0';
+  const significant = digits.replace(/0+$/, '');
+  const exponent = Number(m[4] || 0) - fraction.length + digits.length - significant.length;
+  return `${m[1]}${significant}e${exponent}`;
+}
+
+// Numbers in strict JSON text whose value changes in a standard JS parse, with their
+// source ranges: [{ from, to, lexeme, parsed }]
+export function findImpreciseNumbers(text) {
+  const out = [];
+  for (const m of text.matchAll(JSON_TOKEN)) {
+    if (m[0][0] === '"') continue;
+    const parsed = Number(m[0]);
+    if (Number.isFinite(parsed) && decimalKey(m[0]) === decimalKey(String(parsed))) continue;
+    out.push({ from: m.index, to: m.index + m[0].length, lexeme: m[0], parsed });
+  }
+  return out;
+}
+
+// `lost` is findImpreciseNumbers output, each with the `line` it's on for NDJSON
+function precisionWarnings(lost) {
+  if (!lost.length) return [];
+  return [`${pluralize(lost.length, 'number')} lost precision — turn on Lossless to keep them`,
+    ...lost.map(n => `${n.line ? `Line ${n.line}: ` : ''}${n.lexeme} → ${JSON.stringify(n.parsed)}`)];
+}
+
+// Parses strict JSON keeping every number's lexeme. Numbers JSON.stringify would write
+// back unchanged stay plain numbers; the rest become LosslessNumbers.
+export function parseExactJSON(text) {
+  const native = JSON.parse(text); // validates, and gives the engine's error messages
+  let needed = false;
+  for (const m of text.matchAll(JSON_TOKEN)) {
+    if (m[0][0] !== '"' && String(Number(m[0])) !== m[0]) {
+      needed = true;
+      break;
+    }
+  }
+  if (!needed) return native;
+
+  let i = 0;
+  const ws = () => {
+    while (text[i] === ' ' || text[i] === '\t' || text[i] === '\n' || text[i] === '\r') i++;
+  };
+  const string = () => {
+    const start = i++;
+    while (text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+    i++;
+    return JSON.parse(text.slice(start, i));
+  };
+  function value() {
+    ws();
+    const c = text[i];
+    if (c === '{') {
+      const obj = {};
+      i++;
+      ws();
+      if (text[i] === '}') { i++; return obj; }
+      for (;;) {
+        ws();
+        const key = string();
+        ws();
+        i++; // :
+        const v = value();
+        if (key === '__proto__') Object.defineProperty(obj, key, { value: v, enumerable: true, writable: true, configurable: true });
+        else obj[key] = v;
+        ws();
+        if (text[i++] === '}') return obj;
+      }
+    }
+    if (c === '[') {
+      const arr = [];
+      i++;
+      ws();
+      if (text[i] === ']') { i++; return arr; }
+      for (;;) {
+        arr.push(value());
+        ws();
+        if (text[i++] === ']') return arr;
+      }
+    }
+    if (c === '"') return string();
+    if (c === 't') { i += 4; return true; }
+    if (c === 'f') { i += 5; return false; }
+    if (c === 'n') { i += 4; return null; }
+    JSON_NUMBER.lastIndex = i;
+    const lexeme = JSON_NUMBER.exec(text)[0];
+    i += lexeme.length;
+    return String(Number(lexeme)) === lexeme ? Number(lexeme) : new LosslessNumber(lexeme);
+  }
+  return value();
+}
+
+const JSON_LITERAL = /^(?:-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)$/;
+
+// Strict JSON is JSON and everything else YAML, flow style (`{a: 1}`) included — except
+// broken JSON that YAML happens to accept, like `{"a": 1,}`: when every key is double-quoted
+// and every bare scalar a JSON literal, it was meant as JSON and its JSON error should show.
+export function detectFormat(text) {
+  const trimmed = text.trim();
+  if (!/^[[{"]/.test(trimmed)) return 'yaml';
+  try {
+    JSON.parse(trimmed);
+    return 'json';
+  } catch { }
+  const docs = YAML.parseAllDocuments(trimmed);
+  if (!docs.length || docs.some(doc => doc.errors.length)) return 'json';
+  let jsonShaped = true;
+  for (const doc of docs) {
+    YAML.visit(doc, {
+      Pair(_, pair) {
+        if (!YAML.isScalar(pair.key) || pair.key.type !== 'QUOTE_DOUBLE') jsonShaped = false;
+      },
+      Scalar(_, node) {
+        if (node.type === 'QUOTE_SINGLE' || (node.type === 'PLAIN' && !JSON_LITERAL.test(node.source))) jsonShaped = false;
+      },
+      Alias() {
+        jsonShaped = false;
+      },
+    });
+  }
+  return jsonShaped ? 'json' : 'yaml';
+}
+
+// File extensions mapped to the format that reads them
+export const FILE_FORMATS = {
+  json: 'json', jsonc: 'json', json5: 'json', ndjson: 'json', jsonl: 'json', yaml: 'yaml', yml: 'yaml',
+  toml: 'toml', xml: 'xml', csv: 'csv', env: 'env',
+};
+
+export function fileExtension(name) {
+  return /\.([^./]+)$/.exec(name)?.[1].toLowerCase() ?? '';
+}
+
+// ".env.local" and friends are .env files whatever their extension
+function extensionFormat(name) {
+  if (/(?:^|[\\/])\.env(?:\.[^\\/]*)?$/i.test(name)) return 'env';
+  return FILE_FORMATS[fileExtension(name)];
+}
+
+// By extension, else by sniffing the content
+export function fileFormat(name, text) {
+  return extensionFormat(name) ?? detectFormat(text);
+}
+
+// Decodes by BOM, defaulting to UTF-8; bytes that aren't valid UTF-8 are read as Windows-1252.
+// The encoding, BOM and line endings are kept so the file can be written back the same way.
+export function decodeFileBytes(bytes) {
+  let encoding = 'utf-8';
+  let bom = false;
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    bom = true;
+  } else if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    encoding = 'utf-16le';
+    bom = true;
+  } else if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    encoding = 'utf-16be';
+    bom = true;
+  }
+
+  let text;
+  try {
+    text = new TextDecoder(encoding, { fatal: true }).decode(bytes);
+  } catch {
+    encoding = 'windows-1252';
+    text = new TextDecoder(encoding).decode(bytes);
+  }
+  return { text, encoding, bom, eol: text.includes('\r\n') ? '\r\n' : '\n' };
+}
+
+// TextEncoder only writes UTF-8, so UTF-16 is encoded by hand; Windows-1252 files are written back as UTF-8
+export function encodeFileText(text, { encoding = 'utf-8', bom = false, eol = '\n' } = {}) {
+  if (eol !== '\n') text = text.replace(/\r?\n/g, eol);
+  if (encoding === 'utf-16le' || encoding === 'utf-16be') {
+    const littleEndian = encoding === 'utf-16le';
+    const offset = bom ? 1 : 0;
+    const view = new DataView(new ArrayBuffer((text.length + offset) * 2));
+    if (bom) view.setUint16(0, 0xFEFF, littleEndian);
+    for (let i = 0; i < text.length; i++) view.setUint16((i + offset) * 2, text.charCodeAt(i), littleEndian);
+    return new Uint8Array(view.buffer);
+  }
+  const body = new TextEncoder().encode(text);
+  return bom ? new Uint8Array([0xEF, 0xBB, 0xBF, ...body]) : body;
+}
+
+// Keeps the original name when the output is still in the file's format, otherwise swaps the extension
+export function outputFileName(name, format) {
+  const base = name.replace(/[\\/:*?"<>|]/g, '-');
+  if (extensionFormat(base) === format) return base;
+  const stem = base.replace(/\.(jsonc?|json5|ndjson|ya?ml|toml|xml|csv|env)$/i, '') || base.replace(/^\./, '');
+  return `${stem}.${format}`;
+}
+
+// Parses one side of a comparison. `docs` keeps the YAML ASTs (JSON is valid YAML 1.2,
+// so the same parser gives us source ranges for both formats).
+export function parseStructured(text, format = 'auto') {
+  const fmt = format === 'auto' ? detectFormat(text) : format;
+  const docs = YAML.parseAllDocuments(text, fmt === 'json' ? { uniqueKeys: false } : undefined)
+    .filter(doc => doc.contents !== null || doc.errors.length);
+
+  if (fmt === 'json') {
+    return { value: JSON.parse(text), format: fmt, docs };
+  }
+
+  for (const doc of docs) {
+    if (doc.errors.length) throw doc.errors[0];
+  }
+  const values = docs.map(doc => doc.toJS({ maxAliasCount: -1 }));
+  // A multi-document stream compares as an array of documents
+  const value = values.length > 1 ? values : (values[0] ?? null);
+  return { value, format: fmt, docs };
+}
+
+export function formatPath(path) {
+  if (!path || !path.length) return '(root)';
+  return path.map((seg, i) => {
+    if (typeof seg === 'number') return `[${seg}]`;
+    if (/^[A-Za-z_$][\w$-]*$/.test(seg)) return i === 0 ? seg : `.${seg}`;
+    return `[${JSON.stringify(seg)}]`;
+  }).join('');
+}
+
+export function nodeKey(key) {
+  return YAML.isScalar(key) ? String(key.value) : String(key);
+}
+
+
+// ===== JSON ⇄ YAML Conversion =====
+
+const STANDARD_TAGS = new Set(['str', 'int', 'float', 'bool', 'null', 'map', 'seq']
+  .map(t => `tag:yaml.org,2002:${t}`));
+
+// Data path of an AST node, given the ancestors array a YAML.visit callback receives
+function astPath(ancestors, node) {
+  const chain = [...ancestors, node];
+  const out = [];
+  for (let i = 0; i < chain.length - 1; i++) {
+    const parent = chain[i];
+    const child = chain[i + 1];
+    if (YAML.isPair(parent) && child === parent.value) out.push(nodeKey(parent.key));
+    else if (YAML.isSeq(parent)) out.push(parent.items.indexOf(child));
+  }
+  return out;
+}
+
+// "at a.b" for values, "key x in a.b" for map keys — used in conversion warnings
+function describeNode(ancestors, node) {
+  const parent = ancestors[ancestors.length - 1];
+  if (YAML.isPair(parent) && parent.key === node) {
+    return `key ${node.source ?? nodeKey(node)} in ${formatPath(astPath(ancestors.slice(0, -1), parent))}`;
+  }
+  return `${node.source ?? nodeKey(node)} at ${formatPath(astPath(ancestors, node))}`;
+}
+
+// How a YAML 1.1 parser (PyYAML, go-yaml v2, older Helm) would read a plain scalar,
+// or null when it reads it as the same string YAML 1.2 does.
+function yaml11Reading(source) {
+  if (/^(?:y|Y|yes|Yes|YES|n|N|no|No|NO|on|On|ON|off|Off|OFF)$/.test(source)) return 'a boolean';
+  if (/^[-+]?0[0-7_]+$/.test(source)) return 'an octal number';
+  if (/^[-+]?[0-9][0-9_]*(?::[0-5]?[0-9])+(?:\.[0-9_]*)?$/.test(source)) return 'a sexagesimal number';
+  if (/^[-+]?(?:0|[1-9][0-9_]*_[0-9_]*)$/.test(source)) return 'a number';
+  return null;
+}
+
+function countComments(text) {
+  let count = 0;
+  for (const token of new YAML.Lexer().lex(text)) {
+    if (token.startsWith('#')) count++;
+  }
+  return count;
+}
+
+export function pluralize(n, word, plural = `${word}s`) {
+  return `${n} ${n === 1 ? word : plural}`;
+}
+
+// YAML as plain data, with a fidelity warning for everything the data model can't carry
+function readYAML(text) {
+  const docs = YAML.parseAllDocuments(text, { compat: 'yaml-1.1', merge: true, logLevel: 'error' })
+    .filter(doc => doc.contents !== null || doc.errors.length);
+  for (const doc of docs) {
+    if (doc.errors.length) throw doc.errors[0];
+  }
+
+  const warnings = [];
+  const anchors = new Set();
+  let aliases = 0;
+  let merges = 0;
+
+  docs.forEach(doc => {
+    YAML.visit(doc, {
+      Pair(_, pair, ancestors) {
+        const key = pair.key;
+        if (YAML.isScalar(key) && key.source === '<<') {
+          merges++;
+        } else if (YAML.isScalar(key) && typeof key.value !== 'string') {
+          warnings.push(`non-string key ${key.source ?? String(key.value)} in ${formatPath(astPath(ancestors, pair))} becomes "${nodeKey(key)}"`);
+        } else if (key && !YAML.isScalar(key)) {
+          warnings.push(`complex key in ${formatPath(astPath(ancestors, pair))} is stringified`);
+        }
+      },
+      Alias() {
+        aliases++;
+      },
+      Node(_, node, ancestors) {
+        if (node.anchor) anchors.add(node.anchor);
+        if (node.tag && !STANDARD_TAGS.has(node.tag)) {
+          warnings.push(`tag ${doc.directives.tagString(node.tag)} at ${formatPath(astPath(ancestors, node))} dropped`);
+          // Keep what was written rather than a Uint8Array / Date / unresolved object
+          if (YAML.isScalar(node)) return new YAML.Scalar(node.source ?? String(node.value));
+        }
+        if (!YAML.isScalar(node)) return;
+        if (typeof node.value === 'number' && !Number.isFinite(node.value)) {
+          warnings.push(`${describeNode(ancestors, node)} has no JSON equivalent → null`);
+        }
+        if (node.type === 'PLAIN' && !node.tag) {
+          const reading = yaml11Reading(node.source ?? '');
+          if (reading && !(reading === 'a number' && typeof node.value === 'number')) {
+            const here = typeof node.value === 'string' ? 'a string' : String(node.value);
+            warnings.push(`${describeNode(ancestors, node)} is ${here} here but ${reading} in YAML 1.1`);
+          }
+        }
+      }
+    });
+  });
+
+  const comments = countComments(text);
+  if (comments) warnings.unshift(`${pluralize(comments, 'comment')} dropped`);
+  if (anchors.size || aliases) {
+    warnings.unshift(`${pluralize(anchors.size, 'anchor')} / ${pluralize(aliases, 'alias', 'aliases')} expanded`);
+  }
+  if (merges) warnings.unshift(`${pluralize(merges, 'merge key')} (<<) inlined`);
+  if (docs.length > 1) warnings.unshift(`${docs.length} documents combined into an array`);
+
+  const values = docs.map(doc => doc.toJS({ maxAliasCount: -1 }));
+  const value = docs.length > 1 ? values : (values[0] ?? null);
+  return { value, warnings };
+}
+
+function writeYAML(value, format = DEFAULT_FORMAT_OPTIONS) {
+  const doc = applyYAMLFormatting(new YAML.Document(value), format);
+  const warnings = [];
+
+  // YAML 1.2 already quotes what it would misread; also quote what 1.1 parsers would
+  YAML.visit(doc, {
+    Scalar(_, node, ancestors) {
+      if (typeof node.value !== 'string' || !yaml11Reading(node.value)) return;
+      node.type = 'QUOTE_DOUBLE';
+      warnings.push(`${describeNode(ancestors, node)} quoted (YAML 1.1 reads it as ${yaml11Reading(node.value)})`);
+    }
+  });
+
+  return { output: stringifyYAML([doc], format), warnings };
+}
+
+
+// ===== Data Formats =====
+
+// Every format a panel can edit; conversions between any two go through plain data
+export const DATA_FORMATS = { json: 'JSON', yaml: 'YAML', toml: 'TOML', xml: 'XML', csv: 'CSV', env: '.env' };
+
+// Parsers without YAML's error type throw one with the same `linePos` shape
+function syntaxError(message, line, col) {
+  const err = new SyntaxError(message);
+  err.linePos = [{ line, col }];
+  return err;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Warnings that would repeat once per value are reported once with a count and the first few paths
+function pathSummary(paths, limit = 3) {
+  const shown = paths.slice(0, limit).map(formatPath).join(', ');
+  return paths.length > limit ? `${shown} and ${paths.length - limit} more` : shown;
+}
+
+// --- TOML ---
+
+// Advances a multi-line scan over one line of TOML: `state.quote` is the open multi-line
+// string delimiter, `state.depth` the bracket nesting of a value spanning lines.
+// Returns true when the line ends in a comment.
+function scanTOMLLine(line, state) {
+  for (let i = 0; i < line.length; i++) {
+    if (state.quote) {
+      if (state.quote === '"""' && line[i] === '\\') i++;
+      else if (line.startsWith(state.quote, i)) {
+        state.quote = null;
+        i += 2;
+      }
+      continue;
+    }
+    const c = line[i];
+    if (c === '#') return true;
+    if (line.startsWith('"""', i) || line.startsWith("'''", i)) {
+      state.quote = line.slice(i, i + 3);
+      i += 2;
+    } else if (c === '"') {
+      for (i++; i < line.length && line[i] !== '"'; i++) if (line[i] === '\\') i++;
+    } else if (c === "'") {
+      i = line.indexOf("'", i + 1);
+      if (i === -1) return false;
+    } else if (c === '[' || c === '{') {
+      state.depth++;
+    } else if (c === ']' || c === '}') {
+      state.depth--;
+    }
+  }
+  return false;
+}
+
+// Index of the `=` that ends a key, skipping quoted keys
+function tomlAssignment(line) {
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (c === '=') return i;
+    if (c === '"' || c === "'") {
+      for (i++; i < line.length && line[i] !== c; i++) if (c === '"' && line[i] === '\\') i++;
+    }
+  }
+  return -1;
+}
+
+function countTOMLComments(text) {
+  const state = { quote: null, depth: 0 };
+  return text.split('\n').filter(line => scanTOMLLine(line, state)).length;
+}
+
+function parseTOMLText(text) {
+  try {
+    return parseTOML(text, { integersAsBigInt: 'asNeeded' });
+  } catch (err) {
+    if (!(err instanceof TomlError)) throw err;
+    throw syntaxError(err.message.split('\n')[0].replace(/^Invalid TOML document: /, ''), err.line, err.column);
+  }
+}
+
+// TOML has datetimes; the data model has strings. Integers past 2^53 stay BigInts, which
+// every writer prints exactly.
+function tomlPlain(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(tomlPlain);
+  if (value === null || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, tomlPlain(v)]));
+}
+
+function containsBigInt(value) {
+  if (typeof value === 'bigint') return true;
+  if (value === null || typeof value !== 'object') return false;
+  return Object.values(value).some(containsBigInt);
+}
+
+// Normalizes layout line by line so comments survive: `key = value` spacing, no
+// indentation outside multi-line values, one blank line at most. Multi-line strings are
+// left byte for byte.
+function formatTOML(text, options) {
+  const doc = parseTOMLText(text);
+  const state = { quote: null, depth: 0 };
+  const out = [];
+  for (const raw of text.split('\n')) {
+    if (state.quote) {
+      out.push(raw);
+      scanTOMLLine(raw, state);
+      continue;
+    }
+    if (state.depth > 0) {
+      out.push(raw.trimEnd());
+      scanTOMLLine(raw, state);
+      continue;
+    }
+    let line = raw.trim();
+    if (!line) {
+      if (out.length && out.at(-1) !== '') out.push('');
+      continue;
+    }
+    if (line.startsWith('[')) {
+      out.push(line);
+      continue;
+    }
+    const eq = line.startsWith('#') ? -1 : tomlAssignment(line);
+    if (eq > 0) line = `${line.slice(0, eq).trim()} = ${line.slice(eq + 1).trim()}`;
+    out.push(line);
+    scanTOMLLine(line, state);
+  }
+  while (out.at(-1) === '') out.pop();
+  const output = out.join('\n') + (options.finalNewline ? '\n' : '');
+  return { output, label: `Valid TOML · ${pluralize(Object.keys(doc).length, 'top-level key')}` };
+}
+
+function readTOML(text) {
+  const value = tomlPlain(parseTOMLText(text));
+  const comments = countTOMLComments(text);
+  return { value, warnings: comments ? [`${pluralize(comments, 'comment')} dropped`] : [] };
+}
+
+function tomlKind(value) {
+  if (Array.isArray(value)) return 'array';
+  if (isPlainObject(value)) return 'table';
+  if (Number.isInteger(value) || typeof value === 'bigint') return 'integer';
+  return typeof value;
+}
+
+// TOML has no null and no top-level array; mixed arrays are valid TOML 1.0 but
+// rejected by 0.5 parsers, which are still common
+function tomlSafe(value, path, found) {
+  if (Array.isArray(value)) {
+    const items = [];
+    value.forEach((item, i) => {
+      if (item === null) found.nulls.push([...path, i]);
+      else items.push(tomlSafe(item, [...path, i], found));
+    });
+    if (new Set(items.map(tomlKind)).size > 1) found.mixed.push(path);
+    return items;
+  }
+  if (!isPlainObject(value)) return value;
+  const out = {};
+  for (const key of Object.keys(value)) {
+    if (value[key] === null) found.nulls.push([...path, key]);
+    else out[key] = tomlSafe(value[key], [...path, key], found);
+  }
+  return out;
+}
+
+function writeTOML(value, options) {
+  const warnings = [];
+  let root = value;
+  if (Array.isArray(value)) {
+    root = { items: value };
+    warnings.push('Top-level array wrapped in an "items" table (a TOML document is a table)');
+  } else if (!isPlainObject(value)) {
+    root = { value };
+    warnings.push('Top-level value wrapped in a "value" key (a TOML document is a table)');
+  }
+  const found = { nulls: [], mixed: [] };
+  root = tomlSafe(root, [], found);
+  if (found.nulls.length) {
+    warnings.push(`${pluralize(found.nulls.length, 'null')} dropped (TOML has no null): ${pathSummary(found.nulls)}`);
+  }
+  for (const path of found.mixed) {
+    warnings.push(`Mixed-type array at ${formatPath(path)} — valid TOML 1.0, but TOML 0.5 parsers reject it`);
+  }
+  const compare = keyComparator(options.sortKeys);
+  if (compare) root = sortKeysDeep(root, compare);
+  const output = stringifyTOML(root).trim() + (options.finalNewline ? '\n' : '');
+  return { output, warnings };
+}
+
+// --- XML ---
+
+// Flat token list: open (with `selfClosing`), close, text, comment, cdata, pi, doctype
+function tokenizeXML(text) {
+  const tokens = [];
+  const until = (from, end) => {
+    const i = text.indexOf(end, from);
+    return i === -1 ? text.length : i + end.length;
+  };
+  let i = 0;
+  while (i < text.length) {
+    let type;
+    let end;
+    if (text.startsWith('<!--', i)) {
+      type = 'comment';
+      end = until(i + 4, '-->');
+    } else if (text.startsWith('<![CDATA[', i)) {
+      type = 'cdata';
+      end = until(i + 9, ']]>');
+    } else if (text.startsWith('<?', i)) {
+      type = 'pi';
+      end = until(i + 2, '?>');
+    } else if (text.startsWith('<!', i)) {
+      // <!DOCTYPE ...> may carry an internal subset in brackets
+      type = 'doctype';
+      let depth = 0;
+      for (end = i + 2; end < text.length; end++) {
+        if (text[end] === '[') depth++;
+        else if (text[end] === ']') depth--;
+        else if (text[end] === '>' && depth <= 0) break;
+      }
+      end++;
+    } else if (text[i] === '<') {
+      type = text[i + 1] === '/' ? 'close' : 'open';
+      let quote = null;
+      for (end = i + 1; end < text.length; end++) {
+        if (quote) {
+          if (text[end] === quote) quote = null;
+        } else if (text[end] === '"' || text[end] === "'") {
+          quote = text[end];
+        } else if (text[end] === '>') {
+          break;
+        }
+      }
+      end++;
+    } else {
+      type = 'text';
+      end = text.indexOf('<', i);
+      if (end === -1) end = text.length;
+    }
+    const raw = text.slice(i, end);
+    const token = { type, raw, from: i };
+    if (type === 'open' || type === 'close') token.name = /^<\/?([^\s/>]+)/.exec(raw)?.[1] ?? '';
+    if (type === 'open') token.selfClosing = raw.endsWith('/>');
+    tokens.push(token);
+    i = end;
+  }
+  return tokens;
+}
+
+// Tokens nested into `{ type: 'element', open, name, selfClosing, children }` nodes
+function xmlTree(text) {
+  const root = { children: [] };
+  const stack = [root];
+  for (const token of tokenizeXML(text)) {
+    const parent = stack.at(-1);
+    if (token.type === 'open') {
+      const node = { type: 'element', name: token.name, open: token.raw, selfClosing: token.selfClosing, children: [] };
+      parent.children.push(node);
+      if (!node.selfClosing) stack.push(node);
+    } else if (token.type === 'close') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      parent.children.push(token);
+    }
+  }
+  return root.children;
+}
+
+// `<a  x = "1"\n   y='2' >` → `<a x="1" y='2'>`
+function xmlOpenTag(node) {
+  const attrs = [];
+  const re = /([^\s=/>]+)\s*=\s*("[^"]*"|'[^']*')/g;
+  const body = node.open.slice(node.name.length + 1);
+  for (let m = re.exec(body); m; m = re.exec(body)) attrs.push(` ${m[1]}=${m[2]}`);
+  return `<${node.name}${attrs.join('')}${node.selfClosing ? '/>' : '>'}`;
+}
+
+function inlineXML(node) {
+  if (node.type !== 'element') return node.raw;
+  if (node.selfClosing) return xmlOpenTag(node);
+  return `${xmlOpenTag(node)}${node.children.map(inlineXML).join('')}</${node.name}>`;
+}
+
+function isMixedContent(node) {
+  return node.children.some(c => c.type === 'text' && c.raw.trim())
+    && node.children.some(c => c.type === 'element');
+}
+
+// One element per line; elements holding text (mixed content included) stay on one line
+// with their text untouched, since whitespace there is content
+function renderXMLNode(node, depth, unit) {
+  const pad = unit.repeat(depth);
+  if (node.type === 'text') return pad + node.raw.trim();
+  if (node.type !== 'element') return pad + node.raw;
+  const children = node.children.filter(c => c.type !== 'text' || c.raw.trim());
+  if (node.selfClosing || !children.length) return pad + inlineXML({ ...node, children: [] });
+  if (children.some(c => c.type === 'text') || children.every(c => c.type === 'cdata')) return pad + inlineXML(node);
+  return [
+    pad + xmlOpenTag(node),
+    ...children.map(c => renderXMLNode(c, depth + 1, unit)),
+    `${pad}</${node.name}>`,
+  ].join('\n');
+}
+
+function validateXMLText(text) {
+  const result = XMLValidator.validate(text);
+  if (result !== true) throw syntaxError(result.err.msg, result.err.line, result.err.col);
+  // The validator accepts a forest of elements; a document has one root
+  let depth = 0;
+  let roots = 0;
+  for (const token of tokenizeXML(text)) {
+    if (token.type === 'close') depth--;
+    if (token.type !== 'open') continue;
+    if (!depth && ++roots > 1) {
+      const { line, col } = offsetToLineCol(text, token.from);
+      throw syntaxError(`Second top-level element <${token.name}> — a document has exactly one root`, line, col);
+    }
+    if (!token.selfClosing) depth++;
+  }
+}
+
+function formatXML(text, options) {
+  validateXMLText(text);
+  const unit = options.indent === 'tab' ? '\t' : ' '.repeat(options.indent);
+  const nodes = xmlTree(text).filter(c => c.type !== 'text' || c.raw.trim());
+  const output = nodes.map(node => renderXMLNode(node, 0, unit)).join('\n') + (options.finalNewline ? '\n' : '');
+  const root = nodes.find(node => node.type === 'element');
+  return { output, label: root ? `Valid XML · <${root.name}>` : 'Valid XML' };
+}
+
+// Attributes become "@name" keys and text next to them "#text"; repeated elements become arrays
+const XML_OPTIONS = {
+  ignoreAttributes: false,
+  attributeNamePrefix: '@',
+  textNodeName: '#text',
+};
+
+function readXML(text) {
+  validateXMLText(text);
+  const parser = new XMLParser({ ...XML_OPTIONS, parseTagValue: false, parseAttributeValue: false, ignoreDeclaration: true, ignorePiTags: true, trimValues: true });
+  const value = parser.parse(text);
+
+  const warnings = [];
+  const tokens = tokenizeXML(text);
+  const comments = tokens.filter(t => t.type === 'comment').length;
+  if (comments) warnings.push(`${pluralize(comments, 'comment')} dropped`);
+  if (tokens.some(t => t.type === 'doctype')) warnings.push('DOCTYPE dropped');
+  const mixed = [];
+  const walk = nodes => nodes.forEach(node => {
+    if (node.type !== 'element') return;
+    if (isMixedContent(node)) mixed.push(node.name);
+    walk(node.children);
+  });
+  walk(xmlTree(text));
+  if (mixed.length) {
+    warnings.push(`Mixed content in ${[...new Set(mixed)].map(name => `<${name}>`).join(', ')} — its text is joined into "#text" and loses its place between child elements`);
+  }
+  return { value, warnings };
+}
+
+const XML_NAME = /^[A-Za-z_][\w.-]*(?::[A-Za-z_][\w.-]*)?$/;
+
+function xmlName(key) {
+  const name = key.replace(/[^\w.:-]/g, '_');
+  return /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+}
+
+// Element names must be XML names, nested arrays need an element of their own and
+// attributes only hold text
+function xmlSafe(value, path, found) {
+  if (Array.isArray(value)) {
+    return value.map((item, i) => {
+      if (!Array.isArray(item)) return xmlSafe(item, [...path, i], found);
+      found.nested.push([...path, i]);
+      return { item: xmlSafe(item, [...path, i], found) };
+    });
+  }
+  if (value === null) {
+    found.nulls.push(path);
+    return '';
+  }
+  if (!isPlainObject(value)) return value;
+  const out = {};
+  for (const key of Object.keys(value)) {
+    const child = [...path, key];
+    if (key === '#text') {
+      out[key] = value[key];
+    } else if (key.startsWith('@')) {
+      const name = xmlName(key.slice(1));
+      if (name !== key.slice(1)) found.renamed.push(`${key} → @${name}`);
+      out[`@${name}`] = isPlainObject(value[key]) || Array.isArray(value[key]) ? JSON.stringify(value[key]) : value[key];
+    } else {
+      const name = XML_NAME.test(key) ? key : xmlName(key);
+      if (name !== key) found.renamed.push(`${JSON.stringify(key)} → <${name}>`);
+      out[name] = xmlSafe(value[key], child, found);
+    }
+  }
+  return out;
+}
+
+function writeXML(value, options) {
+  const warnings = [];
+  const keys = isPlainObject(value) ? Object.keys(value) : [];
+  let root = value;
+  if (keys.length !== 1 || keys[0].startsWith('@') || keys[0] === '#text' || Array.isArray(value[keys[0]])) {
+    root = { root: Array.isArray(value) ? { item: value } : value };
+    warnings.push('Wrapped in a <root> element (XML needs exactly one top-level element)');
+  }
+  const found = { nulls: [], nested: [], renamed: [] };
+  root = xmlSafe(root, [], found);
+  if (found.renamed.length) warnings.push(`Renamed to valid XML names: ${found.renamed.join(', ')}`);
+  if (found.nested.length) warnings.push(`Nested arrays wrapped in <item> elements: ${pathSummary(found.nested)}`);
+  if (found.nulls.length) warnings.push(`${pluralize(found.nulls.length, 'null')} written as empty elements: ${pathSummary(found.nulls)}`);
+
+  const compare = keyComparator(options.sortKeys);
+  if (compare) root = sortKeysDeep(root, compare);
+  const indentBy = options.indent === 'tab' ? '\t' : ' '.repeat(options.indent);
+  const builder = new XMLBuilder({ ...XML_OPTIONS, format: true, indentBy, suppressEmptyNode: true });
+  const output = `<?xml version="1.0" encoding="UTF-8"?>\n${builder.build(root).trim()}${options.finalNewline ? '\n' : ''}`;
+  return { output, warnings };
+}
+
+// --- CSV ---
+
+const CSV_DELIMITERS = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+
+// The candidate that splits the header line into the most fields
+function detectDelimiter(text) {
+  const header = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+  let best = ',';
+  for (const delimiter of Object.keys(CSV_DELIMITERS)) {
+    if (header.split(delimiter).length > header.split(best).length) best = delimiter;
+  }
+  return best;
+}
+
+// RFC 4180: quoted fields may hold delimiters, newlines and "" for a quote
+function parseCSV(text) {
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = null;   // { line, col } of the opening quote while inside one
+  let closed = false;  // just past a closing quote
+  let line = 1;
+  let col = 1;
+  for (let i = 0; i < text.length; i++, col++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+        col++;
+      } else if (c === '"') {
+        quoted = null;
+        closed = true;
+      } else {
+        field += c;
+        if (c === '\n') {
+          line++;
+          col = 0;
+        }
+      }
+      continue;
+    }
+    if (c === delimiter || c === '\n' || (c === '\r' && text[i + 1] === '\n')) {
+      row.push(field);
+      field = '';
+      closed = false;
+      if (c === delimiter) continue;
+      if (c === '\r') i++;
+      rows.push(row);
+      row = [];
+      line++;
+      col = 0;
+    } else if (closed) {
+      throw syntaxError(`Expected ${CSV_DELIMITERS[delimiter]} or end of line after a closing quote`, line, col);
+    } else if (c === '"' && field === '') {
+      quoted = { line, col };
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw syntaxError('Quoted field is never closed', quoted.line, quoted.col);
+  if (field || closed || row.length) rows.push([...row, field]);
+  return { rows, delimiter };
+}
+
+function csvCell(value, delimiter) {
+  const text = String(value);
+  if (!text.includes(delimiter) && !/["\r\n]/.test(text) && text.trim() === text) return text;
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function stringifyCSV(rows, delimiter, finalNewline) {
+  return rows.map(row => row.map(cell => csvCell(cell, delimiter)).join(delimiter)).join('\n') + (finalNewline ? '\n' : '');
+}
+
+// Rows whose width differs from the header's, as warnings
+function raggedRows(rows) {
+  const width = rows[0]?.length ?? 0;
+  const out = [];
+  rows.forEach((row, i) => {
+    if (i && row.length !== width) out.push(`Row ${i + 1} has ${pluralize(row.length, 'field')}, the header ${width}`);
+  });
+  return out;
+}
+
+// Re-quotes with as few quotes as possible and keeps the delimiter
+function formatCSV(text, options) {
+  const { rows, delimiter } = parseCSV(text);
+  const kind = delimiter === ',' ? 'CSV' : `CSV (${CSV_DELIMITERS[delimiter]}-separated)`;
+  return {
+    output: stringifyCSV(rows, delimiter, options.finalNewline),
+    label: `Valid ${kind} · ${pluralize(Math.max(rows.length - 1, 0), 'row')} × ${pluralize(rows[0]?.length ?? 0, 'column')}`,
+    warnings: raggedRows(rows),
+  };
+}
+
+// Cells are strings; read one as a number or boolean only when writing it back gives the same text
+function csvValue(cell) {
+  if (cell === 'true' || cell === 'false') return cell === 'true';
+  if (/^-?(?:0|[1-9]\d*)(?:\.\d*[1-9])?$/.test(cell) && String(Number(cell)) === cell) return Number(cell);
+  return cell;
+}
+
+function readCSV(text) {
+  const { rows } = parseCSV(text);
+  const warnings = raggedRows(rows);
+  const seen = new Map();
+  const header = (rows[0] ?? []).map((cell, i) => {
+    let name = cell.trim() || `column${i + 1}`;
+    const count = (seen.get(name) ?? 0) + 1;
+    seen.set(name, count);
+    if (count > 1) {
+      warnings.push(`Duplicate column "${name}" renamed to "${name}_${count}"`);
+      name = `${name}_${count}`;
+    }
+    return name;
+  });
+  const value = rows.slice(1).map(row => Object.fromEntries(header.map((name, i) => [name, csvValue(row[i] ?? '')])));
+  return { value, warnings };
+}
+
+// Nested objects become dotted columns; arrays are written as JSON text
+function flattenRecord(value, prefix, out, found) {
+  for (const key of Object.keys(value)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    const item = value[key];
+    if (isPlainObject(item) && Object.keys(item).length) {
+      found.nested.add(prefix ? prefix.split('.')[0] : key);
+      flattenRecord(item, name, out, found);
+    } else if (Array.isArray(item) || isPlainObject(item)) {
+      found.arrays.add(name);
+      out[name] = JSON.stringify(item);
+    } else {
+      out[name] = item ?? '';
+    }
+  }
+  return out;
+}
+
+function writeCSV(value, options) {
+  const warnings = [];
+  let records = value;
+  if (!Array.isArray(value)) {
+    records = [value];
+    warnings.push('Not an array — written as a single row');
+  }
+  if (records.some(record => !isPlainObject(record))) {
+    warnings.push('Array items that aren\'t objects written to a "value" column');
+  }
+  const found = { nested: new Set(), arrays: new Set() };
+  const flat = records.map(record => flattenRecord(isPlainObject(record) ? record : { value: record }, '', {}, found));
+  if (found.nested.size) warnings.push(`Nested objects flattened into dotted columns: ${[...found.nested].join(', ')}`);
+  if (found.arrays.size) warnings.push(`Arrays written as JSON text: ${[...found.arrays].join(', ')}`);
+
+  const columns = [...new Set(flat.flatMap(Object.keys))];
+  const compare = keyComparator(options.sortKeys);
+  if (compare) columns.sort(compare);
+  const missing = flat.filter(row => columns.some(column => !(column in row))).length;
+  if (missing) warnings.push(`${pluralize(missing, 'row')} missing some columns; left empty`);
+  const rows = [columns, ...flat.map(row => columns.map(column => row[column] ?? ''))];
+  return { output: records.length ? stringifyCSV(rows, ',', options.finalNewline) : '', warnings };
+}
+
+// --- .env ---
+
+const ENV_NAME = /^[A-Za-z_][\w.-]*$/;
+const ENV_ESCAPES = { n: '\n', r: '\r', t: '\t' };
+
+// Lines as `{ type: 'blank' | 'comment' | 'entry', text }`; entries also carry
+// `key`, `value`, `raw` (the value as written), `comment`, `exported` and `line`.
+// Quoted values may span lines.
+function parseEnv(text) {
+  const lines = text.split('\n').map(line => line.replace(/\r$/, ''));
+  const items = [];
+  for (let i = 0; i < lines.length; i++) {
+    const text = lines[i].trim();
+    if (!text) {
+      items.push({ type: 'blank', text });
+      continue;
+    }
+    if (text.startsWith('#')) {
+      items.push({ type: 'comment', text });
+      continue;
+    }
+    const col = lines[i].length - lines[i].trimStart().length + 1;
+    const m = /^(export\s+)?([^=\s]+)\s*=[ \t]*(.*)$/.exec(text);
+    if (!m) throw syntaxError('Expected KEY=value', i + 1, col);
+    const [, exported, key] = m;
+    if (!ENV_NAME.test(key)) throw syntaxError(`Invalid variable name "${key}"`, i + 1, col + (exported?.length ?? 0));
+    const entry = { type: 'entry', key, exported: Boolean(exported), line: i + 1, comment: '' };
+    let rest = m[3];
+    const quote = rest[0];
+    if (quote === '"' || quote === "'" || quote === '`') {
+      let end = -1;
+      let j = 1;
+      const start = i;
+      for (;;) {
+        for (; j < rest.length; j++) {
+          if (quote === '"' && rest[j] === '\\') j++;
+          else if (rest[j] === quote) {
+            end = j;
+            break;
+          }
+        }
+        if (end !== -1 || i === lines.length - 1) break;
+        rest += `\n${lines[++i]}`;
+      }
+      if (end === -1) throw syntaxError('Quoted value is never closed', start + 1, lines[start].indexOf(quote) + 1);
+      entry.raw = rest.slice(0, end + 1);
+      const body = entry.raw.slice(1, -1);
+      entry.value = quote === '"' ? body.replace(/\\(.)/g, (_, c) => ENV_ESCAPES[c] ?? c) : body;
+      const after = rest.slice(end + 1).trim();
+      if (after && !after.startsWith('#')) throw syntaxError('Unexpected text after the closing quote', i + 1, lines[i].indexOf(after) + 1);
+      entry.comment = after;
+    } else {
+      const hash = rest.startsWith('#') ? 0 : rest.search(/\s#/);
+      if (hash !== -1) {
+        entry.comment = rest.slice(hash).trim();
+        rest = rest.slice(0, hash);
+      }
+      entry.raw = rest.trim();
+      entry.value = entry.raw;
+    }
+    items.push(entry);
+  }
+  return items;
+}
+
+// `KEY=value` spacing, trimmed lines and one blank line at most; quoting is kept as written
+function formatEnv(text, options) {
+  const items = parseEnv(text);
+  const out = [];
+  for (const item of items) {
+    if (item.type === 'blank') {
+      if (out.length && out.at(-1) !== '') out.push('');
+    } else if (item.type === 'comment') {
+      out.push(item.text);
+    } else {
+      out.push(`${item.exported ? 'export ' : ''}${item.key}=${item.raw}${item.comment ? ` ${item.comment}` : ''}`);
+    }
+  }
+  while (out.at(-1) === '') out.pop();
+  return {
+    output: out.join('\n') + (options.finalNewline ? '\n' : ''),
+    label: `Valid .env · ${pluralize(items.filter(item => item.type === 'entry').length, 'variable')}`,
+    warnings: duplicateEnvKeys(items),
+  };
+}
+
+function duplicateEnvKeys(items) {
+  const lines = new Map();
+  for (const item of items) {
+    if (item.type === 'entry') lines.set(item.key, [...(lines.get(item.key) ?? []), item.line]);
+  }
+  return [...lines].filter(([, at]) => at.length > 1)
+    .map(([key, at]) => `${key} is set on lines ${at.join(', ')}; the last one wins`);
+}
+
+function readEnv(text) {
+  const items = parseEnv(text);
+  const value = {};
+  for (const item of items) {
+    if (item.type === 'entry') value[item.key] = item.value;
+  }
+  const warnings = duplicateEnvKeys(items);
+  const comments = items.filter(item => item.type === 'comment' || (item.type === 'entry' && item.comment)).length;
+  if (comments) warnings.unshift(`${pluralize(comments, 'comment')} dropped`);
+  return { value, warnings };
+}
+
+function envValue(value) {
+  const text = String(value ?? '');
+  if (/^[\w./:@%+,-]*$/.test(text)) return text;
+  return `"${text.replace(/[\\"\n\r\t]/g, c => ({ '\n': '\\n', '\r': '\\r', '\t': '\\t' })[c] ?? `\\${c}`)}"`;
+}
+
+// Nested keys are joined with "_" and keep their case: { db: { host } } → db_host
+function flattenEnv(value, prefix, out, found) {
+  for (const key of Object.keys(value)) {
+    const item = value[key];
+    const name = prefix ? `${prefix}_${key}` : key;
+    if (isPlainObject(item) && Object.keys(item).length) {
+      found.nested++;
+      flattenEnv(item, name, out, found);
+      continue;
+    }
+    let safe = name.replace(/[^\w.-]/g, '_');
+    if (!/^[A-Za-z_]/.test(safe)) safe = `_${safe}`;
+    if (safe !== name) found.renamed.push(`${JSON.stringify(name)} → ${safe}`);
+    if (Array.isArray(item) || isPlainObject(item)) found.arrays.push(safe);
+    if (item === null) found.nulls.push(safe);
+    out.push(`${safe}=${envValue(Array.isArray(item) || isPlainObject(item) ? JSON.stringify(item) : item)}`);
+  }
+  return out;
+}
+
+function writeEnv(value, options) {
+  const warnings = [];
+  let root = value;
+  if (Array.isArray(value)) {
+    root = Object.fromEntries(value.map((item, i) => [`ITEM_${i}`, item]));
+    warnings.push('Top-level array written as ITEM_0, ITEM_1, …');
+  } else if (!isPlainObject(value)) {
+    root = { VALUE: value };
+    warnings.push('Top-level value written as VALUE');
+  }
+  const compare = keyComparator(options.sortKeys);
+  if (compare) root = sortKeysDeep(root, compare);
+  const found = { nested: 0, arrays: [], nulls: [], renamed: [] };
+  const lines = flattenEnv(root, '', [], found);
+  if (found.nested) warnings.push(`${pluralize(found.nested, 'nested object')} flattened into KEY_SUBKEY names`);
+  if (found.renamed.length) warnings.push(`Renamed to valid variable names: ${found.renamed.join(', ')}`);
+  if (found.arrays.length) warnings.push(`Arrays written as JSON text: ${found.arrays.join(', ')}`);
+  if (found.nulls.length) warnings.push(`Nulls written as empty values: ${found.nulls.join(', ')}`);
+  return { output: lines.join('\n') + (options.finalNewline ? '\n' : ''), warnings };
+}
+
+// --- Conversion ---
+
+const DATA_READERS = {
+  json: (text, { lenient }) => ({ value: parseJSON(text, lenient), warnings: [] }),
+  yaml: readYAML,
+  toml: readTOML,
+  xml: readXML,
+  csv: readCSV,
+  env: readEnv,
+};
+
+const DATA_WRITERS = {
+  json: (value, options) => ({ output: stringifyJSON(value, options, false, containsBigInt(value)), warnings: [] }),
+  yaml: writeYAML,
+  toml: writeTOML,
+  xml: writeXML,
+  csv: writeCSV,
+  env: writeEnv,
+};
+
+const DATA_FORMATTERS = { toml: formatTOML, xml: formatXML, csv: formatCSV, env: formatEnv };
+
+// Reads `text` as `from` and writes it as `to`; warnings from both sides are kept
+function convertData(text, from, to, { lenient = false, format = DEFAULT_FORMAT_OPTIONS } = {}) {
+  const read = DATA_READERS[from](text, { lenient });
+  const written = DATA_WRITERS[to](read.value, format);
+  return { output: written.output, warnings: [...read.warnings, ...written.warnings] };
+}
+
+const SYNTAX_CHECKS = { toml: parseTOMLText, xml: validateXMLText, csv: parseCSV, env: parseEnv };
+
+// Syntax check for the TOML, XML, CSV and .env editors: `{ message, line, col }`, or null
+export function dataSyntaxError(text, format) {
+  if (!text.trim()) return null;
+  try {
+    SYNTAX_CHECKS[format](text);
+    return null;
+  } catch (err) {
+    if (!err.linePos) throw err;
+    return { message: err.message, ...err.linePos[0] };
+  }
+}
+
+
+// ===== YAML Anchors =====
+
+// Anchors and aliases across a parsed stream, with source offsets into `text`:
+//   anchors: { name, node, from, to, used }  — from/to cover the `&name` token
+//   aliases: { name, from, to, anchor, cycle } — anchor is null when nothing by that name precedes it
+// An alias can only refer back to an anchor defined before it, so the only way to expand
+// forever is an alias nested inside the node it names.
+export function analyzeAnchors(docs, text) {
+  const anchors = [];
+  const aliases = [];
+  for (const doc of docs) {
+    const byNode = new Map();
+    YAML.visit(doc, {
+      Node(_, node) {
+        if (!node.anchor || !node.range) return;
+        const from = text.lastIndexOf(`&${node.anchor}`, node.range[0]);
+        const anchor = { name: node.anchor, node, from, to: from + node.anchor.length + 1, used: false };
+        byNode.set(node, anchor);
+        anchors.push(anchor);
+      },
+      Alias(_, node, ancestors) {
+        const target = node.resolve(doc);
+        const anchor = target ? byNode.get(target) ?? null : null;
+        if (anchor) anchor.used = true;
+        aliases.push({
+          name: node.source,
+          from: node.range[0],
+          to: node.range[1],
+          anchor,
+          cycle: Boolean(target) && ancestors.includes(target),
+        });
+      },
+    });
+  }
+  return { anchors, aliases };
+}
+
+// Source of an anchored node without the indentation it had in place
+export function anchorSource({ node }, text) {
+  const [first, ...rest] = text.slice(node.range[0], node.range[1]).trimEnd().split('\n');
+  const indent = Math.min(...rest.filter(line => line.trim()).map(line => line.search(/\S/)));
+  return [first, ...rest.map(line => line.slice(Number.isFinite(indent) ? indent : 0))].join('\n');
+}
+
+function resolveYAML(text, format = DEFAULT_FORMAT_OPTIONS) {
+  const docs = YAML.parseAllDocuments(text, { merge: true })
+    .filter(doc => doc.contents !== null || doc.errors.length);
+  for (const doc of docs) {
+    if (doc.errors.length) throw doc.errors[0];
+  }
+
+  const { anchors, aliases } = analyzeAnchors(docs, text);
+  const cycle = aliases.find(a => a.cycle);
+  if (cycle) {
+    const err = new Error(`Alias cycle: *${cycle.name} is inside the node it refers to, so it never finishes expanding`);
+    err.linePos = [offsetToLineCol(text, cycle.from)];
+    throw err;
+  }
+  const unknown = aliases.find(a => !a.anchor);
+  if (unknown) {
+    const err = new Error(`Unknown alias *${unknown.name}: no &${unknown.name} anchor before it`);
+    err.linePos = [offsetToLineCol(text, unknown.from)];
+    throw err;
+  }
+
+  let merges = 0;
+  for (const doc of docs) {
+    YAML.visit(doc, {
+      Pair(_, pair) {
+        if (YAML.isScalar(pair.key) && pair.key.source === '<<') merges++;
+      }
+    });
+  }
+
+  const warnings = anchors.filter(a => !a.used)
+    .map(a => `Unused anchor &${a.name} · Line ${offsetToLineCol(text, a.from).line}`);
+  const comments = countComments(text);
+  if (comments) warnings.unshift(`${pluralize(comments, 'comment')} dropped`);
+
+  // aliasDuplicateObjects: false writes every shared object out in full instead of re-anchoring it
+  const resolved = docs.map(doc => new YAML.Document(doc.toJS({ maxAliasCount: -1 }), { aliasDuplicateObjects: false }));
+  const expanded = [
+    aliases.length && pluralize(aliases.length, 'alias', 'aliases'),
+    merges && pluralize(merges, 'merge key'),
+  ].filter(Boolean);
+  return {
+    output: stringifyYAML(resolved, format),
+    label: `Resolved YAML${expanded.length ? ` · ${expanded.join(' + ')} expanded` : ''}`,
+    warnings,
+  };
+}
+
+
+// ===== YAML Streams =====
+
+function streamDocuments(text) {
+  return YAML.parseAllDocuments(text).filter(doc => doc.contents !== null || doc.errors.length);
+}
+
+// Source span of each document: from its `---` (or the start of the text, so leading
+// comments stay with the first one) up to where the next document begins
+function documentSpans(text, docs) {
+  const starts = docs.map((doc, i) => i ? doc.range[0] : 0);
+  return starts.map((from, i) => ({ from, to: starts[i + 1] ?? text.length }));
+}
+
+function scalarString(value) {
+  return typeof value === 'string' || typeof value === 'number' ? String(value) : '';
+}
+
+// One entry per document of a stream: `{ index, from, to, start, kind, name, namespace, error }`.
+// kind and metadata.name are what identify a Kubernetes manifest; `start` is where its
+// content begins and `error` is `{ message, line }` for a document that doesn't parse.
+export function outlineDocuments(text) {
+  const docs = streamDocuments(text);
+  const spans = documentSpans(text, docs);
+  return docs.map((doc, index) => {
+    const map = YAML.isMap(doc.contents) ? doc.contents : null;
+    const metadata = map?.get('metadata');
+    const err = doc.errors[0];
+    return {
+      index,
+      ...spans[index],
+      start: doc.contents?.range?.[0] ?? spans[index].from,
+      kind: scalarString(map?.get('kind')),
+      name: YAML.isMap(metadata) ? scalarString(metadata.get('name')) : '',
+      namespace: YAML.isMap(metadata) ? scalarString(metadata.get('namespace')) : '',
+      error: err ? { message: yamlErrorSummary(err), line: err.linePos?.[0].line } : null,
+    };
+  });
+}
+
+// Rejoins document sources in a new order; every document after the first gets a `---`
+// unless it has one below its leading comments
+function joinDocuments(sources) {
+  return sources.map((source, i) => {
+    const body = source.endsWith('\n') ? source : `${source}\n`;
+    return i && !/^(?:[ \t]*(?:#.*)?\n)*---/.test(body) ? `---\n${body}` : body;
+  }).join('');
+}
+
+// Directives (`%YAML 1.2`, `%TAG`) before the first `---` apply to the stream, so they're
+// split off the first document and stay at the top whatever ends up first
+function splitDirectives(source) {
+  const marker = source.search(/^---/m);
+  const m = marker === -1 ? null : /^(?:.*\n)*%.*\n/.exec(source.slice(0, marker));
+  return m ? [m[0], source.slice(m[0].length)] : ['', source];
+}
+
+// Applies `edit` to the array of document sources and rejoins them
+function editDocuments(text, edit) {
+  const sources = documentSources(text);
+  const [directives, first] = splitDirectives(sources[0] ?? '');
+  sources[0] = first;
+  edit(sources);
+  return sources.length ? directives + joinDocuments(sources) : '';
+}
+
+function documentSources(text) {
+  return documentSpans(text, streamDocuments(text)).map(({ from, to }) => text.slice(from, to));
+}
+
+// Moves document `index` to position `to` in the stream
+export function moveDocument(text, index, to) {
+  return editDocuments(text, (sources) => {
+    const [moved] = sources.splice(index, 1);
+    sources.splice(to, 0, moved);
+  });
+}
+
+export function removeDocument(text, index) {
+  return editDocuments(text, sources => sources.splice(index, 1));
+}
+
+// A single document's source, without the `---` that separated it from the previous one
+export function extractDocument(text, index) {
+  return documentSources(text)[index].replace(/^---[ \t]*\n/, '');
+}
+
+// ===== YAML Lint =====
+
+// Rules and option names follow yamllint, so an existing `.yamllint` file carries over.
+// `level` is 'error', 'warning' or 'off'; defaults match yamllint's `default` preset.
+export const LINT_RULES = {
+  'key-duplicates': { title: 'Duplicate keys', defaults: { level: 'error' } },
+  truthy: { title: 'Truthy values', defaults: { level: 'warning', 'allowed-values': ['true', 'false'], 'check-keys': true } },
+  indentation: { title: 'Indentation', defaults: { level: 'error', spaces: 'consistent', 'indent-sequences': true } },
+  'trailing-spaces': { title: 'Trailing spaces', defaults: { level: 'error' } },
+  'line-length': { title: 'Line length', defaults: { level: 'error', max: 80, 'allow-non-breakable-words': true, 'allow-non-breakable-inline-mappings': false } },
+  'document-start': { title: 'Document start', defaults: { level: 'warning', present: true } },
+  'octal-values': { title: 'Octal-looking values', defaults: { level: 'off', 'forbid-implicit-octal': true, 'forbid-explicit-octal': true } },
+  'key-ordering': { title: 'Key ordering', defaults: { level: 'off' } },
+};
+
+const LINT_LEVELS = ['error', 'warning', 'off'];
+
+// yamllint's `relaxed` preset, for the rules implemented here
+const RELAXED_LINT_RULES = {
+  truthy: { level: 'off' },
+  indentation: { level: 'warning', 'indent-sequences': 'consistent' },
+  'line-length': { level: 'warning', 'allow-non-breakable-inline-mappings': true },
+  'document-start': { level: 'off' },
+};
+
+export const DEFAULT_LINT_CONFIG = Object.fromEntries(
+  Object.entries(LINT_RULES).map(([id, rule]) => [id, rule.defaults]));
+
+// Fills in missing rules and options and drops unknown ones, so stored or imported
+// configs can't break the linter
+export function normalizeLintConfig(config = {}) {
+  return Object.fromEntries(Object.entries(LINT_RULES).map(([id, rule]) => {
+    const given = config[id] ?? {};
+    const out = { ...rule.defaults };
+    for (const key of Object.keys(out)) {
+      if (given[key] !== undefined && typeof given[key] === typeof out[key]) out[key] = given[key];
+    }
+    if (!LINT_LEVELS.includes(out.level)) out.level = rule.defaults.level;
+    if (id === 'indentation') {
+      if (given.spaces === 'consistent' || Number.isInteger(given.spaces)) out.spaces = given.spaces;
+      if (['whatever', 'consistent'].includes(given['indent-sequences'])) out['indent-sequences'] = given['indent-sequences'];
+    }
+    if (id === 'line-length' && !(out.max > 0)) out.max = rule.defaults.max;
+    return [id, out];
+  }));
+}
+
+// Reads a `.yamllint` file: `extends: default | relaxed` plus per-rule `enable`, `disable`
+// or an options map. Returns the config and the names of rules it had to skip.
+export function parseYamllintConfig(text) {
+  const parsed = YAML.parse(text) ?? {};
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('Expected a mapping of yamllint settings');
+  const base = parsed.extends === 'relaxed' ? RELAXED_LINT_RULES : {};
+  if (parsed.extends && !['default', 'relaxed'].includes(parsed.extends)) {
+    throw new Error(`Unknown preset "${parsed.extends}" (expected default or relaxed)`);
+  }
+  const config = normalizeLintConfig(base);
+  const skipped = [];
+  for (const [id, value] of Object.entries(parsed.rules ?? {})) {
+    if (!LINT_RULES[id]) {
+      skipped.push(id);
+    } else if (value === 'disable' || value === false) {
+      config[id].level = 'off';
+    } else if (value === 'enable' || value === true) {
+      if (config[id].level === 'off') config[id].level = 'error';
+    } else if (value && typeof value === 'object') {
+      // yamllint enables a rule at error level when it's given options without a level
+      const level = value.level ?? (config[id].level === 'off' ? 'error' : config[id].level);
+      config[id] = { ...config[id], ...value, level };
+    }
+  }
+  return { config: normalizeLintConfig(config), skipped };
+}
+
+const TRUTHY_VALUES = new Set(['YES', 'Yes', 'yes', 'NO', 'No', 'no', 'TRUE', 'True', 'true',
+  'FALSE', 'False', 'false', 'ON', 'On', 'on', 'OFF', 'Off', 'off']);
+
+function lineStartOf(text, offset) {
+  return text.lastIndexOf('\n', offset - 1) + 1;
+}
+
+// Offset just past the line containing `offset`, including its newline
+function nextLineStart(text, offset) {
+  const end = text.indexOf('\n', offset);
+  return end === -1 ? text.length : end + 1;
+}
+
+function isPlainScalar(node) {
+  return YAML.isScalar(node) && node.type === 'PLAIN' && !node.tag && node.range;
+}
+
+function isMergePair(pair) {
+  return YAML.isScalar(pair.key) && pair.key.source === '<<';
+}
+
+// Rewrites a block map with its entries in order. Each entry runs from the line after the
+// previous value to the end of its own value's line, so comments above a key move with it.
+function sortedMapFix(map, text, compare) {
+  const first = map.items[0].key.range[0];
+  const indent = first - lineStartOf(text, first);
+  const chunks = [];
+  let from = first;
+  for (const pair of map.items) {
+    const end = pair.value?.range ? pair.value.range[1] : pair.key.range[1];
+    const to = nextLineStart(text, Math.max(end - 1, from));
+    let chunk = text.slice(from, to);
+    if (from === first) chunk = ' '.repeat(indent) + chunk;
+    if (!chunk.endsWith('\n')) chunk += '\n';
+    chunks.push({ pair, chunk });
+    from = to;
+  }
+  chunks.sort((a, b) => (isMergePair(b.pair) - isMergePair(a.pair)) || compare(nodeKey(a.pair.key), nodeKey(b.pair.key)));
+  let insert = chunks.map(c => c.chunk).join('').slice(indent);
+  if (!text.slice(first, from).endsWith('\n')) insert = insert.replace(/\n$/, '');
+  return { from: first, to: from, insert };
+}
+
+// `[from, to]` offsets of the content lines of every block scalar (| and >), where
+// trailing spaces are part of the value
+function blockScalarContent(docs, text) {
+  const ranges = [];
+  for (const doc of docs) {
+    YAML.visit(doc, {
+      Scalar(_, node) {
+        if (!node.range || !['BLOCK_LITERAL', 'BLOCK_FOLDED'].includes(node.type)) return;
+        ranges.push([nextLineStart(text, node.range[0]), node.range[1]]);
+      },
+    });
+  }
+  return ranges;
+}
+
+function lintLines(text, config, report, blockContent) {
+  const lineLength = config['line-length'];
+  let start = 0;
+  for (const line of text.split('\n')) {
+    if (config['trailing-spaces'].level !== 'off') {
+      const trailing = /[ \t]+$/.exec(line);
+      if (trailing) {
+        const from = start + trailing.index;
+        const edit = { from, to: start + line.length, insert: '' };
+        // Inside a block scalar the spaces belong to the value, so removing them is only offered
+        const inBlock = blockContent.some(([a, b]) => start >= a && start < b);
+        report('trailing-spaces', from, start + line.length, inBlock ? 'Trailing spaces in a block scalar' : 'Trailing spaces',
+          inBlock ? undefined : edit, inBlock ? { label: 'Trim', ...edit } : undefined);
+      }
+    }
+    if (lineLength.level !== 'off' && line.length > lineLength.max) {
+      // Long URLs and other unbreakable words are allowed past the limit, like in yamllint
+      const rest = line.trimStart().replace(/^(?:- |# ?)+/, '');
+      const unbreakable = (lineLength['allow-non-breakable-words'] && !/\s/.test(rest))
+        || (lineLength['allow-non-breakable-inline-mappings'] && /^[^\s:]+:\s+\S+$/.test(rest));
+      if (!unbreakable) {
+        report('line-length', start + lineLength.max, start + line.length,
+          `Line too long (${line.length} > ${lineLength.max} characters)`);
+      }
+    }
+    start += line.length + 1;
+  }
+}
+
+function lintDocument(doc, text, config, report, state) {
+  const col = offset => offset - lineStartOf(text, offset);
+  const indentation = config.indentation;
+
+  const docStart = config['document-start'];
+  if (docStart.level !== 'off' && doc.contents?.range) {
+    if (docStart.present && !doc.directives.docStart) {
+      const at = lineStartOf(text, doc.contents.range[0]);
+      report('document-start', at, nextLineStart(text, at) - 1, 'Missing document start "---"', { from: at, to: at, insert: '---\n' });
+    } else if (!docStart.present && doc.directives.docStart) {
+      const marker = text.lastIndexOf('---', doc.contents.range[0]);
+      // Only the first marker can go; later ones separate the documents
+      const fix = state.index === 0 && !/^%/m.test(text.slice(0, marker))
+        ? { from: marker, to: nextLineStart(text, marker), insert: '' }
+        : undefined;
+      report('document-start', marker, marker + 3, 'Found forbidden document start "---"', fix);
+    }
+  }
+
+  function checkIndentation(node, ancestors) {
+    if (indentation.level === 'off' || node.flow || !node.range || !node.items.length) return;
+    const start = node.range[0];
+    // Collections that open on their parent's line (`- a: 1`) take their indent from it
+    if (text.slice(lineStartOf(text, start), start).trim()) return;
+    const parent = ancestors[ancestors.length - 1];
+    let parentCol;
+    if (YAML.isPair(parent) && parent.key?.range) parentCol = col(parent.key.range[0]);
+    else if (YAML.isSeq(parent) && parent.range) parentCol = col(parent.range[0]);
+    else return;
+
+    const found = col(start);
+    const step = found - parentCol;
+    const isSequenceInMap = YAML.isSeq(node) && YAML.isPair(parent);
+    let expected;
+    if (isSequenceInMap && step === 0) {
+      const mode = indentation['indent-sequences'];
+      if (mode === 'consistent') state.indentSequences ??= false;
+      if (mode === false || mode === 'whatever' || (mode === 'consistent' && state.indentSequences === false)) return;
+      expected = parentCol + (state.spaces ?? (Number.isInteger(indentation.spaces) ? indentation.spaces : 2));
+    } else {
+      if (isSequenceInMap) {
+        if (indentation['indent-sequences'] === false) expected = parentCol;
+        if (indentation['indent-sequences'] === 'consistent') {
+          state.indentSequences ??= true;
+          if (!state.indentSequences) expected = parentCol;
+        }
+      }
+      if (expected === undefined) {
+        if (indentation.spaces === 'consistent') state.spaces ??= step > 0 ? step : undefined;
+        const spaces = indentation.spaces === 'consistent' ? state.spaces : indentation.spaces;
+        if (spaces === undefined) return;
+        expected = parentCol + spaces;
+      }
+    }
+    if (found !== expected) {
+      const from = lineStartOf(text, start);
+      report('indentation', from, start === from ? start + 1 : start,
+        `Wrong indentation: expected ${expected} but found ${found}`);
+    }
+  }
+
+  YAML.visit(doc, {
+    Map(_, map, ancestors) {
+      checkIndentation(map, ancestors);
+      if (config['key-duplicates'].level !== 'off') {
+        const seen = new Map();
+        for (const pair of map.items) {
+          if (!YAML.isScalar(pair.key) || isMergePair(pair) || !pair.key.range) continue;
+          const key = nodeKey(pair.key);
+          if (seen.has(key)) {
+            report('key-duplicates', pair.key.range[0], pair.key.range[1],
+              `Duplicate key "${key}" (first defined on line ${offsetToLineCol(text, seen.get(key)).line})`);
+          } else {
+            seen.set(key, pair.key.range[0]);
+          }
+        }
+      }
+
+      if (config['key-ordering'].level !== 'off') {
+        const keyed = map.items.filter(pair => YAML.isScalar(pair.key) && pair.key.range && !isMergePair(pair));
+        const unordered = keyed.find((pair, i) => i && localeCollator.compare(nodeKey(pair.key), nodeKey(keyed[i - 1].key)) < 0);
+        if (unordered) {
+          const sortable = !map.flow && map.items.every(pair => YAML.isScalar(pair.key) && pair.key.range);
+          report('key-ordering', unordered.key.range[0], unordered.key.range[1],
+            `Wrong ordering of key "${nodeKey(unordered.key)}" in mapping`,
+            sortable ? sortedMapFix(map, text, localeCollator.compare) : undefined);
+        }
+      }
+    },
+    Seq(_, seq, ancestors) {
+      checkIndentation(seq, ancestors);
+    },
+    Scalar(key, node) {
+      if (!isPlainScalar(node)) return;
+      const [from, to] = node.range;
+      const source = text.slice(from, to);
+      const truthy = config.truthy;
+      if (truthy.level !== 'off' && TRUTHY_VALUES.has(source) && !truthy['allowed-values'].includes(source)
+        && (key !== 'key' || truthy['check-keys'])) {
+        // True/FALSE are already booleans in YAML 1.2; yes/on/off are strings here but booleans in 1.1
+        const lower = source.toLowerCase();
+        const fix = /^(?:true|false)$/.test(lower)
+          ? truthy['allowed-values'].includes(lower) ? { from, to, insert: lower } : undefined
+          : { from, to, insert: `"${source}"` };
+        report('truthy', from, to, `Truthy value ${source} should be one of ${truthy['allowed-values'].join(', ')}`, fix);
+      }
+      const octal = config['octal-values'];
+      if (octal.level !== 'off') {
+        const implicit = octal['forbid-implicit-octal'] && /^0[0-7]+$/.test(source);
+        const explicit = octal['forbid-explicit-octal'] && /^0o[0-7]+$/.test(source);
+        if (implicit || explicit) {
+          // Only a suggestion: the value may well be meant as a number
+          report('octal-values', from, to, `Octal-looking value ${source} (${implicit ? 'YAML 1.1 reads it as octal' : 'an octal number'}); quote it if it's a string`,
+            undefined, { label: 'Quote', from, to, insert: `"${source}"` });
+        }
+      }
+    }
+  });
+}
+
+// Runs the enabled rules over `text`. Each problem is `{ rule, level, message, from, to,
+// line, col, fix?, suggestion? }`, where `fix` is a `{ from, to, insert }` edit that Fix all
+// applies and `suggestion` is a `{ label, from, to, insert }` edit that only applies on
+// request, because it may change what the document means; sorted by position.
+export function lintYAML(text, config = DEFAULT_LINT_CONFIG) {
+  const rules = normalizeLintConfig(config);
+  const problems = [];
+  const report = (rule, from, to, message, fix, suggestion) => {
+    const { line, col } = offsetToLineCol(text, from);
+    problems.push({ rule, level: rules[rule].level, message, from, to: Math.max(to, from), line, col, ...(fix && { fix }), ...(suggestion && { suggestion }) });
+  };
+
+  // Duplicate keys are this linter's to report, so let the parser accept them
+  const docs = text.trim() ? YAML.parseAllDocuments(text, { uniqueKeys: false }) : [];
+  lintLines(text, rules, report, blockScalarContent(docs, text));
+  const state = {};
+  docs.forEach((doc, index) => lintDocument(doc, text, rules, report, Object.assign(state, { index })));
+  return problems.sort((a, b) => a.from - b.from || a.to - b.to);
+}
+
+// Applies every available fix. Fixes can overlap (a key-ordering fix rewrites a whole
+// map), so each pass applies the ones that don't and re-lints until nothing changes.
+export function fixYAML(text, config = DEFAULT_LINT_CONFIG) {
+  let fixed = 0;
+  for (let pass = 0; pass < 10; pass++) {
+    const fixes = lintYAML(text, config).filter(p => p.fix).map(p => p.fix);
+    const applied = [];
+    for (const fix of fixes) {
+      if (applied.every(other => fix.to < other.from || fix.from > other.to)) applied.push(fix);
+    }
+    if (!applied.length) break;
+    for (const fix of applied.sort((a, b) => b.from - a.from)) {
+      text = text.slice(0, fix.from) + fix.insert + text.slice(fix.to);
+    }
+    fixed += applied.length;
+  }
+  return { text, fixed };
+}
+
+
+// ===== Query (JSONPath / jq) =====
+
+class QueryError extends Error {
+  constructor(message, pos) {
+    super(pos === undefined ? message : `${message} at ${pos + 1}`);
+    this.name = 'QueryError';
+    this.pos = pos;
+  }
+}
+
+const QUERY_PUNCT = ['..', '==', '!=', '<=', '>=', '&&', '||', '//', '.', '[', ']', '(', ')', '{', '}',
+  ',', ':', ';', '|', '?', '*', '@', '$', '<', '>', '!', '+', '-', '/', '%'];
+
+// Shared tokenizer for both languages: numbers, quoted strings, identifiers and punctuation
+function tokenizeQuery(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === '"' || c === "'") {
+      let j = i + 1;
+      let value = '';
+      while (j < src.length && src[j] !== c) {
+        if (src[j] === '\\') {
+          const esc = src[j + 1];
+          if (esc === 'u') {
+            value += String.fromCharCode(parseInt(src.slice(j + 2, j + 6), 16));
+            j += 6;
+            continue;
+          }
+          value += STRING_ESCAPES[esc] ?? esc;
+          j += 2;
+          continue;
+        }
+        value += src[j++];
+      }
+      if (j >= src.length) throw new QueryError('Unterminated string', i);
+      tokens.push({ type: 'str', value, pos: i });
+      i = j + 1;
+      continue;
+    }
+    const num = /^\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/.exec(src.slice(i));
+    if (num) {
+      tokens.push({ type: 'num', value: Number(num[0]), pos: i });
+      i += num[0].length;
+      continue;
+    }
+    const ident = /^[A-Za-z_$][\w$]*/.exec(src.slice(i));
+    if (ident && !(ident[0] === '$' && c === '$')) {
+      tokens.push({ type: 'ident', value: ident[0], pos: i });
+      i += ident[0].length;
+      continue;
+    }
+    const punct = QUERY_PUNCT.find(p => src.startsWith(p, i));
+    if (!punct) throw new QueryError(`Unexpected character "${c}"`, i);
+    tokens.push({ type: punct, pos: i });
+    i += punct.length;
+  }
+  tokens.push({ type: 'eof', pos: src.length });
+  return tokens;
+}
+
+function createTokenStream(src) {
+  const tokens = tokenizeQuery(src);
+  let p = 0;
+  return {
+    peek: (offset = 0) => tokens[p + offset],
+    next: () => tokens[p++],
+    at: (type, value) => tokens[p].type === type && (value === undefined || tokens[p].value === value),
+    accept(type, value) {
+      if (this.at(type, value)) return tokens[p++];
+      return null;
+    },
+    expect(type, what = type) {
+      if (tokens[p].type !== type) throw new QueryError(`Expected ${what}`, tokens[p].pos);
+      return tokens[p++];
+    },
+  };
+}
+
+function queryType(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  return typeof v;
+}
+
+// jq's total order: null < false < true < numbers < strings < arrays < objects
+function compareValues(a, b) {
+  const rank = v => {
+    const t = queryType(v);
+    if (t === 'boolean') return v ? 2 : 1;
+    return { null: 0, number: 3, string: 4, array: 5, object: 6 }[t];
+  };
+  const ra = rank(a);
+  const rb = rank(b);
+  if (ra !== rb) return ra - rb;
+  if (ra === 3) return a - b;
+  if (ra === 4) return a < b ? -1 : a > b ? 1 : 0;
+  if (ra === 5) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const c = compareValues(a[i], b[i]);
+      if (c) return c;
+    }
+    return a.length - b.length;
+  }
+  if (ra === 6) {
+    const ka = Object.keys(a).sort();
+    const kb = Object.keys(b).sort();
+    const c = compareValues(ka, kb);
+    if (c) return c;
+    for (const k of ka) {
+      const d = compareValues(a[k], b[k]);
+      if (d) return d;
+    }
+  }
+  return 0;
+}
+
+function isTruthy(v) {
+  return v !== null && v !== false && v !== undefined;
+}
+
+function compareOp(op, a, b) {
+  const c = compareValues(a, b);
+  switch (op) {
+    case '==': return c === 0;
+    case '!=': return c !== 0;
+    case '<': return c < 0;
+    case '<=': return c <= 0;
+    case '>': return c > 0;
+    case '>=': return c >= 0;
+  }
+  return false;
+}
+
+function sliceIndexes(length, start, end, step = 1) {
+  if (step === 0) return [];
+  const norm = (v, def) => (v === undefined || v === null ? def : v < 0 ? Math.max(length + v, step > 0 ? 0 : -1) : Math.min(v, length));
+  const out = [];
+  if (step > 0) {
+    for (let i = norm(start, 0); i < norm(end, length); i += step) out.push(i);
+  } else {
+    for (let i = norm(start, length - 1); i > norm(end, -1); i += step) out.push(i);
+  }
+  return out;
+}
+
+// ----- JSONPath (RFC 9535 subset: names, wildcards, indexes, slices, unions, descendants, filters) -----
+
+function parseJSONPath(src) {
+  const ts = createTokenStream(src);
+  ts.expect('$', '"$" at the start of a JSONPath');
+  const segments = parsePathSegments(ts);
+  ts.expect('eof', 'end of expression');
+  return segments;
+}
+
+function parsePathSegments(ts) {
+  const segments = [];
+  for (;;) {
+    if (ts.accept('..')) {
+      if (ts.at('[')) segments.push({ descendant: true, selectors: parseBracketSelectors(ts) });
+      else segments.push({ descendant: true, selectors: [parseDotSelector(ts)] });
+    } else if (ts.accept('.')) {
+      segments.push({ selectors: [parseDotSelector(ts)] });
+    } else if (ts.at('[')) {
+      segments.push({ selectors: parseBracketSelectors(ts) });
+    } else {
+      return segments;
+    }
+  }
+}
+
+function parseDotSelector(ts) {
+  if (ts.accept('*')) return { type: 'wildcard' };
+  const tok = ts.next();
+  if (tok.type === 'ident') return { type: 'name', name: tok.value };
+  if (tok.type === 'num') return { type: 'name', name: String(tok.value) };
+  throw new QueryError('Expected a property name', tok.pos);
+}
+
+function parseBracketSelectors(ts) {
+  ts.expect('[');
+  const selectors = [];
+  do {
+    if (ts.accept('*')) {
+      selectors.push({ type: 'wildcard' });
+    } else if (ts.accept('?')) {
+      selectors.push({ type: 'filter', expr: parseFilterExpr(ts) });
+    } else if (ts.at('str')) {
+      selectors.push({ type: 'name', name: ts.next().value });
+    } else {
+      const readInt = () => {
+        const neg = ts.accept('-');
+        if (!ts.at('num')) return undefined;
+        return (neg ? -1 : 1) * ts.next().value;
+      };
+      const start = readInt();
+      if (ts.accept(':')) {
+        const end = ts.at(':') || ts.at(']') || ts.at(',') ? undefined : readInt();
+        const step = ts.accept(':') ? readInt() : undefined;
+        selectors.push({ type: 'slice', start, end, step });
+      } else if (start === undefined) {
+        throw new QueryError('Expected a selector', ts.peek().pos);
+      } else {
+        selectors.push({ type: 'index', index: start });
+      }
+    }
+  } while (ts.accept(','));
+  ts.expect(']');
+  return selectors;
+}
+
+// Filter expressions: || && ! comparisons, @/$ paths, literals, parentheses
+function parseFilterExpr(ts) {
+  const or = () => {
+    let left = and();
+    while (ts.accept('||')) left = { op: '||', left, right: and() };
+    return left;
+  };
+  const and = () => {
+    let left = unary();
+    while (ts.accept('&&')) left = { op: '&&', left, right: unary() };
+    return left;
+  };
+  const unary = () => {
+    if (ts.accept('!')) return { op: '!', operand: unary() };
+    const left = primary();
+    const opTok = ['==', '!=', '<=', '>=', '<', '>'].find(op => ts.at(op));
+    if (!opTok) return left;
+    ts.next();
+    return { op: opTok, left, right: primary() };
+  };
+  const primary = () => {
+    if (ts.accept('(')) {
+      const inner = or();
+      ts.expect(')');
+      return inner;
+    }
+    if (ts.accept('@')) return { path: parsePathSegments(ts), root: false };
+    if (ts.accept('$')) return { path: parsePathSegments(ts), root: true };
+    if (ts.at('str') || ts.at('num')) return { literal: ts.next().value };
+    if (ts.accept('-')) return { literal: -ts.expect('num', 'a number').value };
+    const tok = ts.next();
+    if (tok.type === 'ident' && ['true', 'false', 'null'].includes(tok.value)) {
+      return { literal: JSON.parse(tok.value) };
+    }
+    throw new QueryError('Expected a value in filter', tok.pos);
+  };
+  return or();
+}
+
+function jsonPathChildren(value, selector, root) {
+  const t = queryType(value);
+  switch (selector.type) {
+    case 'name':
+      return t === 'object' && Object.prototype.hasOwnProperty.call(value, selector.name) ? [value[selector.name]] : [];
+    case 'wildcard':
+      return t === 'array' ? value : t === 'object' ? Object.values(value) : [];
+    case 'index': {
+      if (t !== 'array') return [];
+      const i = selector.index < 0 ? value.length + selector.index : selector.index;
+      return i >= 0 && i < value.length ? [value[i]] : [];
+    }
+    case 'slice':
+      return t === 'array' ? sliceIndexes(value.length, selector.start, selector.end, selector.step ?? 1).map(i => value[i]) : [];
+    case 'filter': {
+      const items = t === 'array' ? value : t === 'object' ? Object.values(value) : [];
+      return items.filter(item => isTruthy(evalFilter(selector.expr, item, root)));
+    }
+  }
+  return [];
+}
+
+function descendants(value, out = []) {
+  out.push(value);
+  const t = queryType(value);
+  if (t === 'array') value.forEach(v => descendants(v, out));
+  else if (t === 'object') Object.values(value).forEach(v => descendants(v, out));
+  return out;
+}
+
+function applyPathSegments(segments, nodes, root) {
+  for (const seg of segments) {
+    const sources = seg.descendant ? nodes.flatMap(n => descendants(n)) : nodes;
+    nodes = sources.flatMap(n => seg.selectors.flatMap(sel => jsonPathChildren(n, sel, root)));
+  }
+  return nodes;
+}
+
+function evalFilter(expr, current, root) {
+  if ('literal' in expr) return expr.literal;
+  if (expr.path) {
+    const nodes = applyPathSegments(expr.path, [expr.root ? root : current], root);
+    // A bare path is an existence test; in comparisons it yields its single value
+    return nodes.length ? nodes[0] : undefined;
+  }
+  switch (expr.op) {
+    case '!': return !isTruthy(evalFilter(expr.operand, current, root));
+    case '&&': return isTruthy(evalFilter(expr.left, current, root)) && isTruthy(evalFilter(expr.right, current, root));
+    case '||': return isTruthy(evalFilter(expr.left, current, root)) || isTruthy(evalFilter(expr.right, current, root));
+  }
+  const left = evalFilter(expr.left, current, root);
+  const right = evalFilter(expr.right, current, root);
+  if (left === undefined || right === undefined) return expr.op === '!=' && left !== right;
+  // Ordering comparisons only make sense between values of the same type
+  if (!['==', '!='].includes(expr.op) && queryType(left) !== queryType(right)) return false;
+  return compareOp(expr.op, left, right);
+}
+
+function evaluateJSONPath(src, value) {
+  return applyPathSegments(parseJSONPath(src.trim()), [value], value);
+}
+
+// ----- jq subset -----
+
+function parseJq(src) {
+  const ts = createTokenStream(src);
+  const ast = parseJqPipe(ts);
+  ts.expect('eof', 'end of expression');
+  return ast;
+}
+
+function parseJqPipe(ts) {
+  const left = parseJqComma(ts);
+  if (ts.accept('|')) return { type: 'pipe', left, right: parseJqPipe(ts) };
+  return left;
+}
+
+function parseJqComma(ts) {
+  let left = parseJqBinary(ts, 0);
+  while (ts.accept(',')) left = { type: 'comma', left, right: parseJqBinary(ts, 0) };
+  return left;
+}
+
+const JQ_BINARY_LEVELS = [
+  ['//'],
+  ['or'],
+  ['and'],
+  ['==', '!=', '<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%'],
+];
+
+function parseJqBinary(ts, level) {
+  if (level === JQ_BINARY_LEVELS.length) return parseJqPostfix(ts);
+  let left = parseJqBinary(ts, level + 1);
+  for (;;) {
+    const tok = ts.peek();
+    const op = tok.type === 'ident' ? tok.value : tok.type;
+    if (!JQ_BINARY_LEVELS[level].includes(op)) return left;
+    ts.next();
+    left = { type: 'binary', op, left, right: parseJqBinary(ts, level + 1) };
+    if (level === 3) return left; // comparisons don't chain
+  }
+}
+
+function parseJqPostfix(ts) {
+  let node = parseJqTerm(ts);
+  for (;;) {
+    if (ts.at('.') && (ts.peek(1).type === 'ident' || ts.peek(1).type === 'str')) {
+      ts.next();
+      node = { type: 'index', target: node, key: { type: 'literal', value: ts.next().value } };
+    } else if (ts.at('[')) {
+      node = parseJqBracket(ts, node);
+    } else if (ts.accept('?')) {
+      node = { type: 'try', body: node };
+    } else {
+      return node;
+    }
+  }
+}
+
+function parseJqBracket(ts, target) {
+  ts.expect('[');
+  if (ts.accept(']')) return { type: 'iterate', target };
+  let from = null;
+  if (!ts.at(':')) from = parseJqPipe(ts);
+  if (ts.accept(':')) {
+    const to = ts.at(']') ? null : parseJqPipe(ts);
+    ts.expect(']');
+    return { type: 'slice', target, from, to };
+  }
+  ts.expect(']');
+  return { type: 'index', target, key: from };
+}
+
+function parseJqTerm(ts) {
+  const tok = ts.peek();
+  if (ts.accept('..')) return { type: 'recurse' };
+  if (ts.accept('.')) {
+    const identity = { type: 'identity' };
+    if (ts.at('ident') || ts.at('str')) return { type: 'index', target: identity, key: { type: 'literal', value: ts.next().value } };
+    if (ts.at('[')) return parseJqBracket(ts, identity);
+    return identity;
+  }
+  if (ts.at('num') || ts.at('str')) return { type: 'literal', value: ts.next().value };
+  if (ts.accept('-')) return { type: 'binary', op: '-', left: { type: 'literal', value: 0 }, right: parseJqPostfix(ts) };
+  if (ts.accept('(')) {
+    const inner = parseJqPipe(ts);
+    ts.expect(')');
+    return inner;
+  }
+  if (ts.accept('[')) {
+    if (ts.accept(']')) return { type: 'array', body: null };
+    const body = parseJqPipe(ts);
+    ts.expect(']');
+    return { type: 'array', body };
+  }
+  if (ts.accept('{')) {
+    const entries = [];
+    if (!ts.at('}')) {
+      do {
+        const keyTok = ts.next();
+        let key;
+        if (keyTok.type === 'ident' || keyTok.type === 'str') key = { type: 'literal', value: keyTok.value };
+        else if (keyTok.type === '(') {
+          key = parseJqPipe(ts);
+          ts.expect(')');
+        } else throw new QueryError('Expected an object key', keyTok.pos);
+        const value = ts.accept(':')
+          ? parseJqBinary(ts, 0)
+          : { type: 'index', target: { type: 'identity' }, key };
+        entries.push({ key, value });
+      } while (ts.accept(','));
+    }
+    ts.expect('}');
+    return { type: 'object', entries };
+  }
+  if (tok.type === 'ident') {
+    ts.next();
+    if (['true', 'false', 'null'].includes(tok.value)) return { type: 'literal', value: JSON.parse(tok.value) };
+    if (tok.value === 'not') return { type: 'call', name: 'not', args: [] };
+    const args = [];
+    if (ts.accept('(')) {
+      do args.push(parseJqPipe(ts)); while (ts.accept(';'));
+      ts.expect(')');
+    }
+    if (!(tok.value in JQ_FUNCTIONS)) throw new QueryError(`Unknown function ${tok.value}`, tok.pos);
+    // Every function takes the input first; `empty` doesn't even name it
+    const arity = Math.max(JQ_FUNCTIONS[tok.value].length - 1, 0);
+    if (args.length !== arity && !(JQ_FUNCTIONS[tok.value].optional && args.length === 0)) {
+      throw new QueryError(`${tok.value} takes ${arity} argument${arity === 1 ? '' : 's'}`, tok.pos);
+    }
+    return { type: 'call', name: tok.value, args, pos: tok.pos };
+  }
+  throw new QueryError(tok.type === 'eof' ? 'Unexpected end of expression' : `Unexpected "${tok.value ?? tok.type}"`, tok.pos);
+}
+
+function jqIndex(value, key) {
+  const t = queryType(value);
+  if (value === null) return null;
+  if (typeof key === 'string') {
+    if (t !== 'object') throw new QueryError(`Cannot index ${t} with "${key}"`);
+    return Object.prototype.hasOwnProperty.call(value, key) ? value[key] : null;
+  }
+  if (typeof key === 'number') {
+    if (t !== 'array') throw new QueryError(`Cannot index ${t} with number`);
+    const i = key < 0 ? value.length + key : Math.floor(key);
+    return value[i] ?? null;
+  }
+  throw new QueryError(`Cannot index ${t} with ${queryType(key)}`);
+}
+
+function jqArithmetic(op, a, b) {
+  const ta = queryType(a);
+  const tb = queryType(b);
+  if (op === '+') {
+    if (a === null) return b;
+    if (b === null) return a;
+    if (ta === 'number' && tb === 'number') return a + b;
+    if (ta === 'string' && tb === 'string') return a + b;
+    if (ta === 'array' && tb === 'array') return [...a, ...b];
+    if (ta === 'object' && tb === 'object') return { ...a, ...b };
+  } else if (op === '-') {
+    if (ta === 'number' && tb === 'number') return a - b;
+    if (ta === 'array' && tb === 'array') return a.filter(x => !b.some(y => compareValues(x, y) === 0));
+  } else if (ta === 'number' && tb === 'number') {
+    if (op === '/' && b === 0) throw new QueryError('Division by zero');
+    return op === '*' ? a * b : op === '/' ? a / b : a % b;
+  } else if (op === '/' && ta === 'string' && tb === 'string') {
+    return a.split(b);
+  }
+  throw new QueryError(`Cannot apply ${op} to ${ta} and ${tb}`);
+}
+
+// Each function gets (input, ...argument ASTs); returns an array of outputs
+const JQ_FUNCTIONS = {
+  select: (input, f) => (evalJq(f, input).some(isTruthy) ? [input] : []),
+  map: (input, f) => [jqValues(input).flatMap(v => evalJq(f, v))],
+  map_values: (input, f) => {
+    if (queryType(input) === 'array') return [input.map(v => evalJq(f, v)[0] ?? null)];
+    return [Object.fromEntries(Object.entries(input).map(([k, v]) => [k, evalJq(f, v)[0] ?? null]))];
+  },
+  keys: (input) => [queryType(input) === 'array' ? input.map((_, i) => i) : Object.keys(jqObject(input)).sort()],
+  keys_unsorted: (input) => [Object.keys(jqObject(input))],
+  values: (input) => (input === null ? [] : [input]),
+  has: (input, f) => evalJq(f, input).map(k => (queryType(input) === 'array' ? k >= 0 && k < input.length : Object.prototype.hasOwnProperty.call(jqObject(input), k))),
+  length: (input) => {
+    const t = queryType(input);
+    if (t === 'null') return [0];
+    if (t === 'number') return [Math.abs(input)];
+    if (t === 'string' || t === 'array') return [input.length];
+    if (t === 'object') return [Object.keys(input).length];
+    throw new QueryError(`${t} has no length`);
+  },
+  type: (input) => [queryType(input)],
+  not: (input) => [!isTruthy(input)],
+  empty: () => [],
+  first: Object.assign((input, f) => (f ? evalJq(f, input).slice(0, 1) : [jqIndex(input, 0)]), { optional: true }),
+  last: Object.assign((input, f) => (f ? evalJq(f, input).slice(-1) : [jqIndex(input, -1)]), { optional: true }),
+  sort: (input) => [[...jqArray(input)].sort(compareValues)],
+  sort_by: (input, f) => [[...jqArray(input)].sort((a, b) => compareValues(evalJq(f, a), evalJq(f, b)))],
+  group_by: (input, f) => {
+    const groups = new Map();
+    for (const item of [...jqArray(input)].sort((a, b) => compareValues(evalJq(f, a), evalJq(f, b)))) {
+      const key = canonicalize(evalJq(f, item), {});
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    }
+    return [[...groups.values()]];
+  },
+  unique: (input) => [[...jqArray(input)].sort(compareValues).filter((v, i, arr) => i === 0 || compareValues(v, arr[i - 1]) !== 0)],
+  unique_by: (input, f) => {
+    const seen = new Set();
+    return [[...jqArray(input)].sort((a, b) => compareValues(evalJq(f, a), evalJq(f, b))).filter(v => {
+      const key = canonicalize(evalJq(f, v), {});
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })];
+  },
+  reverse: (input) => [typeof input === 'string' ? [...input].reverse().join('') : [...jqArray(input)].reverse()],
+  add: (input) => [jqValues(input).reduce((acc, v) => (acc === undefined ? v : jqArithmetic('+', acc, v)), undefined) ?? null],
+  min: (input) => [[...jqArray(input)].sort(compareValues)[0] ?? null],
+  max: (input) => [[...jqArray(input)].sort(compareValues).pop() ?? null],
+  flatten: (input) => [jqArray(input).flat(Infinity)],
+  any: (input) => [jqValues(input).some(isTruthy)],
+  all: (input) => [jqValues(input).every(isTruthy)],
+  to_entries: (input) => [Object.entries(jqObject(input)).map(([key, value]) => ({ key, value }))],
+  from_entries: (input) => [Object.fromEntries(jqArray(input).map(e => [String(e.key ?? e.k ?? e.name ?? e.Name ?? e.Key), e.value ?? e.v ?? e.Value ?? null]))],
+  with_entries: (input, f) => {
+    const entries = Object.entries(jqObject(input)).flatMap(([key, value]) => evalJq(f, { key, value }));
+    return JQ_FUNCTIONS.from_entries(entries);
+  },
+  tostring: (input) => [typeof input === 'string' ? input : JSON.stringify(input)],
+  tonumber: (input) => {
+    const n = Number(input);
+    if (Number.isNaN(n)) throw new QueryError(`Cannot parse "${input}" as a number`);
+    return [n];
+  },
+  ascii_downcase: (input) => [jqString(input).toLowerCase()],
+  ascii_upcase: (input) => [jqString(input).toUpperCase()],
+  startswith: (input, f) => evalJq(f, input).map(s => jqString(input).startsWith(s)),
+  endswith: (input, f) => evalJq(f, input).map(s => jqString(input).endsWith(s)),
+  contains: (input, f) => evalJq(f, input).map(s => (typeof input === 'string' ? input.includes(s) : jqContains(input, s))),
+  test: (input, f) => evalJq(f, input).map(re => new RegExp(re).test(jqString(input))),
+  split: (input, f) => evalJq(f, input).map(sep => jqString(input).split(sep)),
+  join: (input, f) => evalJq(f, input).map(sep => jqArray(input).map(v => (v === null ? '' : String(v))).join(sep)),
+  paths: (input) => jqPaths(input).map(({ path }) => path),
+  recurse: (input) => descendants(input),
+  ...Object.fromEntries(Object.entries({
+    nulls: ['null'], booleans: ['boolean'], numbers: ['number'], strings: ['string'], arrays: ['array'],
+    objects: ['object'], iterables: ['array', 'object'], scalars: ['null', 'boolean', 'number', 'string'],
+  }).map(([name, types]) => [name, (input) => (types.includes(queryType(input)) ? [input] : [])])),
+};
+
+function jqValues(input) {
+  const t = queryType(input);
+  if (t === 'array') return input;
+  if (t === 'object') return Object.values(input);
+  throw new QueryError(`Cannot iterate over ${t}`);
+}
+
+function jqArray(input) {
+  if (!Array.isArray(input)) throw new QueryError(`${queryType(input)} is not an array`);
+  return input;
+}
+
+function jqObject(input) {
+  if (queryType(input) !== 'object') throw new QueryError(`${queryType(input)} has no keys`);
+  return input;
+}
+
+function jqString(input) {
+  if (typeof input !== 'string') throw new QueryError(`${queryType(input)} is not a string`);
+  return input;
+}
+
+function jqContains(a, b) {
+  const t = queryType(a);
+  if (t !== queryType(b)) return false;
+  if (t === 'object') return Object.keys(b).every(k => k in a && jqContains(a[k], b[k]));
+  if (t === 'array') return b.every(y => a.some(x => jqContains(x, y)));
+  if (t === 'string') return a.includes(b);
+  return compareValues(a, b) === 0;
+}
+
+function jqPaths(value, prefix = [], out = []) {
+  const t = queryType(value);
+  const entries = t === 'array' ? value.map((v, i) => [i, v]) : t === 'object' ? Object.entries(value) : [];
+  for (const [k, v] of entries) {
+    out.push({ path: [...prefix, k], value: v });
+    jqPaths(v, [...prefix, k], out);
+  }
+  return out;
+}
+
+function evalJq(node, input) {
+  switch (node.type) {
+    case 'identity': return [input];
+    case 'recurse': return descendants(input);
+    case 'literal': return [node.value];
+    case 'pipe': return evalJq(node.left, input).flatMap(v => evalJq(node.right, v));
+    case 'comma': return [...evalJq(node.left, input), ...evalJq(node.right, input)];
+    case 'array': return [node.body ? evalJq(node.body, input) : []];
+    case 'try':
+      try {
+        return evalJq(node.body, input);
+      } catch (err) {
+        if (err instanceof QueryError) return [];
+        throw err;
+      }
+    case 'index':
+      return evalJq(node.target, input).flatMap(t => evalJq(node.key, input).map(k => jqIndex(t, k)));
+    case 'iterate':
+      return evalJq(node.target, input).flatMap(t => (t === null ? [] : jqValues(t)));
+    case 'slice':
+      return evalJq(node.target, input).map(t => {
+        if (t === null) return null;
+        const from = node.from ? evalJq(node.from, input)[0] : undefined;
+        const to = node.to ? evalJq(node.to, input)[0] : undefined;
+        if (typeof t === 'string' || Array.isArray(t)) return t.slice(from ?? 0, to ?? t.length);
+        throw new QueryError(`Cannot slice ${queryType(t)}`);
+      });
+    case 'object': {
+      let results = [{}];
+      for (const { key, value } of node.entries) {
+        const keys = evalJq(key, input);
+        const values = evalJq(value, input);
+        results = results.flatMap(obj => keys.flatMap(k => {
+          if (typeof k !== 'string') throw new QueryError('Object keys must be strings');
+          return values.map(v => ({ ...obj, [k]: v }));
+        }));
+      }
+      return results;
+    }
+    case 'binary': {
+      if (node.op === 'and' || node.op === 'or') {
+        return evalJq(node.left, input).flatMap(l => {
+          if (node.op === 'and' && !isTruthy(l)) return [false];
+          if (node.op === 'or' && isTruthy(l)) return [true];
+          return evalJq(node.right, input).map(isTruthy);
+        });
+      }
+      if (node.op === '//') {
+        let left = [];
+        try {
+          left = evalJq(node.left, input).filter(isTruthy);
+        } catch (err) {
+          if (!(err instanceof QueryError)) throw err;
+        }
+        return left.length ? left : evalJq(node.right, input);
+      }
+      const rights = evalJq(node.right, input);
+      return rights.flatMap(r => evalJq(node.left, input).map(l =>
+        (['==', '!=', '<', '<=', '>', '>='].includes(node.op) ? compareOp(node.op, l, r) : jqArithmetic(node.op, l, r))));
+    }
+    case 'call': return JQ_FUNCTIONS[node.name](input, ...node.args);
+  }
+  throw new QueryError(`Unsupported expression ${node.type}`);
+}
+
+function evaluateJq(src, value) {
+  return evalJq(parseJq(src), value);
+}
+
+export const QUERY_LANGS = { jsonpath: 'JSONPath', jq: 'jq' };
+
+// Renders query results for the output editor: JSONPath always yields a list of matches;
+// a single jq result is shown as-is, several as an array (JSON) or a document stream (YAML).
+function formatQueryResults(lang, results, target, format = DEFAULT_FORMAT_OPTIONS) {
+  const single = lang === 'jq' && results.length === 1;
+  if (target === 'json') return stringifyJSON(single ? results[0] : results, format);
+  const values = lang === 'jq' && !single ? results : [single ? results[0] : results];
+  return stringifyYAML(values.map(v => new YAML.Document(v)), format);
+}
+
+// Runs a query against parsed documents. JSONPath sees a multi-document stream as one array;
+// jq runs once per document, like `jq` over a stream of inputs.
+function runQuery(lang, expr, documents) {
+  if (!expr.trim()) throw new QueryError('Empty expression');
+  if (lang === 'jsonpath') {
+    return evaluateJSONPath(expr, documents.length > 1 ? documents : documents[0]);
+  }
+  const ast = parseJq(expr);
+  return documents.flatMap(doc => evalJq(ast, doc));
+}
+
+
+// ===== Type Generation =====
+
+// Infers one type from every sample (array elements, YAML documents) and writes it as a
+// JSON Schema, TypeScript interfaces or Zod schemas. A shape records what was seen:
+//   { samples, kinds: { null, boolean, number: { integer }, string: { values, count, format },
+//     array: <shape of every item>, object: { count, fields: Map<key, shape> } } }
+// A field is optional when fewer objects have it than there were objects.
+
+export const GENERATE_TARGETS = { schema: 'JSON Schema', typescript: 'TypeScript', zod: 'Zod' };
+
+const ENUM_MAX = 8;
+
+const STRING_FORMATS = [
+  ['date-time', /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?$/i],
+  ['date', /^\d{4}-\d{2}-\d{2}$/],
+  ['time', /^\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?$/i],
+  ['uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i],
+  ['email', /^[^\s@]+@[^\s@]+\.[^\s@]+$/],
+  ['uri', /^[a-z][a-z\d+.-]*:\/\/\S+$/i],
+];
+
+function stringFormat(text) {
+  return STRING_FORMATS.find(([, re]) => re.test(text))?.[0] ?? null;
+}
+
+function emptyShape() {
+  return { samples: 0, kinds: {} };
+}
+
+function addSample(shape, value) {
+  const { kinds } = shape;
+  shape.samples++;
+  if (value === null || value === undefined) {
+    kinds.null = true;
+  } else if (Array.isArray(value)) {
+    kinds.array ??= emptyShape();
+    for (const item of value) addSample(kinds.array, item);
+  } else if (typeof value === 'object') {
+    kinds.object ??= { count: 0, fields: new Map() };
+    kinds.object.count++;
+    for (const [key, item] of Object.entries(value)) {
+      if (!kinds.object.fields.has(key)) kinds.object.fields.set(key, emptyShape());
+      addSample(kinds.object.fields.get(key), item);
+    }
+  } else if (typeof value === 'string') {
+    kinds.string ??= { values: new Set(), count: 0, format: undefined };
+    const string = kinds.string;
+    string.count++;
+    if (string.values.size <= ENUM_MAX) string.values.add(value);
+    const format = stringFormat(value);
+    string.format = string.format === undefined || string.format === format ? format : null;
+  } else if (typeof value === 'number') {
+    kinds.number ??= { integer: true };
+    if (!Number.isInteger(value)) kinds.number.integer = false;
+  } else if (typeof value === 'boolean') {
+    kinds.boolean = true;
+  }
+}
+
+// A handful of distinct values that each repeat is an enum; formatted strings never are
+function enumValues(string) {
+  if (string.format || string.count < 3 || string.values.size > ENUM_MAX) return null;
+  return string.values.size < string.count ? [...string.values] : null;
+}
+
+function isOptional(object, field) {
+  return field.samples < object.count;
+}
+
+// "line_items" → "LineItems"
+function typeName(key) {
+  const name = String(key).split(/[^A-Za-z0-9]+/).filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1)).join('');
+  if (!name) return 'Type';
+  return /^\d/.test(name) ? `_${name}` : name;
+}
+
+// Name for the elements of an array called `name`: "Items" → "Item", "Entries" → "Entry"
+function itemTypeName(name) {
+  if (/ies$/.test(name)) return name.replace(/ies$/, 'y');
+  if (/[^s]s$/.test(name)) return name.slice(0, -1);
+  return `${name}Item`;
+}
+
+function propertyName(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+function uniqueTypeName(names, base) {
+  let name = base;
+  for (let n = 2; names.has(name); n++) name = `${base}${n}`;
+  names.add(name);
+  return name;
+}
+
+function schemaOf(shape) {
+  const { kinds } = shape;
+  const variants = [];
+  if (kinds.object) {
+    const properties = {};
+    const required = [];
+    for (const [key, field] of kinds.object.fields) {
+      properties[key] = schemaOf(field);
+      if (!isOptional(kinds.object, field)) required.push(key);
+    }
+    variants.push({ type: 'object', properties, ...(required.length && { required }) });
+  }
+  if (kinds.array) variants.push({ type: 'array', ...(kinds.array.samples && { items: schemaOf(kinds.array) }) });
+  if (kinds.string) {
+    const values = enumValues(kinds.string);
+    variants.push({ type: 'string', ...(values ? { enum: values } : kinds.string.format && { format: kinds.string.format }) });
+  }
+  if (kinds.number) variants.push({ type: kinds.number.integer ? 'integer' : 'number' });
+  if (kinds.boolean) variants.push({ type: 'boolean' });
+  if (kinds.null) variants.push({ type: 'null' });
+
+  if (variants.length <= 1) return variants[0] ?? {};
+  // Bare types combine into a type list; anything with keywords needs anyOf
+  if (variants.every(v => Object.keys(v).length === 1)) return { type: variants.map(v => v.type) };
+  return { anyOf: variants };
+}
+
+function typeScriptOf(shape, name, context) {
+  const { kinds } = shape;
+  const parts = [];
+  if (kinds.object) {
+    parts.push(kinds.object.fields.size ? typeScriptInterface(kinds.object, name, context) : 'Record<string, unknown>');
+  }
+  if (kinds.array) {
+    const item = kinds.array.samples ? typeScriptOf(kinds.array, itemTypeName(name), context) : 'unknown';
+    parts.push(/[ |]/.test(item) ? `Array<${item}>` : `${item}[]`);
+  }
+  if (kinds.string) parts.push(enumValues(kinds.string)?.map(v => JSON.stringify(v)).join(' | ') ?? 'string');
+  if (kinds.number) parts.push('number');
+  if (kinds.boolean) parts.push('boolean');
+  if (kinds.null) parts.push('null');
+  return parts.join(' | ') || 'unknown';
+}
+
+// Declarations come out parent first, in the order their fields were first seen
+function typeScriptInterface(object, base, context) {
+  const name = uniqueTypeName(context.names, base);
+  const index = context.declarations.push('') - 1;
+  const lines = [`export interface ${name} {`];
+  for (const [key, field] of object.fields) {
+    const format = field.kinds.string?.format;
+    if (format && !enumValues(field.kinds.string)) lines.push(`  /** @format ${format} */`);
+    const optional = isOptional(object, field) ? '?' : '';
+    lines.push(`  ${propertyName(key)}${optional}: ${typeScriptOf(field, typeName(key), context)};`);
+  }
+  lines.push('}');
+  context.declarations[index] = lines.join('\n');
+  return name;
+}
+
+const ZOD_FORMATS = { 'date-time': '.datetime()', date: '.date()', time: '.time()', uuid: '.uuid()', email: '.email()', uri: '.url()' };
+
+function zodOf(shape, name, context) {
+  const { kinds } = shape;
+  const parts = [];
+  if (kinds.object) {
+    parts.push(kinds.object.fields.size ? zodObject(kinds.object, name, context) : 'z.record(z.string(), z.unknown())');
+  }
+  if (kinds.array) {
+    parts.push(`z.array(${kinds.array.samples ? zodOf(kinds.array, itemTypeName(name), context) : 'z.unknown()'})`);
+  }
+  if (kinds.string) {
+    const values = enumValues(kinds.string);
+    parts.push(values ? `z.enum([${values.map(v => JSON.stringify(v)).join(', ')}])` : `z.string()${ZOD_FORMATS[kinds.string.format] ?? ''}`);
+  }
+  if (kinds.number) parts.push(kinds.number.integer ? 'z.number().int()' : 'z.number()');
+  if (kinds.boolean) parts.push('z.boolean()');
+
+  let expr = parts.length > 1 ? `z.union([${parts.join(', ')}])` : parts[0];
+  if (kinds.null) expr = expr ? `${expr}.nullable()` : 'z.null()';
+  return expr ?? 'z.unknown()';
+}
+
+// Schemas are declared before the ones that use them
+function zodObject(object, base, context) {
+  const name = uniqueTypeName(context.names, base);
+  const lines = [`export const ${name}Schema = z.object({`];
+  for (const [key, field] of object.fields) {
+    const optional = isOptional(object, field) ? '.optional()' : '';
+    lines.push(`  ${propertyName(key)}: ${zodOf(field, typeName(key), context)}${optional},`);
+  }
+  lines.push('});');
+  context.declarations.push(lines.join('\n'));
+  return `${name}Schema`;
+}
+
+function countObjectTypes(shape) {
+  const { kinds } = shape;
+  let count = 0;
+  if (kinds.object?.fields.size) {
+    count++;
+    for (const field of kinds.object.fields.values()) count += countObjectTypes(field);
+  }
+  if (kinds.array) count += countObjectTypes(kinds.array);
+  return count;
+}
+
+// `samples` are the top-level values to merge: one per YAML document, or the single JSON value
+function generateTypes(samples, target, format = DEFAULT_FORMAT_OPTIONS, rootName = 'Root') {
+  const shape = emptyShape();
+  for (const sample of samples) addSample(shape, sample);
+
+  let output;
+  if (target === 'schema') {
+    const schema = { $schema: 'https://json-schema.org/draft/2020-12/schema', title: rootName, ...schemaOf(shape) };
+    output = stringifyJSON(schema, format);
+  } else {
+    const context = { names: new Set(), declarations: [] };
+    // A root union declares the root name itself, so its object member needs another
+    if (Object.keys(shape.kinds).length > 1) context.names.add(rootName);
+    if (target === 'typescript') {
+      const root = typeScriptOf(shape, rootName, context);
+      if (root !== rootName) context.declarations.unshift(`export type ${rootName} = ${root};`);
+    } else {
+      const root = zodOf(shape, rootName, context);
+      if (root !== `${rootName}Schema`) context.declarations.push(`export const ${rootName}Schema = ${root};`);
+      context.declarations.unshift("import { z } from 'zod';");
+      context.declarations.push(`export type ${rootName} = z.infer<typeof ${rootName}Schema>;`);
+    }
+    output = context.declarations.join('\n\n') + (format.finalNewline ? '\n' : '');
+  }
+
+  const items = shape.kinds.array?.samples ?? 0;
+  const merged = samples.length > 1 ? samples.length : items;
+  return {
+    output,
+    label: `${GENERATE_TARGETS[target]} · ${pluralize(countObjectTypes(shape), 'object type')}${merged > 1 ? ` from ${pluralize(merged, 'sample')}` : ''}`,
+  };
+}
+
+
+// ===== Secret Detection =====
+
+// Likely credentials in any of the panel formats, found in the text rather than the parsed
+// data so they can be highlighted and masked in place. Each is `{ from, to, kind }`, where
+// from/to cover the secret itself (a quoted value's quotes are left out).
+
+const SECRET_KEY = /(?:pass(?:word|wd|phrase)?|pwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|client[_-]?secret|credentials?|authorization|auth[_-]?token|session[_-]?id|cookie|dsn)s?$/i;
+
+// A key, its separator and value: `"key": "v"`, `key: v`, `KEY=v`, `key = 'it''s'`
+const KEY_VALUE = /(["']?)([\w.-]+)\1[ \t]*[:=][ \t]*("(?:[^"\\\n]|\\.)*"|'(?:[^'\n]|'')*'|[^\s,#}\]]+)/g;
+// A YAML block scalar header (`|`, `>-`, `|2+`) ending its line; the value is on the lines below
+const BLOCK_HEADER = /^[|>](?:[1-9][+-]?|[+-][1-9]?)?$/;
+const XML_KEY_VALUE = /<([\w.-]+)(?:\s[^>]*)?>([^<]+)<\/\1>/g;
+
+// Values that are clearly not the secret itself
+const PLACEHOLDER = /^(?:true|false|null|none|~|-?\d+(?:\.\d+)?|\$\{[^}]*\}|\{\{[^}]*\}\}|<[^>]*>|\*+|x+|redacted|changeme|string)$/i;
+
+const SECRET_PATTERNS = [
+  ['private key', /-----BEGIN ([A-Z0-9 ]*)PRIVATE KEY-----[\s\S]*?-----END \1PRIVATE KEY-----/g],
+  ['PEM block', /-----BEGIN ([A-Z0-9 ]+)-----[\s\S]*?-----END \1-----/g],
+  ['JWT', /\beyJ[\w-]{5,}\.eyJ[\w-]{5,}\.[\w-]*/g],
+  ['AWS access key', /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|AIPA|ANPA|ANVA)[A-Z0-9]{16}\b/g],
+  ['GitHub token', /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g],
+  ['Slack token', /\bxox[abprs]-[\w-]{10,}/g],
+  ['Stripe key', /\b[rs]k_live_[A-Za-z0-9]{16,}\b/g],
+  ['Google API key', /\bAIza[\w-]{35}\b/g],
+];
+
+const ENTROPY_CANDIDATE = /[A-Za-z0-9+/_=-]{24,}/g;
+const ENTROPY_THRESHOLD = 4.2;
+
+// Shannon entropy in bits per character
+function entropy(text) {
+  const counts = new Map();
+  for (const c of text) counts.set(c, (counts.get(c) ?? 0) + 1);
+  let bits = 0;
+  for (const n of counts.values()) bits -= (n / text.length) * Math.log2(n / text.length);
+  return bits;
+}
+
+// Random-looking tokens: mixed case and digits, and no run of letters long enough to be words
+function looksRandom(token) {
+  if (!/[a-z]/.test(token) || !/[A-Z]/.test(token) || !/\d/.test(token)) return false;
+  if (/[A-Za-z]{16,}/.test(token) && !/\d/.test(token.slice(0, 16))) return false;
+  return entropy(token) >= ENTROPY_THRESHOLD;
+}
+
+// Content of a block scalar starting at `start`: the lines indented past `keyCol`, blank
+// lines included. `{ from, to }` runs from its first character to the end of its last
+// non-blank line, or null when there's none.
+function blockScalarValue(text, start, keyCol) {
+  let from = -1;
+  let to = -1;
+  for (let at = start; at < text.length; at = nextLineStart(text, at)) {
+    const line = text.slice(at, nextLineStart(text, at)).replace(/\r?\n$/, '');
+    if (!line.trim()) continue;
+    const indent = /^ */.exec(line)[0].length;
+    if (indent <= keyCol) break;
+    if (from === -1) from = at + indent;
+    to = at + line.trimEnd().length;
+  }
+  return from === -1 ? null : { from, to };
+}
+
+export function findSecrets(text) {
+  const found = [];
+  const add = (from, to, kind) => {
+    if (to > from) found.push({ from, to, kind });
+  };
+
+  for (const [kind, re] of SECRET_PATTERNS) {
+    for (const m of text.matchAll(re)) add(m.index, m.index + m[0].length, kind);
+  }
+  for (const m of text.matchAll(KEY_VALUE)) {
+    if (!SECRET_KEY.test(m[2])) continue;
+    const raw = m[3];
+    const end = m.index + m[0].length;
+    if (BLOCK_HEADER.test(raw) && /^[ \t]*(?:#.*)?$/.test(text.slice(end, nextLineStart(text, end)).replace(/\r?\n$/, ''))) {
+      const block = blockScalarValue(text, nextLineStart(text, end), m.index - lineStartOf(text, m.index));
+      const value = block && text.slice(block.from, block.to).trim();
+      if (block && value.length >= 4 && !PLACEHOLDER.test(value)) add(block.from, block.to, `value of ${m[2]}`);
+      continue;
+    }
+    const quoted = /^["']/.test(raw);
+    const value = quoted ? raw.slice(1, -1) : raw;
+    if (value.length < 4 || PLACEHOLDER.test(value)) continue;
+    const from = m.index + m[0].length - raw.length + (quoted ? 1 : 0);
+    add(from, from + value.length, `value of ${m[2]}`);
+  }
+  for (const m of text.matchAll(XML_KEY_VALUE)) {
+    const value = m[2].trim();
+    if (!SECRET_KEY.test(m[1]) || value.length < 4 || PLACEHOLDER.test(value)) continue;
+    const from = m.index + m[0].indexOf('>') + 1 + m[2].indexOf(value);
+    add(from, from + value.length, `value of ${m[1]}`);
+  }
+  for (const m of text.matchAll(ENTROPY_CANDIDATE)) {
+    if (looksRandom(m[0])) add(m.index, m.index + m[0].length, 'high-entropy string');
+  }
+
+  // Earlier and longer matches win; the pattern list runs first, so its names win ties
+  found.sort((a, b) => a.from - b.from || (b.to - b.from) - (a.to - a.from));
+  const secrets = [];
+  for (const secret of found) {
+    const last = secrets.at(-1);
+    if (last && secret.from < last.to) continue;
+    secrets.push(secret);
+  }
+  return secrets;
+}
+
+export const REDACTED = 'REDACTED';
+
+// The mask is a bare word, so it stays valid inside a quoted string or as a plain
+// YAML, .env or CSV value
+export function redactSecrets(text, secrets = findSecrets(text)) {
+  let out = '';
+  let last = 0;
+  for (const { from, to } of secrets) {
+    out += text.slice(last, from) + REDACTED;
+    last = to;
+  }
+  return out + text.slice(last);
+}
+
+
+// ===== Structural Compare =====
+
+export function valueType(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  return typeof v;
+}
+
+// Stable string form used to match values regardless of the ignored orderings
+function canonicalize(value, opts) {
+  const t = valueType(value);
+  if (t === 'array') {
+    const items = value.map(v => canonicalize(v, opts));
+    if (opts.ignoreArrayOrder) items.sort();
+    return `[${items.join(',')}]`;
+  }
+  if (t === 'object') {
+    const keys = Object.keys(value);
+    if (opts.ignoreKeyOrder) keys.sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalize(value[k], opts)}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? String(value);
+}
+
+function diffValues(left, right, opts = {}, leftPath = [], rightPath = [], out = []) {
+  const lt = valueType(left);
+  const rt = valueType(right);
+
+  if (lt !== rt) {
+    out.push({ type: 'changed', leftPath, rightPath, left, right });
+    return out;
+  }
+
+  if (lt === 'object') {
+    const leftKeys = Object.keys(left);
+    const rightKeys = Object.keys(right);
+    for (const key of leftKeys) {
+      if (!Object.prototype.hasOwnProperty.call(right, key)) {
+        out.push({ type: 'removed', leftPath: [...leftPath, key], rightPath: null, left: left[key] });
+      } else {
+        diffValues(left[key], right[key], opts, [...leftPath, key], [...rightPath, key], out);
+      }
+    }
+    for (const key of rightKeys) {
+      if (!Object.prototype.hasOwnProperty.call(left, key)) {
+        out.push({ type: 'added', leftPath: null, rightPath: [...rightPath, key], right: right[key] });
+      }
+    }
+    if (!opts.ignoreKeyOrder) {
+      const commonLeft = leftKeys.filter(k => Object.prototype.hasOwnProperty.call(right, k));
+      const commonRight = rightKeys.filter(k => Object.prototype.hasOwnProperty.call(left, k));
+      if (commonLeft.some((k, i) => k !== commonRight[i])) {
+        out.push({ type: 'reordered', leftPath, rightPath });
+      }
+    }
+    return out;
+  }
+
+  if (lt === 'array') {
+    if (!opts.ignoreArrayOrder) {
+      const common = Math.min(left.length, right.length);
+      for (let i = 0; i < common; i++) {
+        diffValues(left[i], right[i], opts, [...leftPath, i], [...rightPath, i], out);
+      }
+      for (let i = common; i < left.length; i++) {
+        out.push({ type: 'removed', leftPath: [...leftPath, i], rightPath: null, left: left[i] });
+      }
+      for (let i = common; i < right.length; i++) {
+        out.push({ type: 'added', leftPath: null, rightPath: [...rightPath, i], right: right[i] });
+      }
+      return out;
+    }
+
+    // Unordered: match equal elements first, then pair the leftovers of the same type
+    const pool = new Map();
+    right.forEach((v, j) => {
+      const key = canonicalize(v, opts);
+      if (!pool.has(key)) pool.set(key, []);
+      pool.get(key).push(j);
+    });
+    const unmatchedLeft = [];
+    left.forEach((v, i) => {
+      const bucket = pool.get(canonicalize(v, opts));
+      if (bucket && bucket.length) bucket.shift();
+      else unmatchedLeft.push(i);
+    });
+    const unmatchedRight = [...pool.values()].flat().sort((a, b) => a - b);
+
+    for (const i of unmatchedLeft) {
+      const j = unmatchedRight.findIndex(idx => valueType(right[idx]) === valueType(left[i]) &&
+        (valueType(left[i]) === 'object' || valueType(left[i]) === 'array'));
+      if (j === -1) {
+        out.push({ type: 'removed', leftPath: [...leftPath, i], rightPath: null, left: left[i] });
+        continue;
+      }
+      const [idx] = unmatchedRight.splice(j, 1);
+      diffValues(left[i], right[idx], opts, [...leftPath, i], [...rightPath, idx], out);
+    }
+    for (const j of unmatchedRight) {
+      out.push({ type: 'added', leftPath: null, rightPath: [...rightPath, j], right: right[j] });
+    }
+    return out;
+  }
+
+  if (!Object.is(left, right)) {
+    out.push({ type: 'changed', leftPath, rightPath, left, right });
+  }
+  return out;
+}
+
+export function previewValue(v, max = 48) {
+  const text = v === undefined ? 'undefined' : JSON.stringify(v);
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+export function summarizeDiffs(diffs) {
+  const counts = { changed: 0, added: 0, removed: 0, reordered: 0 };
+  diffs.forEach(d => counts[d.type]++);
+  return Object.entries(counts)
+    .filter(([, n]) => n)
+    .map(([type, n]) => `${n} ${type}`)
+    .join(' · ');
+}
+
+const DIFF_SYMBOLS = { added: '+', removed: '−', changed: '~', reordered: '⇅' };
+
+// One line of a diff listing: a symbol, the path(s) and a short preview of what changed
+export function describeDiff(d) {
+  let path = formatPath(d.leftPath ?? d.rightPath);
+  if (d.leftPath && d.rightPath && formatPath(d.leftPath) !== formatPath(d.rightPath)) {
+    path += ` → ${formatPath(d.rightPath)}`;
+  }
+  let detail = 'key order differs';
+  if (d.type === 'changed') detail = `${previewValue(d.left)} → ${previewValue(d.right)}`;
+  else if (d.type === 'added') detail = previewValue(d.right);
+  else if (d.type === 'removed') detail = previewValue(d.left);
+  return { symbol: DIFF_SYMBOLS[d.type], path, detail };
+}
+
+
+// ===== JSON Patch =====
+
+// RFC 6902 JSON Patch and RFC 7386 Merge Patch: generated from two documents, or applied
+// to one. Paths are RFC 6901 JSON Pointers.
+
+export const PATCH_MODES = { 'json-patch': 'JSON Patch', 'merge-patch': 'Merge Patch', 'apply-patch': 'Apply patch' };
+
+// Arrays with more element pairs than this are diffed index by index instead of by LCS
+const PATCH_LCS_LIMIT = 250000;
+
+const PATCH_OPS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+const ARRAY_INDEX = /^(?:0|[1-9]\d*)$/;
+
+class PatchError extends Error {
+  constructor(message, location = '') {
+    super(message);
+    this.name = 'PatchError';
+    this.location = location;
+  }
+}
+
+function sameValue(a, b) {
+  return canonicalize(a, { ignoreKeyOrder: true }) === canonicalize(b, { ignoreKeyOrder: true });
+}
+
+export function formatPointer(path) {
+  return path.map(seg => `/${String(seg).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+function parsePointer(pointer) {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) throw new Error(`${JSON.stringify(pointer)} is not a JSON Pointer`);
+  return pointer.slice(1).split('/').map(seg => seg.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+// --- Generating ---
+
+function diffJSONPatch(from, to, path = [], ops = []) {
+  if (sameValue(from, to)) return ops;
+  const type = valueType(from);
+  if (type !== valueType(to) || (type !== 'object' && type !== 'array')) {
+    ops.push({ op: 'replace', path: formatPointer(path), value: to });
+  } else if (type === 'object') {
+    for (const key of Object.keys(from)) {
+      if (!Object.hasOwn(to, key)) ops.push({ op: 'remove', path: formatPointer([...path, key]) });
+    }
+    for (const key of Object.keys(to)) {
+      if (!Object.hasOwn(from, key)) ops.push({ op: 'add', path: formatPointer([...path, key]), value: to[key] });
+      else diffJSONPatch(from[key], to[key], [...path, key], ops);
+    }
+  } else {
+    diffArrayPatch(from, to, path, ops);
+  }
+  return ops;
+}
+
+// Keeps the longest common subsequence of elements in place; a removal followed by an
+// insertion becomes a change to that element, diffed recursively
+function diffArrayPatch(from, to, path, ops) {
+  const a = from.map(v => canonicalize(v, { ignoreKeyOrder: true }));
+  const b = to.map(v => canonicalize(v, { ignoreKeyOrder: true }));
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  const script = [];
+  if (n * m > PATCH_LCS_LIMIT) {
+    script.push(...Array(n).fill('remove'), ...Array(m).fill('add'));
+  } else {
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = a[start + i] === b[start + j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        script.push('keep');
+        i++;
+        j++;
+      } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        script.push('remove');
+        i++;
+      } else {
+        script.push('add');
+        j++;
+      }
+    }
+  }
+
+  // `index` tracks the position in the array as the operations so far have left it
+  let index = start;
+  let i = start;
+  let j = start;
+  for (let k = 0; k < script.length;) {
+    if (script[k] === 'keep') {
+      index++;
+      i++;
+      j++;
+      k++;
+      continue;
+    }
+    let removes = 0;
+    let adds = 0;
+    while (script[k] === 'remove') { removes++; k++; }
+    while (script[k] === 'add') { adds++; k++; }
+    const changes = Math.min(removes, adds);
+    for (let c = 0; c < changes; c++) diffJSONPatch(from[i++], to[j++], [...path, index++], ops);
+    for (let r = changes; r < removes; r++, i++) ops.push({ op: 'remove', path: formatPointer([...path, index]) });
+    for (let d = changes; d < adds; d++) ops.push({ op: 'add', path: formatPointer([...path, index++]), value: to[j++] });
+  }
+}
+
+// Paths of nulls a merge patch would read as "remove this key" rather than as values
+function mergeNulls(value, path, out) {
+  if (value === null) out.push(path);
+  else if (isPlainObject(value)) {
+    for (const [key, v] of Object.entries(value)) mergeNulls(v, [...path, key], out);
+  }
+  return out;
+}
+
+function diffMergePatch(from, to, path, nulls) {
+  if (!isPlainObject(from) || !isPlainObject(to)) {
+    if (isPlainObject(to)) mergeNulls(to, path, nulls);
+    return to;
+  }
+  const patch = {};
+  for (const key of Object.keys(from)) {
+    if (!Object.hasOwn(to, key)) patch[key] = null;
+  }
+  for (const [key, value] of Object.entries(to)) {
+    if (!Object.hasOwn(from, key)) {
+      patch[key] = value;
+      mergeNulls(value, [...path, key], nulls);
+    } else if (!sameValue(from[key], value)) {
+      patch[key] = diffMergePatch(from[key], value, [...path, key], nulls);
+      if (value === null) nulls.push([...path, key]);
+    }
+  }
+  return patch;
+}
+
+// --- Applying ---
+
+function childAt(container, seg, pointer) {
+  if (Array.isArray(container)) {
+    if (!ARRAY_INDEX.test(seg) || Number(seg) >= container.length) throw new Error(`${pointer} not found (the array has ${pluralize(container.length, 'item')})`);
+    return container[Number(seg)];
+  }
+  if (isPlainObject(container) && Object.hasOwn(container, seg)) return container[seg];
+  throw new Error(`${pointer} not found`);
+}
+
+function valueAt(root, pointer) {
+  return parsePointer(pointer).reduce((node, seg) => childAt(node, seg, pointer), root);
+}
+
+// The container a pointer's last segment is looked up in, and that segment
+function parentAt(root, pointer) {
+  const segs = parsePointer(pointer);
+  const key = segs.pop();
+  const parent = segs.reduce((node, seg) => childAt(node, seg, pointer), root);
+  if (parent === null || typeof parent !== 'object') throw new Error(`${formatPointer(segs) || 'The root'} is not an object or array`);
+  return { parent, key };
+}
+
+function addAt(root, pointer, value) {
+  if (pointer === '') return value;
+  const { parent, key } = parentAt(root, pointer);
+  if (!Array.isArray(parent)) {
+    parent[key] = value;
+  } else if (key === '-') {
+    parent.push(value);
+  } else if (ARRAY_INDEX.test(key) && Number(key) <= parent.length) {
+    parent.splice(Number(key), 0, value);
+  } else {
+    throw new Error(`${pointer} is past the end of the array (length ${parent.length})`);
+  }
+  return root;
+}
+
+function removeAt(root, pointer) {
+  if (pointer === '') throw new Error('Can\'t remove the whole document');
+  const { parent, key } = parentAt(root, pointer);
+  childAt(parent, key, pointer);
+  if (Array.isArray(parent)) parent.splice(Number(key), 1);
+  else delete parent[key];
+  return root;
+}
+
+function applyOperation(root, operation) {
+  if (!isPlainObject(operation)) throw new Error('Not an operation object');
+  const { op, path, from, value } = operation;
+  if (!PATCH_OPS.includes(op)) throw new Error(`Unknown op ${JSON.stringify(op)} (expected ${PATCH_OPS.join(', ')})`);
+  if (typeof path !== 'string') throw new Error('Missing "path"');
+  if (['add', 'replace', 'test'].includes(op) && !Object.hasOwn(operation, 'value')) throw new Error('Missing "value"');
+  if (['move', 'copy'].includes(op) && typeof from !== 'string') throw new Error('Missing "from"');
+
+  switch (op) {
+    case 'add':
+      return addAt(root, path, structuredClone(value));
+    case 'remove':
+      return removeAt(root, path);
+    case 'replace': {
+      if (path === '') return structuredClone(value);
+      const { parent, key } = parentAt(root, path);
+      childAt(parent, key, path);
+      parent[Array.isArray(parent) ? Number(key) : key] = structuredClone(value); // keeps the key's position
+      return root;
+    }
+    case 'move': {
+      if (path.startsWith(`${from}/`)) throw new Error(`Can't move ${from} into its own child`);
+      const moved = valueAt(root, from);
+      return addAt(removeAt(root, from), path, moved);
+    }
+    case 'copy':
+      return addAt(root, path, structuredClone(valueAt(root, from)));
+    default: {
+      const actual = valueAt(root, path);
+      if (!sameValue(actual, value)) throw new Error(`Test failed: expected ${previewValue(value)}, found ${previewValue(actual)}`);
+      return root;
+    }
+  }
+}
+
+// Operations apply in order and the patch is atomic: the first failure rejects all of it
+function applyJSONPatch(doc, ops) {
+  let root = structuredClone(doc);
+  ops.forEach((operation, i) => {
+    try {
+      root = applyOperation(root, operation);
+    } catch (err) {
+      const what = isPlainObject(operation) && typeof operation.op === 'string' ? ` · ${operation.op} ${operation.path ?? ''}`.trimEnd() : '';
+      throw new PatchError(err.message, `Operation ${i + 1}${what}`);
+    }
+  });
+  return root;
+}
+
+function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) return patch;
+  const result = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete result[key];
+    else result[key] = applyMergePatch(result[key], value);
+  }
+  return result;
+}
+
+// `patch` is the Patch pane: its text (the modified document, or the patch to apply) and
+// the format to write the result in. A JSON array applies as a JSON Patch, anything else
+// as a Merge Patch.
+function runPatch(value, mode, { text = '', output = 'json' } = {}, options) {
+  if (!text.trim()) {
+    throw new PatchError(mode === 'apply-patch'
+      ? 'Paste a JSON Patch or Merge Patch into the Patch pane'
+      : 'Paste the modified document into the Patch pane');
+  }
+  let other;
+  try {
+    other = parseStructured(text.trim()).value;
+  } catch (err) {
+    const location = err.linePos ? linePosLocation(err) : jsonErrorLocation(err, text);
+    throw new PatchError(err.linePos ? yamlErrorSummary(err) : err.message, `Patch pane${location ? ` · ${location}` : ''}`);
+  }
+
+  let result;
+  let label;
+  const warnings = [];
+  if (mode === 'apply-patch') {
+    if (Array.isArray(other)) {
+      result = applyJSONPatch(value, other);
+      label = `Applied JSON Patch · ${pluralize(other.length, 'operation')}`;
+    } else {
+      result = applyMergePatch(value, other);
+      label = 'Applied Merge Patch';
+    }
+  } else if (mode === 'json-patch') {
+    result = diffJSONPatch(value, other);
+    label = `JSON Patch · ${pluralize(result.length, 'operation')}`;
+    if (!result.length) warnings.push('Documents are identical');
+  } else {
+    const nulls = [];
+    result = diffMergePatch(value, other, [], nulls);
+    label = 'Merge Patch';
+    if (!isPlainObject(result)) warnings.push('Not both objects — the Merge Patch replaces the whole document');
+    else if (!Object.keys(result).length) warnings.push('Documents are identical');
+    if (nulls.length) {
+      warnings.push(`${pluralize(nulls.length, 'null value')} can't be expressed — a Merge Patch null removes the key: ${pathSummary(nulls)}`);
+    }
+  }
+
+  // Operation order matters and reads best as op, path, value
+  const format = mode === 'json-patch' ? { ...options, sortKeys: 'none' } : options;
+  if (output === 'yaml') {
+    const written = writeYAML(result, format);
+    return { output: written.output, label, warnings: [...warnings, ...written.warnings] };
+  }
+  return { output: stringifyJSON(result, format), label, warnings };
+}
+
+
+// ===== NDJSON =====
+
+// Newline-delimited JSON (JSON Lines): one value per line, blank lines skipped. Each line
+// parses on its own, so one bad record doesn't hide the rest.
+
+// Output modes that read the input as NDJSON whether or not the panel's NDJSON toggle is on
+const NDJSON_INPUT_MODES = new Set(['ndjson-array', 'ndjson-record', 'ndjson-table']);
+
+const NDJSON_ERRORS_SHOWN = 10;
+const TABLE_ROWS = 100;
+const TABLE_COLUMNS = 12;
+const TABLE_CELL_WIDTH = 32;
+
+// `{ records: [{ line, value }], errors: [{ line, col, message }] }`, with 1-based lines
+export function parseNDJSON(text, { lenient = false, exact = false } = {}) {
+  const records = [];
+  const errors = [];
+  text.split('\n').forEach((raw, i) => {
+    const line = raw.replace(/\r$/, '');
+    if (!line.trim()) return;
+    try {
+      records.push({ line: i + 1, value: exact ? parseExactJSON(line) : parseJSON(line, lenient) });
+    } catch (err) {
+      errors.push({ line: i + 1, col: (jsonErrorOffset(err, line) ?? 0) + 1, message: err.message });
+    }
+  });
+  return { records, errors };
+}
+
+function writeNDJSON(values, options, exact = false) {
+  const output = values.map(value => stringifyJSON(value, options, true, exact)).join('\n');
+  return options.finalNewline ? `${output}\n` : output;
+}
+
+function ndjsonWarnings(errors) {
+  const shown = errors.slice(0, NDJSON_ERRORS_SHOWN).map(e => `Line ${e.line}: ${e.message}`);
+  if (errors.length > NDJSON_ERRORS_SHOWN) shown.push(`${pluralize(errors.length - NDJSON_ERRORS_SHOWN, 'more invalid line')}`);
+  return shown;
+}
+
+function tableCell(value) {
+  if (value === undefined) return '';
+  const text = typeof value === 'string' ? value.replace(/\s+/g, ' ') : JSON.stringify(value);
+  return text.length > TABLE_CELL_WIDTH ? `${text.slice(0, TABLE_CELL_WIDTH - 1)}…` : text;
+}
+
+// Aligned text table of the top-level fields most records share; records that aren't
+// objects get a "(value)" column
+function recordTable(values) {
+  const counts = new Map();
+  const objects = values.filter(isPlainObject);
+  for (const record of objects) {
+    for (const key of Object.keys(record)) counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+  // Most common first; the sort is stable, so ties keep the order fields first appear in
+  const ranked = [...counts].sort((a, b) => b[1] - a[1]);
+  const common = ranked.filter(([, n]) => n * 2 >= objects.length);
+  const columns = (common.length ? common : ranked).slice(0, TABLE_COLUMNS).map(([key]) => key);
+  const hidden = ranked.length - columns.length;
+  const scalars = objects.length < values.length;
+
+  const header = ['#', ...columns, ...(scalars ? ['(value)'] : [])];
+  const rows = values.slice(0, TABLE_ROWS).map((record, i) => [
+    String(i + 1),
+    ...columns.map(key => tableCell(isPlainObject(record) ? record[key] : undefined)),
+    ...(scalars ? [isPlainObject(record) ? '' : tableCell(record)] : []),
+  ]);
+  const widths = header.map((title, c) => Math.max(title.length, ...rows.map(row => row[c].length)));
+  const line = cells => cells.map((cell, c) => cell.padEnd(widths[c])).join('  ').trimEnd();
+
+  const warnings = [];
+  if (values.length > TABLE_ROWS) warnings.push(`Showing the first ${TABLE_ROWS} of ${pluralize(values.length, 'record')}`);
+  if (hidden) warnings.push(`${pluralize(hidden, 'less common field')} not shown`);
+  return {
+    output: [line(header), line(widths.map(w => '─'.repeat(w))), ...rows.map(line)].join('\n'),
+    label: `Table · ${pluralize(columns.length, 'field')}`,
+    warnings,
+  };
+}
+
+// Panels carry on past invalid lines; the library API fails on `documentErrors`
+function renderNDJSON(text, job, progress) {
+  progress('Parsing');
+  const parsed = parseNDJSON(text, { lenient: job.lenient, exact: job.exact && !job.lenient });
+  const { records, errors } = parsed;
+  if (!records.length) throw syntaxError(errors[0].message, errors[0].line, errors[0].col);
+  const documentErrors = errors.map(e => ({ line: e.line, message: e.message, location: `Line ${e.line}, Col ${e.col}` }));
+  return { ...renderRecords(text, parsed, job, progress), documentErrors };
+}
+
+function renderRecords(text, { records, errors }, { mode, lenient, exact, record, query, patch, options }, progress) {
+  const exactNumbers = exact && !lenient;
+  const values = records.map(r => r.value);
+  const counts = `${pluralize(records.length, 'record')}${errors.length ? ` · ${errors.length} invalid` : ''}`;
+  const warnings = ndjsonWarnings(errors);
+  // The same number checks as plain JSON, run per record: `numberWarnings` is for output
+  // that's JSON, where record paths start with the record's index
+  const sourceLines = text.split('\n');
+  const impreciseNumbers = rs => rs.flatMap(r => findImpreciseNumbers(sourceLines[r.line - 1]).map(n => ({ ...n, line: r.line })));
+  const numberWarnings = (rs, value) => {
+    if (lenient) return nonFiniteWarnings(value);
+    return exact ? [] : precisionWarnings(impreciseNumbers(rs));
+  };
+  const jsonWarnings = [...warnings, ...numberWarnings(records, values)];
+
+  if (mode === 'ndjson-record') {
+    const line = record ?? records[0].line;
+    const selected = records.findIndex(r => r.line === line);
+    if (selected === -1) {
+      const err = errors.find(e => e.line === line);
+      if (err) throw syntaxError(err.message, err.line, err.col);
+      return { output: '', label: `No record on line ${line}`, warnings: ['Put the cursor on a record to show it here'] };
+    }
+    return {
+      output: stringifyJSON(values[selected], options, false, exactNumbers),
+      label: `Record ${selected + 1} of ${records.length} · Line ${line}`,
+      warnings: [...warnings, ...numberWarnings([records[selected]], values[selected])],
+    };
+  }
+  if (mode === 'ndjson-array') {
+    progress('Converting');
+    return { output: stringifyJSON(values, options, false, exactNumbers), label: `NDJSON → JSON array · ${counts}`, warnings: jsonWarnings };
+  }
+  if (mode === 'ndjson-table') {
+    const table = recordTable(values);
+    return { ...table, label: `${table.label} · ${counts}`, warnings: [...table.warnings, ...warnings] };
+  }
+  if (DATA_FORMATS[mode] && mode !== 'json') {
+    progress('Converting');
+    const written = DATA_WRITERS[mode](values, options);
+    const rounded = exactNumbers ? impreciseNumbers(records).length : 0;
+    if (rounded) {
+      written.warnings.push(`Lossless applies to JSON output only — ${pluralize(rounded, 'number')} rounded in ${DATA_FORMATS[mode]}`);
+    }
+    return { output: written.output, label: `Converted NDJSON → ${DATA_FORMATS[mode]}`, warnings: [...warnings, ...written.warnings] };
+  }
+  if (GENERATE_TARGETS[mode]) {
+    progress('Generating');
+    return { ...generateTypes(values, mode, options), warnings };
+  }
+  if (mode === 'query') {
+    // Like jq on a JSON Lines file: each record is its own input
+    progress('Querying');
+    const results = runQuery(query.lang, query.expr, values);
+    return {
+      output: formatQueryResults(query.lang, results, 'json', options),
+      label: `${QUERY_LANGS[query.lang]} · ${pluralize(results.length, 'match', 'matches')}`,
+      warnings: results.length ? warnings : ['No matches', ...warnings],
+    };
+  }
+  if (PATCH_MODES[mode]) {
+    progress('Patching');
+    const patched = runPatch(values, mode, patch, options);
+    return { ...patched, warnings: [...warnings, ...patched.warnings] };
+  }
+
+  // Formatting keeps invalid lines as written so they can be fixed in place
+  progress('Formatting');
+  const byLine = new Map(records.map(r => [r.line, r.value]));
+  const lines = text.split('\n').flatMap((raw, i) => {
+    if (byLine.has(i + 1)) return [stringifyJSON(byLine.get(i + 1), options, true, exactNumbers)];
+    return raw.trim() ? [raw.replace(/\r$/, '')] : [];
+  });
+  const output = lines.join('\n');
+  return {
+    output: options.finalNewline ? `${output}\n` : output,
+    label: `${errors.length ? 'NDJSON' : 'Valid NDJSON'} · ${counts}`,
+    warnings: jsonWarnings,
+  };
+}
+
+
+// ===== Embedded Documents =====
+
+// String values that hold a whole document of their own — `"body": "{\"id\":1}"` from API
+// gateways and log pipelines — expanded in place and written back the way they came.
+
+export const EMBEDDED_ENCODINGS = { json: 'JSON', yaml: 'YAML', base64: 'base64 JSON' };
+
+// Output modes for pasting a document into a string literal, and back
+export const ESCAPE_MODES = { escape: 'Escaped string literal', unescape: 'Unescaped string' };
+
+const EMBEDDED_DEPTH = 8;
+// Only text that decodes to a JSON object or array counts, so one 4-character group is
+// enough: `{}` is "e30="
+const EMBEDDED_BASE64 = /^(?=.{4})[A-Za-z0-9+/_-]+={0,2}$/;
+
+function isContainer(value) {
+  return Array.isArray(value) || isPlainObject(value);
+}
+
+function decodeBase64(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+function encodeBase64(text) {
+  return btoa(Array.from(new TextEncoder().encode(text), b => String.fromCharCode(b)).join(''));
+}
+
+// What a string value holds, one level down: `{ value, encoding }`, or null for an ordinary
+// string. A quoted JSON string counts only if what it quotes is a document in turn.
+function embeddedDocument(str) {
+  const text = str.trim();
+  if (/^[{["]/.test(text)) {
+    try {
+      const value = JSON.parse(text);
+      if (isContainer(value) || (typeof value === 'string' && embeddedDocument(value))) {
+        return { value, encoding: 'json' };
+      }
+    } catch { }
+  }
+  if (EMBEDDED_BASE64.test(text) && text.length % 4 !== 1) {
+    try {
+      const decoded = decodeBase64(text).trim();
+      const value = /^[{[]/.test(decoded) && JSON.parse(decoded);
+      if (isContainer(value)) return { value, encoding: 'base64' };
+    } catch { }
+  }
+  // Only multi-line YAML: a single line like "a: b" is far more often just text
+  if (text.includes('\n') && !/^[{["]/.test(text)) {
+    const doc = YAML.parseDocument(text);
+    if (!doc.errors.length && (YAML.isMap(doc.contents) || YAML.isSeq(doc.contents))) {
+      return { value: doc.toJS(), encoding: 'yaml' };
+    }
+  }
+  return null;
+}
+
+// Expands every string value holding JSON, YAML or base64-encoded JSON, including documents
+// nested inside expanded ones. Returns the new value and the expanded spots, outermost
+// first: `[{ path, encoding, original }]`, where `original` is the string as it was.
+export function expandEmbedded(value) {
+  const spots = [];
+  function walk(node, path, depth) {
+    if (typeof node === 'string') {
+      const found = depth < EMBEDDED_DEPTH && embeddedDocument(node);
+      if (!found) return node;
+      spots.push({ path, encoding: found.encoding, original: node });
+      return walk(found.value, path, depth + 1);
+    }
+    if (Array.isArray(node)) return node.map((item, i) => walk(item, [...path, i], depth));
+    if (isPlainObject(node)) {
+      return Object.fromEntries(Object.entries(node).map(([key, item]) => [key, walk(item, [...path, key], depth)]));
+    }
+    return node;
+  }
+  return { value: walk(value, [], 0), spots };
+}
+
+// The string an expanded spot goes back to. Unchanged values get their original string back
+// exactly; edited ones are written compactly in the spot's encoding.
+export function restringifyEmbedded(value, { encoding, original }) {
+  const found = typeof original === 'string' && embeddedDocument(original);
+  if (found && JSON.stringify(found.value) === JSON.stringify(value)) return original;
+  if (encoding === 'yaml') return YAML.stringify(value);
+  const text = JSON.stringify(value);
+  return encoding === 'base64' ? encodeBase64(text) : text;
+}
+
+// The input as a JSON string literal, quotes included
+export function escapeString(text) {
+  return JSON.stringify(text);
+}
+
+// Reads a JSON string literal back into its text. The quotes are optional, and line breaks
+// pasted in unescaped are taken as written.
+export function unescapeString(text) {
+  const body = /^"[\s\S]*"$/.test(text) ? text.slice(1, -1) : text;
+  const literal = `"${body.replace(/\r/g, '\\r').replace(/\n/g, '\\n').replace(/\t/g, '\\t')}"`;
+  try {
+    return JSON.parse(literal);
+  } catch (err) {
+    throw new Error(`Not a valid string literal: ${err.message.replace(/ in JSON at position \d+.*$/, '')}`);
+  }
+}
+
+function renderEscape(raw, mode) {
+  if (mode === 'escape') return { output: escapeString(raw), label: `Escaped · ${pluralize(raw.length, 'character')}` };
+  const output = unescapeString(raw);
+  let embedded = '';
+  try {
+    if (isContainer(JSON.parse(output))) embedded = ' · holds JSON';
+  } catch { }
+  return { output, label: `Unescaped · ${pluralize(output.length, 'character')}${embedded}` };
+}
+
+
+// ===== Format Jobs =====
+
+function countLines(text) {
+  let lines = 1;
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) lines++;
+  return lines;
+}
+
+function renderJSON(raw, job, progress) {
+  const { mode, minify, lenient, exact, query, patch, ndjson, options } = job;
+  // Escaping keeps surrounding whitespace: it's part of the string being escaped
+  if (ESCAPE_MODES[mode]) return renderEscape(mode === 'escape' ? job.text : raw, mode);
+  if (ndjson || NDJSON_INPUT_MODES.has(mode)) return renderNDJSON(job.text, job, progress);
+  if (mode === 'ndjson') {
+    progress('Converting');
+    const value = exact && !lenient ? parseExactJSON(raw) : parseJSON(raw, lenient);
+    const records = Array.isArray(value) ? value : [value];
+    return {
+      output: writeNDJSON(records, options, exact && !lenient),
+      label: `Converted JSON → NDJSON · ${pluralize(records.length, 'record')}`,
+      warnings: [
+        ...(Array.isArray(value) ? [] : ['Not an array — written as a single record']),
+        ...(lenient ? nonFiniteWarnings(value) : []),
+      ],
+    };
+  }
+  if (DATA_FORMATS[mode] && mode !== 'json') {
+    progress('Converting');
+    const converted = convertData(raw, 'json', mode, { lenient, format: options });
+    // Only JSON output can keep lexemes; say so rather than round numbers silently
+    const rounded = exact && !lenient ? findImpreciseNumbers(raw).length : 0;
+    if (rounded) {
+      converted.warnings.push(`Lossless applies to JSON output only — ${pluralize(rounded, 'number')} rounded in ${DATA_FORMATS[mode]}`);
+    }
+    return { ...converted, label: `Converted JSON → ${DATA_FORMATS[mode]}` };
+  }
+  if (GENERATE_TARGETS[mode]) {
+    progress('Generating');
+    return generateTypes([parseJSON(raw, lenient)], mode, options);
+  }
+  if (PATCH_MODES[mode]) {
+    progress('Patching');
+    return runPatch(parseJSON(raw, lenient), mode, patch, options);
+  }
+  if (mode === 'query') {
+    progress('Querying');
+    const results = runQuery(query.lang, query.expr, [parseJSON(raw, lenient)]);
+    return {
+      output: formatQueryResults(query.lang, results, 'json', options),
+      label: `${QUERY_LANGS[query.lang]} · ${pluralize(results.length, 'match', 'matches')}`,
+      warnings: results.length ? [] : ['No matches'],
+    };
+  }
+  progress('Parsing');
+  const exactNumbers = exact && !lenient;
+  const parsed = exactNumbers ? parseExactJSON(raw) : parseJSON(raw, lenient);
+  const warnings = [];
+  if (lenient) {
+    if (exact) warnings.push('Lossless numbers need strict JSON — JSON5 input was read as standard numbers');
+    warnings.push(...nonFiniteWarnings(parsed));
+  } else if (!exact) {
+    warnings.push(...precisionWarnings(findImpreciseNumbers(raw)));
+  }
+  progress(minify ? 'Minifying' : 'Formatting');
+  return {
+    output: stringifyJSON(parsed, options, minify, exactNumbers),
+    label: lenient ? 'Valid JSON5 → strict JSON' : exactNumbers ? 'Valid JSON · lossless numbers' : 'Valid JSON',
+    warnings,
+  };
+}
+
+function renderYAML(raw, { mode, query, patch, options }, progress) {
+  if (DATA_FORMATS[mode] && mode !== 'yaml') {
+    progress('Converting');
+    return { ...convertData(raw, 'yaml', mode, { format: options }), label: `Converted YAML → ${DATA_FORMATS[mode]}` };
+  }
+  if (mode === 'resolved') {
+    progress('Resolving');
+    return resolveYAML(raw, options);
+  }
+  if (GENERATE_TARGETS[mode]) {
+    progress('Generating');
+    const { value, docs } = parseStructured(raw, 'yaml');
+    return generateTypes(docs.length > 1 ? value : [value], mode, options);
+  }
+  if (PATCH_MODES[mode]) {
+    progress('Patching');
+    return runPatch(parseStructured(raw, 'yaml').value, mode, patch, options);
+  }
+  if (mode === 'query') {
+    progress('Querying');
+    const { value, docs } = parseStructured(raw, 'yaml');
+    const results = runQuery(query.lang, query.expr, docs.length > 1 ? value : [value]);
+    return {
+      output: formatQueryResults(query.lang, results, 'yaml', options),
+      label: `${QUERY_LANGS[query.lang]} · ${pluralize(results.length, 'match', 'matches')}`,
+      warnings: results.length ? [] : ['No matches'],
+    };
+  }
+  progress('Parsing');
+  // The `yaml` package preserves comments by default when document stringifying
+  const docs = YAML.parseAllDocuments(raw);
+  const broken = docs.filter(doc => doc.errors.length);
+  if (broken.length === docs.length) throw broken[0].errors[0];
+  progress('Formatting');
+  if (!broken.length) return { output: stringifyYAML(docs, options), label: 'Valid YAML' };
+
+  // Documents that don't parse are kept as written so the valid ones still format. Panels
+  // show that as a warning; the library API fails on `documentErrors`.
+  const spans = documentSpans(raw, docs);
+  const warnings = [];
+  const documentErrors = [];
+  const output = stringifyYAML(docs.map((doc, i) => {
+    if (!doc.errors.length) return doc;
+    const err = doc.errors[0];
+    warnings.push(`Document ${i + 1} left as written${err.linePos ? ` · Line ${err.linePos[0].line}` : ''}: ${yamlErrorSummary(err)}`);
+    const location = [`Document ${i + 1}`, linePosLocation(err)].filter(Boolean).join(' · ');
+    documentErrors.push({ document: i + 1, message: err.message, location });
+    return raw.slice(spans[i].from, spans[i].to);
+  }), options);
+  return {
+    output,
+    label: `${docs.length - broken.length} of ${pluralize(docs.length, 'document')} formatted`,
+    warnings,
+    documentErrors,
+  };
+}
+
+// TOML, XML, CSV and .env panels: format in place, or convert to another data format
+function renderData(raw, { format, mode, options }, progress) {
+  if (DATA_FORMATS[mode] && mode !== format) {
+    progress('Converting');
+    return { ...convertData(raw, format, mode, { format: options }), label: `Converted ${DATA_FORMATS[format]} → ${DATA_FORMATS[mode]}` };
+  }
+  progress('Formatting');
+  return DATA_FORMATTERS[format](raw, options);
+}
+
+const RENDERERS = { json: renderJSON, yaml: renderYAML };
+
+// Runs one panel job: `{ format, text, mode, minify, lenient, exact, ndjson, record, query,
+// patch, options }`, where format is any of DATA_FORMATS and mode is 'format', 'query',
+// 'resolved', a format to convert to, an NDJSON mode, or one of GENERATE_TARGETS, PATCH_MODES
+// or ESCAPE_MODES.
+// `record` is the input line the 'ndjson-record' mode shows.
+// Never throws — failures come back as a plain `error` object so the result can cross
+// a worker boundary. `progress(stage)` is called as the job moves between phases.
+export function runFormatJob(job, progress = () => { }) {
+  const raw = job.text.trim();
+  const options = normalizeFormatOptions(job.options);
+  try {
+    const result = (RENDERERS[job.format] ?? renderData)(raw, { ...job, options }, progress);
+    return {
+      ...result,
+      warnings: result.warnings ?? [],
+      lines: countLines(result.output),
+      size: new Blob([result.output]).size,
+    };
+  } catch (err) {
+    if (err instanceof QueryError) {
+      return { error: { kind: 'query', message: err.message, pos: err.pos } };
+    }
+    if (err instanceof PatchError) {
+      return { error: { kind: 'patch', message: err.message, location: err.location } };
+    }
+    let location = '';
+    if (err.linePos) location = linePosLocation(err);
+    else if (err instanceof SyntaxError) location = jsonErrorLocation(err, job.text);
+    return { error: { kind: 'syntax', message: err.message, location } };
+  }
+}
+
+
+// ===== Library API =====
+
+// The web UI's formatting for scripts and the `devformat` CLI: each call runs the same job
+// a panel would, but throws a FormatError instead of returning an error object.
+export class FormatError extends Error {
+  constructor({ kind, message, location = '', documentErrors = [] }, { format, side } = {}) {
+    super(message);
+    this.name = 'FormatError';
+    this.kind = kind;          // 'syntax' | 'query' | 'patch' | 'usage'
+    this.location = location;  // "Line 3, Col 7" when known
+    this.format = format;
+    this.side = side;          // 'left' | 'right' for compare()
+    this.documentErrors = documentErrors; // [{ message, location }] per broken YAML document or NDJSON line
+  }
+}
+
+// A YAML stream with a broken document, or NDJSON with an invalid line, fails here even
+// though a panel formats the rest; the error's `documentErrors` lists every one of them
+function runJob(job) {
+  const result = runFormatJob(job);
+  if (result.error) throw new FormatError(result.error, { format: job.format });
+  const { documentErrors } = result;
+  if (documentErrors?.length) {
+    const { message, location } = documentErrors[0];
+    throw new FormatError({ kind: 'syntax', message, location, documentErrors }, { format: job.format });
+  }
+  return { output: result.output, format: job.format, warnings: result.warnings };
+}
+
+function inputFormat(text, format = 'auto') {
+  return format === 'auto' ? detectFormat(text) : format;
+}
+
+// `{ format: 'auto' | 'json' | 'yaml' | 'toml' | 'xml' | 'csv' | 'env', ndjson, lenient, exact, options }` → `{ output, format, warnings }`.
+// `ndjson` reads JSON input as one record per line
+export function format(text, { format = 'auto', ndjson = false, lenient = false, exact = false, options } = {}) {
+  return runJob({ format: inputFormat(text, format), text, mode: 'format', ndjson, lenient, exact, options });
+}
+
+export function minify(text, { format = 'auto', ndjson = false, lenient = false, exact = false, options } = {}) {
+  const fmt = inputFormat(text, format);
+  if (fmt !== 'json') {
+    throw new FormatError({ kind: 'usage', message: 'Minify only applies to JSON' }, { format: fmt });
+  }
+  return runJob({ format: fmt, text, mode: 'format', minify: true, ndjson, lenient, exact, options });
+}
+
+// Converts to `to` (any of DATA_FORMATS); converting to the input's own format just formats it
+export function convert(text, to, { from = 'auto', ndjson = false, lenient = false, exact = false, options } = {}) {
+  const fmt = inputFormat(text, from);
+  if (fmt === to) return format(text, { format: fmt, ndjson, lenient, exact, options });
+  return runJob({ format: fmt, text, mode: to, ndjson, lenient, exact, options });
+}
+
+// `{ valid, format, warnings }`, plus `error` (a FormatError) when the input doesn't parse
+export function validate(text, { format: fmt = 'auto', ndjson = false, lenient = false, exact = false } = {}) {
+  try {
+    const { warnings } = format(text, { format: fmt, ndjson, lenient, exact });
+    return { valid: true, format: inputFormat(text, fmt), warnings };
+  } catch (error) {
+    if (!(error instanceof FormatError)) throw error;
+    return { valid: false, format: error.format, warnings: [], error };
+  }
+}
+
+// Structural diff of two JSON/YAML texts. `left` and `right` are their parseStructured()
+// results; a side that doesn't parse throws a FormatError naming that side.
+export function compare(leftText, rightText, { leftFormat = 'auto', rightFormat = 'auto', ignoreKeyOrder = false, ignoreArrayOrder = false } = {}) {
+  const sides = {};
+  for (const [side, text, requested] of [['left', leftText, leftFormat], ['right', rightText, rightFormat]]) {
+    const fmt = inputFormat(text, requested);
+    try {
+      sides[side] = parseStructured(text, fmt);
+    } catch (err) {
+      const location = fmt === 'yaml' ? linePosLocation(err) : jsonErrorLocation(err, text);
+      throw new FormatError({ kind: 'syntax', message: err.message, location }, { format: fmt, side });
+    }
+  }
+  const diffs = diffValues(sides.left.value, sides.right.value, { ignoreKeyOrder, ignoreArrayOrder });
+  return { ...sides, diffs };
+}
@@ -1,13 +1,29 @@
 import YAML from 'yaml';
-import { EditorState, Compartment } from '@codemirror/state';
-import { EditorView, keymap, Decoration, ViewPlugin } from '@codemirror/view';
+import JSON5 from 'json5';
+import Ajv from 'ajv';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { EditorState, ChangeSet, Compartment, StateEffect, StateField } from '@codemirror/state';
+import { EditorView, keymap, Decoration, ViewPlugin, hoverTooltip, showTooltip } from '@codemirror/view';
 import { basicSetup } from 'codemirror';
 import { indentWithTab, undo, redo } from '@codemirror/commands';
-import { HighlightStyle, syntaxHighlighting, syntaxTree } from '@codemirror/language';
+import { HighlightStyle, StreamLanguage, syntaxHighlighting, syntaxTree } from '@codemirror/language';
 import { json } from '@codemirror/lang-json';
 import { yaml } from '@codemirror/lang-yaml';
+import { xml } from '@codemirror/lang-xml';
+import { toml as tomlMode } from '@codemirror/legacy-modes/mode/toml';
+import { properties as propertiesMode } from '@codemirror/legacy-modes/mode/properties';
+import { typescript as typescriptMode } from '@codemirror/legacy-modes/mode/javascript';
+import { linter, lintGutter, forceLinting, nextDiagnostic, previousDiagnostic } from '@codemirror/lint';
 import { vscodeDark, vscodeLight } from '@uiw/codemirror-theme-vscode';
 import { tags } from '@lezer/highlight';
+import {
+  lineColToOffset, jsonErrorOffset, DEFAULT_FORMAT_OPTIONS, normalizeFormatOptions, parseJSON, parseExactJSON, writeExactJSON, findImpreciseNumbers,
+  detectFormat, parseStructured, formatPath, nodeKey, pluralize, QUERY_LANGS, runFormatJob,
+  fileExtension, fileFormat, FILE_FORMATS, decodeFileBytes, encodeFileText, outputFileName, valueType, previewValue, summarizeDiffs, describeDiff, compare,
+  analyzeAnchors, anchorSource, outlineDocuments, moveDocument, removeDocument, extractDocument, DEFAULT_LINT_CONFIG, normalizeLintConfig, parseYamllintConfig, lintYAML, fixYAML,
+  DATA_FORMATS, dataSyntaxError, findSecrets, redactSecrets, PATCH_MODES, parseNDJSON, EMBEDDED_ENCODINGS, expandEmbedded, restringifyEmbedded,
+} from './formatter.js';
 
 // Custom YAML highlight style — @lezer/yaml uses these specific tags:
 //   tags.content              → unquoted scalars (strings, booleans, numbers, nulls)
@@ -78,17 +94,68 @@ const yamlValueDecorations = ViewPlugin.fromClass(class {
 
 // ===== Storage Keys =====
 const KEYS = {
+  // Single-slot panel contents from before workspaces; only read to migrate them
   jsonInput: 'devformat_json_input',
   jsonOutput: 'devformat_json_output',
   yamlInput: 'devformat_yaml_input',
   yamlOutput: 'devformat_yaml_output',
+  jsonFormatOptions: 'devformat_json_format_options',
+  yamlFormatOptions: 'devformat_yaml_format_options',
+
+  jsonActiveDoc: 'devformat_json_active_doc',
+  yamlActiveDoc: 'devformat_yaml_active_doc',
+  jsonWorkspace: 'devformat_json_workspace',
+  yamlWorkspace: 'devformat_yaml_workspace',
+  jsonOutputMode: 'devformat_json_output_mode',
+  yamlOutputMode: 'devformat_yaml_output_mode',
+  jsonLenient: 'devformat_json_lenient',
+  jsonLossless: 'devformat_json_lossless',
+  jsonNdjson: 'devformat_json_ndjson',
+  jsonSchema: 'devformat_json_schema',
+  yamlSchema: 'devformat_yaml_schema',
+  yamlLint: 'devformat_yaml_lint',
+  jsonQueryHistory: 'devformat_json_query_history',
+  yamlQueryHistory: 'devformat_yaml_query_history',
+  jsonTreeView: 'devformat_json_tree_view',
+  yamlTreeView: 'devformat_yaml_tree_view',
+  yamlOutline: 'devformat_yaml_outline',
+  jsonPatch: 'devformat_json_patch',
+  yamlPatch: 'devformat_yaml_patch',
+  tomlActiveDoc: 'devformat_toml_active_doc',
+  tomlWorkspace: 'devformat_toml_workspace',
+  tomlOutputMode: 'devformat_toml_output_mode',
+  xmlActiveDoc: 'devformat_xml_active_doc',
+  xmlWorkspace: 'devformat_xml_workspace',
+  xmlOutputMode: 'devformat_xml_output_mode',
+  csvActiveDoc: 'devformat_csv_active_doc',
+  csvWorkspace: 'devformat_csv_workspace',
+  csvOutputMode: 'devformat_csv_output_mode',
+  envActiveDoc: 'devformat_env_active_doc',
+  envWorkspace: 'devformat_env_workspace',
+  envOutputMode: 'devformat_env_output_mode',
+  jsonSecrets: 'devformat_json_secrets',
+  yamlSecrets: 'devformat_yaml_secrets',
+  tomlSecrets: 'devformat_toml_secrets',
+  xmlSecrets: 'devformat_xml_secrets',
+  csvSecrets: 'devformat_csv_secrets',
+  envSecrets: 'devformat_env_secrets',
+  compareLeft: 'devformat_compare_left',
+  compareRight: 'devformat_compare_right',
+  compareOptions: 'devformat_compare_options',
   activeTab: 'devformat_active_tab',
   themePref: 'devformat_theme',
+  shortcuts: 'devformat_shortcuts',
 };
 
 // Global Store for Theme Compartments to live-swap the Editor theme
 const themeCompartments = [];
 
+// Language compartment per editor, so panels that auto-detect the format can swap it
+const languageCompartments = new WeakMap();
+
+// Per-editor reset to a fresh state, used when a panel loads a different workspace document
+const editorResets = new WeakMap();
+
 // Get active CodeMirror theme based on current mode
 function getActiveEditorTheme() {
   const isDark = document.documentElement.getAttribute('data-theme') === 'dark' ||
@@ -169,18 +236,78 @@ async function copyToClipboard(text, btn) {
   }
 }
 
+// Editor contents above this many characters are no longer formatted or linted as you
+// type, and aren't written to localStorage (its ~5 MB quota is shared by every key)
+const LARGE_DOC_SIZE = 1024 * 1024;
+
+function formatSize(bytes) {
+  if (bytes > 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes > 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+// Saves an editor's contents unless they're too large; returns whether it was stored
+function persist(key, value) {
+  if (value.length > LARGE_DOC_SIZE) {
+    localStorage.removeItem(key);
+    return false;
+  }
+  try {
+    localStorage.setItem(key, value);
+    return true;
+  } catch {
+    localStorage.removeItem(key); // quota exceeded — a stale copy would be worse than none
+    return false;
+  }
+}
+
+// Fixed-position popover anchored below its toggle button (above it when there's no room,
+// as for status bar buttons); closes on outside click or Escape
+function initPopover(toggleBtn, popover, onOpen = () => { }) {
+  function position() {
+    const rect = toggleBtn.getBoundingClientRect();
+    const below = rect.bottom + 6 + popover.offsetHeight <= window.innerHeight;
+    popover.style.top = `${below ? rect.bottom + 6 : Math.max(rect.top - 6 - popover.offsetHeight, 8)}px`;
+    popover.style.right = `${Math.max(window.innerWidth - rect.right, 8)}px`;
+  }
+
+  toggleBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    popover.hidden = !popover.hidden;
+    if (!popover.hidden) {
+      position();
+      onOpen();
+    }
+  });
+  popover.addEventListener('click', e => e.stopPropagation());
+  document.addEventListener('click', () => { popover.hidden = true; });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') popover.hidden = true;
+  });
+  window.addEventListener('resize', () => { if (!popover.hidden) position(); });
+}
+
 // ===== Status Bar =====
 
+// Last status shown per bar, so workspace documents can save and restore it
+const lastStatus = new Map();
+
 function setStatus(barId, type, message, detail = '') {
   const bar = document.getElementById(barId);
   if (!bar) return;
+  lastStatus.set(barId, { type, message, detail });
   const safeMsg = message.replace(/</g, '&lt;').replace(/>/g, '&gt;');
-  const safeDetail = detail.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const safeDetail = detail.replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
   let inner = '';
   if (type === 'idle') {
     inner = `<span class="status-idle">${safeMsg}</span>`;
   } else if (type === 'ok') {
     inner = `<span class="status-ok">${safeMsg}</span>`;
+  } else if (type === 'warn') {
+    inner = `<span class="status-warn">${safeMsg}</span>`;
+    if (detail) inner += `<span class="err-detail" title="${safeDetail}">${safeDetail}</span>`;
+  } else if (type === 'busy') {
+    inner = `<span class="status-busy">${safeMsg}</span>`;
   } else if (type === 'error') {
     inner = `<span class="status-error">${safeMsg}</span>`;
     if (detail) inner += `<span class="err-detail">${safeDetail}</span>`;
@@ -189,9 +316,249 @@ function setStatus(barId, type, message, detail = '') {
 }
 
 
+// ===== Diagnostics =====
+
+function jsonDiagnostics(text, lossless = false) {
+  if (!text.trim()) return [];
+  try {
+    JSON.parse(text);
+    return findImpreciseNumbers(text).map(({ from, to, lexeme, parsed }) => ({
+      from,
+      to,
+      severity: lossless ? 'info' : 'warning',
+      source: 'JSON',
+      message: lossless
+        ? `Kept exactly in Lossless mode (a JS number would read ${lexeme} as ${parsed})`
+        : `${lexeme} loses precision as a JS number (reads as ${parsed}) — turn on Lossless to keep it`,
+    }));
+  } catch (err) {
+    const offset = jsonErrorOffset(err, text) ?? 0;
+    // Cover the offending token rather than a single character where possible
+    const token = /^(?:"(?:[^"\\\n]|\\.)*"?|[^\s,:[\]{}"]+|.)/.exec(text.slice(offset));
+    return [{
+      from: offset,
+      to: offset + (token ? token[0].length : 0),
+      severity: 'error',
+      source: 'JSON',
+      message: err.message,
+    }];
+  }
+}
+
+function yamlDiagnostics(text) {
+  if (!text.trim()) return [];
+  const docs = YAML.parseAllDocuments(text);
+  const diagnostics = [];
+  for (const doc of docs) {
+    for (const [list, severity] of [[doc.errors, 'error'], [doc.warnings, 'warning']]) {
+      for (const err of list) {
+        const [from, to] = err.pos;
+        diagnostics.push({
+          from: Math.min(from, text.length),
+          to: Math.min(Math.max(to, from), text.length),
+          severity,
+          source: 'YAML',
+          // The package appends a source excerpt after the first line; the editor already shows it
+          message: err.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, ''),
+        });
+      }
+    }
+  }
+
+  const { anchors, aliases } = analyzeAnchors(docs, text);
+  for (const alias of aliases) {
+    if (alias.cycle) {
+      diagnostics.push({
+        from: alias.from, to: alias.to, severity: 'error', source: 'YAML',
+        message: `Alias cycle: *${alias.name} is inside the node it refers to`,
+      });
+    } else if (!alias.anchor) {
+      diagnostics.push({
+        from: alias.from, to: alias.to, severity: 'error', source: 'YAML',
+        message: `Unknown alias: no &${alias.name} anchor before it`,
+      });
+    }
+  }
+  for (const anchor of anchors) {
+    if (anchor.used || anchor.from < 0) continue;
+    diagnostics.push({
+      from: anchor.from, to: anchor.to, severity: 'warning', source: 'YAML',
+      message: `Unused anchor &${anchor.name}`,
+    });
+  }
+  return diagnostics;
+}
+
+const jsonLinter = linter(view => {
+  if (view.state.doc.length > LARGE_DOC_SIZE) return [];
+  const text = view.state.doc.toString();
+  return lenientEditors.has(view) ? json5Diagnostics(text) : jsonDiagnostics(text, losslessEditors.has(view));
+}, { delay: 400 });
+// NDJSON lines parse one at a time, so every bad record gets its own marker
+function ndjsonDiagnostics(doc, lenient) {
+  const { errors } = parseNDJSON(doc.toString(), { lenient });
+  return errors.map(({ line, col, message }) => {
+    const { from, to } = doc.line(line);
+    return {
+      from: Math.min(from + col - 1, to),
+      to,
+      severity: 'error',
+      source: 'NDJSON',
+      message: `Line ${line}: ${message}`,
+    };
+  });
+}
+
+const ndjsonLinter = linter(view => {
+  if (view.state.doc.length > LARGE_DOC_SIZE) return [];
+  return ndjsonDiagnostics(view.state.doc, lenientEditors.has(view));
+}, { delay: 400 });
+const yamlLinter = linter(view => {
+  if (view.state.doc.length > LARGE_DOC_SIZE) return [];
+  return yamlDiagnostics(view.state.doc.toString());
+}, { delay: 400 });
+
+// TOML, XML, CSV and .env parsers stop at the first error, so there's one diagnostic at most
+function dataDiagnostics(text, format) {
+  const err = dataSyntaxError(text, format);
+  if (!err) return [];
+  const from = lineColToOffset(text, err.line, err.col);
+  const lineEnd = text.indexOf('\n', from);
+  return [{
+    from,
+    to: Math.max(from, lineEnd === -1 ? text.length : lineEnd),
+    severity: 'error',
+    source: DATA_FORMATS[format],
+    message: err.message,
+  }];
+}
+
+const dataLinter = format => linter(view => {
+  if (view.state.doc.length > LARGE_DOC_SIZE) return [];
+  return dataDiagnostics(view.state.doc.toString(), format);
+}, { delay: 400 });
+
+// Editor language per data format. CSV has no grammar worth highlighting.
+const LANGUAGES = {
+  json,
+  yaml,
+  toml: () => StreamLanguage.define(tomlMode),
+  xml,
+  csv: () => [],
+  env: () => StreamLanguage.define(propertiesMode),
+};
+
+const dataLinters = new Map(['toml', 'xml', 'csv', 'env'].map(format => [LANGUAGES[format], dataLinter(format)]));
+
+const typescriptLanguage = () => StreamLanguage.define(typescriptMode);
+const ndjsonLanguage = () => json();
+const plainText = () => [];
+
+// Generate, NDJSON and escape output modes: the editor language and the "format" their
+// download is named after
+const GENERATED_OUTPUT = {
+  schema: { langExt: json, format: 'schema.json' },
+  typescript: { langExt: typescriptLanguage, format: 'ts' },
+  zod: { langExt: typescriptLanguage, format: 'ts' },
+  ndjson: { langExt: ndjsonLanguage, format: 'ndjson' },
+  'ndjson-array': { langExt: json, format: 'json' },
+  'ndjson-record': { langExt: json, format: 'json' },
+  'ndjson-table': { langExt: plainText, format: 'txt' },
+  escape: { langExt: json, format: 'json' },
+  unescape: { langExt: plainText, format: 'txt' },
+};
+
+// Patch modes write JSON or YAML, as chosen in the Patch pane
+function outputLanguage(mode, own, patchFormat) {
+  if (PATCH_MODES[mode]) return LANGUAGES[patchFormat];
+  return LANGUAGES[mode] ?? GENERATED_OUTPUT[mode]?.langExt ?? own;
+}
+
+function outputFileFormat(mode, own, patchFormat) {
+  if (PATCH_MODES[mode]) return patchFormat;
+  return DATA_FORMATS[mode] ? mode : GENERATED_OUTPUT[mode]?.format ?? own;
+}
+
+
+// ===== YAML Alias Previews =====
+
+const ALIAS_PREVIEW_LINES = 12;
+
+// Anchors and aliases of an editor document, parsed once per document version
+const anchorIndexes = new WeakMap();
+
+function aliasAt(state, pos) {
+  if (state.doc.length > LARGE_DOC_SIZE) return null;
+  if (!anchorIndexes.has(state.doc)) {
+    const text = state.doc.toString();
+    anchorIndexes.set(state.doc, { text, ...analyzeAnchors(YAML.parseAllDocuments(text), text) });
+  }
+  const index = anchorIndexes.get(state.doc);
+  const alias = index.aliases.find(a => a.from <= pos && pos <= a.to);
+  return alias ? { alias, text: index.text } : null;
+}
+
+function aliasTooltip({ alias, text }) {
+  return {
+    pos: alias.from,
+    end: alias.to,
+    above: true,
+    create() {
+      const dom = document.createElement('div');
+      dom.className = 'cm-alias-tooltip';
+      const head = document.createElement('div');
+      head.className = 'cm-alias-tooltip-head';
+      const body = document.createElement('pre');
+      body.className = 'cm-alias-tooltip-body';
+      const { anchor } = alias;
+      if (!anchor) {
+        head.textContent = `*${alias.name} · no anchor`;
+        body.textContent = `Nothing named &${alias.name} is defined before this alias`;
+      } else {
+        head.textContent = `&${anchor.name} · Line ${text.slice(0, anchor.from).split('\n').length}${alias.cycle ? ' · cycle' : ''}`;
+        const lines = anchorSource(anchor, text).split('\n');
+        body.textContent = lines.slice(0, ALIAS_PREVIEW_LINES).join('\n')
+          + (lines.length > ALIAS_PREVIEW_LINES ? `\n… ${pluralize(lines.length - ALIAS_PREVIEW_LINES, 'more line')}` : '');
+      }
+      dom.append(head, body);
+      return { dom };
+    },
+  };
+}
+
+// Clicking into an alias (or moving the cursor onto one) pins its preview
+const aliasCursorTooltip = StateField.define({
+  create: () => null,
+  update(tooltip, tr) {
+    if (!tr.docChanged && !tr.selection) return tooltip;
+    const { main } = tr.state.selection;
+    const hit = main.empty ? aliasAt(tr.state, main.head) : null;
+    return hit ? aliasTooltip(hit) : null;
+  },
+  provide: f => showTooltip.from(f),
+});
+
+const aliasHoverTooltip = hoverTooltip((view, pos) => {
+  const hit = aliasAt(view.state, pos);
+  const pinned = view.state.field(aliasCursorTooltip);
+  if (!hit || pinned?.pos === hit.alias.from) return null;
+  return aliasTooltip(hit);
+});
+
+const yamlAliasPreviews = [aliasCursorTooltip, aliasHoverTooltip];
+
+
 // ===== CodeMirror Helper =====
 
-function createEditor(parentEl, initialDoc, langExt, onChange = null) {
+function languageExtensions(langExt) {
+  if (langExt === yaml) return [langExt(), yamlLinter, yamlHighlight, yamlValueDecorations];
+  if (dataLinters.has(langExt)) return [langExt(), dataLinters.get(langExt)];
+  if (langExt === json) return [langExt(), jsonLinter];
+  if (langExt === ndjsonLanguage) return [json(), ndjsonLinter];
+  return [langExt()];
+}
+
+function createEditor(parentEl, initialDoc, langExt, onChange = null, extraExtensions = []) {
   const customTheme = EditorView.theme({
     "&": { height: "100%", backgroundColor: "transparent", color: "var(--text-primary)" },
     ".cm-scroller": { fontFamily: "var(--font-code)", fontSize: "13px", lineHeight: "1.6" },
@@ -202,19 +569,37 @@ function createEditor(parentEl, initialDoc, langExt, onChange = null) {
       borderRight: "1px solid var(--border)",
     },
     ".cm-lineNumbers .cm-gutterElement": { padding: "0 10px 0 14px", minWidth: "46px" },
-    ".cm-cursor": { borderLeftColor: "var(--text-primary)" }
+    ".cm-cursor": { borderLeftColor: "var(--text-primary)" },
+    ".cm-tooltip.cm-tooltip-lint": {
+      backgroundColor: "var(--bg-overlay)",
+      border: "1px solid var(--border)",
+      borderRadius: "var(--radius-sm)",
+      fontFamily: "var(--font-ui)",
+      fontSize: "12px",
+    },
+    ".cm-diagnostic-error": { borderLeftColor: "var(--error)" },
+    ".cm-diagnostic-warning": { borderLeftColor: "var(--warn)" },
+    ".cm-diagnosticSource": { color: "var(--text-muted)" },
+    ".cm-alias-tooltip": { padding: "6px 8px", maxWidth: "480px", fontSize: "12px" },
+    ".cm-alias-tooltip-head": { fontFamily: "var(--font-ui)", color: "var(--text-muted)", marginBottom: "4px" },
+    ".cm-alias-tooltip-body": { margin: "0", fontFamily: "var(--font-code)", whiteSpace: "pre", overflow: "hidden" },
   }, { dark: false }); // Let the base theme (vscodeDark/vscodeLight) handle general dark/light tokens
 
-  const isYaml = langExt === yaml;
   const themeCompartment = new Compartment();
+  const languageCompartment = new Compartment();
 
   const extensions = [
     basicSetup,
-    langExt(),
+    languageCompartment.of(languageExtensions(langExt)),
     themeCompartment.of(getActiveEditorTheme()),
-    ...(isYaml ? [yamlHighlight, yamlValueDecorations] : []),
+    lintGutter(),
     customTheme,
-    keymap.of([indentWithTab])
+    keymap.of([
+      indentWithTab,
+      { key: "F8", run: nextDiagnostic },
+      { key: "Shift-F8", run: previousDiagnostic },
+    ]),
+    ...extraExtensions
   ];
 
   if (onChange) {
@@ -230,9 +615,27 @@ function createEditor(parentEl, initialDoc, langExt, onChange = null) {
   const view = new EditorView({ state, parent: parentEl });
 
   themeCompartments.push({ view, compartment: themeCompartment });
+  languageCompartments.set(view, { compartment: languageCompartment, langExt });
+  editorResets.set(view, (text) => {
+    const current = languageCompartments.get(view).langExt;
+    view.setState(EditorState.create({ doc: text, extensions }));
+    view.dispatch({
+      effects: [
+        themeCompartment.reconfigure(getActiveEditorTheme()),
+        languageCompartment.reconfigure(languageExtensions(current)),
+      ],
+    });
+  });
   return view;
 }
 
+function setEditorLanguage(view, langExt) {
+  const entry = languageCompartments.get(view);
+  if (!entry || entry.langExt === langExt) return;
+  entry.langExt = langExt;
+  view.dispatch({ effects: entry.compartment.reconfigure(languageExtensions(langExt)) });
+}
+
 function setEditorDoc(view, text, isUserAction = false) {
   view.dispatch({
     changes: { from: 0, to: view.state.doc.length, insert: text },
@@ -240,240 +643,3137 @@ function setEditorDoc(view, text, isUserAction = false) {
   });
 }
 
+// Replaces the document along with its undo history and selection
+function resetEditorDoc(view, text) {
+  editorResets.get(view)(text);
+}
 
-// ===== JSON Module =====
 
-function initJSON() {
-  const inputContainer = document.getElementById('json-input');
-  const outputContainer = document.getElementById('json-output');
-  const statusBar = 'json-status-bar';
-  const copyBtn = document.getElementById('json-copy-btn');
-  const formatBtn = document.getElementById('json-format-btn');
-  const minifyBtn = document.getElementById('json-minify-btn');
-  const clearBtn = document.getElementById('json-clear-btn');
-  const pasteBtn = document.getElementById('json-paste-btn');
+// ===== Formatting Options =====
 
-  // Restore from localStorage
-  const defaultInput = `{\n  "name": "DevFormat",\n  "awesome": true\n}`;
-  let savedInput = localStorage.getItem(KEYS.jsonInput);
-  if (savedInput === null) savedInput = defaultInput;
-  const savedOutput = localStorage.getItem(KEYS.jsonOutput) || '';
+// Options belong to the panel's current workspace document, which saves them via onChange
+function initFormatOptions(prefix, onChange) {
+  const toggleBtn = document.getElementById(`${prefix}-format-options-btn`);
+  const popover = document.getElementById(`${prefix}-format-options`);
+  const fields = [...popover.querySelectorAll('[name]')];
 
-  let debounceTimer;
-  let isSyncing = false;
+  let options = DEFAULT_FORMAT_OPTIONS;
 
-  // Initialize CodeMirror Editors
-  const inputEditor = createEditor(inputContainer, savedInput, json, (val) => {
-    if (isSyncing) return;
-    localStorage.setItem(KEYS.jsonInput, val);
-    clearTimeout(debounceTimer);
-    debounceTimer = setTimeout(() => {
-      if (val.trim()) processJSON(false, true);
-    }, 600);
-  });
+  function render() {
+    for (const field of fields) {
+      if (field.type === 'checkbox') field.checked = options[field.name];
+      else field.value = String(options[field.name]);
+    }
+    toggleBtn.classList.toggle('active', JSON.stringify(options) !== JSON.stringify(DEFAULT_FORMAT_OPTIONS));
+  }
 
-  const outputEditor = createEditor(outputContainer, savedOutput, json, (val) => {
-    if (isSyncing) return;
-    localStorage.setItem(KEYS.jsonOutput, val);
-    clearTimeout(debounceTimer);
-    debounceTimer = setTimeout(() => {
-      if (!val.trim()) {
-        isSyncing = true;
-        setEditorDoc(inputEditor, '', true);
-        isSyncing = false;
-        return;
-      }
-      try {
-        JSON.parse(val); // only sync back if valid
-        isSyncing = true;
-        setEditorDoc(inputEditor, val, true);
-        isSyncing = false;
-      } catch (e) { }
-    }, 600);
+  function read() {
+    const next = {};
+    for (const field of fields) {
+      if (field.type === 'checkbox') next[field.name] = field.checked;
+      else next[field.name] = /^\d+$/.test(field.value) ? Number(field.value) : field.value;
+    }
+    return normalizeFormatOptions(next);
+  }
+
+  initPopover(toggleBtn, popover);
+  popover.addEventListener('change', () => {
+    options = read();
+    render();
+    onChange(options);
+  });
+  popover.querySelector('[data-action="reset"]').addEventListener('click', () => {
+    options = DEFAULT_FORMAT_OPTIONS;
+    render();
+    onChange(options);
   });
 
-  function processJSON(minify = false, fromInput = true) {
-    const raw = fromInput ? inputEditor.state.doc.toString().trim() : outputEditor.state.doc.toString().trim();
-    if (!raw) {
-      if (fromInput) {
-        isSyncing = true;
-        setEditorDoc(outputEditor, '');
-        isSyncing = false;
-        localStorage.removeItem(KEYS.jsonOutput);
-      }
-      setStatus(statusBar, 'idle', 'Ready · Paste JSON and click Format');
-      return;
-    }
+  render();
+  return {
+    get: () => options,
+    set(next) {
+      options = normalizeFormatOptions(next);
+      render();
+    },
+  };
+}
 
-    try {
-      const parsed = JSON.parse(raw);
-      const formatted = minify
-        ? JSON.stringify(parsed)
-        : JSON.stringify(parsed, null, 2);
 
-      isSyncing = true;
-      if (fromInput) setEditorDoc(outputEditor, formatted);
-      else setEditorDoc(inputEditor, formatted, true);
-      isSyncing = false;
-      localStorage.setItem(KEYS.jsonOutput, formatted);
+// ===== Lenient JSON & Repair =====
 
-      const lines = formatted.split('\n').length;
-      const size = new Blob([formatted]).size;
-      const sizeStr = size > 1024 ? `${(size / 1024).toFixed(1)} KB` : `${size} B`;
-      setStatus(statusBar, 'ok', `Valid JSON · ${lines} lines · ${sizeStr}`);
-    } catch (err) {
-      setEditorDoc(outputEditor, '');
-      localStorage.removeItem(KEYS.jsonOutput);
-      setStatus(statusBar, 'error', 'Invalid JSON', err.message);
-    }
+// Editors whose JSON linter should accept JSONC/JSON5 (toggled by the JSON panel)
+const lenientEditors = new WeakSet();
+
+// Editors whose number-precision diagnostics are informational (Lossless mode keeps the digits)
+const losslessEditors = new WeakSet();
+
+function json5Diagnostics(text) {
+  if (!text.trim()) return [];
+  try {
+    JSON5.parse(text);
+    return [];
+  } catch (err) {
+    const offset = err.lineNumber ? lineColToOffset(text, err.lineNumber, err.columnNumber) : 0;
+    return [{
+      from: offset,
+      to: Math.min(offset + 1, text.length),
+      severity: 'error',
+      source: 'JSON5',
+      message: err.message.replace(/^JSON5: /, ''),
+    }];
   }
+}
 
-  formatBtn.addEventListener('click', () => processJSON(false));
-  minifyBtn.addEventListener('click', () => processJSON(true));
+const PYTHON_LITERALS = { True: 'true', False: 'false', None: 'null' };
+const SMART_QUOTES = { '“': '”', '„': '”', '‘': '’', '‚': '’' };
+const STRING_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
 
-  clearBtn.addEventListener('click', () => {
-    isSyncing = true;
-    setEditorDoc(inputEditor, '', true);
-    setEditorDoc(outputEditor, '');
-    isSyncing = false;
-    localStorage.removeItem(KEYS.jsonInput);
-    localStorage.removeItem(KEYS.jsonOutput);
-    setStatus(statusBar, 'idle', 'Ready · Paste JSON and click Format');
-    inputEditor.focus();
-  });
+// Best-effort rewrite of broken JSON into strict JSON. Walks the text once, tracking the
+// bracket stack and what each container expects next, and records every fix it applies.
+function repairJSON(text) {
+  const fixes = new Map();
+  const note = (msg) => fixes.set(msg, (fixes.get(msg) || 0) + 1);
 
-  pasteBtn.addEventListener('click', async () => {
-    try {
-      const text = await navigator.clipboard.readText();
-      isSyncing = true;
-      setEditorDoc(inputEditor, text, true);
-      isSyncing = false;
-      localStorage.setItem(KEYS.jsonInput, text);
-      processJSON(false, true);
-    } catch {
-      showToast('Clipboard access denied', 'error-toast');
-    }
-  });
+  let src = text;
+  // Log lines: `2024-05-01 INFO payload={"id": 1} took 3ms`
+  const start = src.search(/[{[]/);
+  if (start > 0 && /\S/.test(src.slice(0, start)) && !/^\s*["'“‘]/.test(src)) {
+    note(`leading text "${src.slice(0, start).trim().slice(0, 24)}" removed`);
+    src = src.slice(start);
+  }
 
-  copyBtn.addEventListener('click', () => {
-    const text = outputEditor.state.doc.toString();
-    if (!text) {
-      showToast('Nothing to copy – format first', 'error-toast');
+  const stack = []; // { close, expect: 'key' | 'colon' | 'value' | 'comma' }
+  let out = '';
+  let i = 0;
+  let done = false;
+
+  const top = () => stack[stack.length - 1];
+  // Called before emitting a value (or an object key) so missing separators can be inserted
+  function beforeValue(isString) {
+    const level = top();
+    if (!level) return;
+    if (level.expect === 'comma') {
+      out += ',';
+      note('missing comma inserted');
+      level.expect = level.close === '}' ? 'key' : 'value';
+    }
+    if (level.expect === 'colon') {
+      out += ':';
+      note('missing colon inserted');
+      level.expect = 'value';
+    }
+    if (level.expect === 'key' && !isString) note('unquoted key quoted');
+  }
+  function afterValue() {
+    const level = top();
+    if (!level) {
+      done = true;
       return;
     }
-    copyToClipboard(text, copyBtn);
-  });
-
-  // Restore status based on saved content
-  if (savedOutput) {
-    const lines = savedOutput.split('\n').length;
-    const size = new Blob([savedOutput]).size;
-    const sizeStr = size > 1024 ? `${(size / 1024).toFixed(1)} KB` : `${size} B`;
-    setStatus(statusBar, 'ok', `Restored · ${lines} lines · ${sizeStr}`);
-  } else if (savedInput) {
-    setStatus(statusBar, 'idle', 'Input restored · Click Format to validate');
+    level.expect = level.expect === 'key' ? 'colon' : 'comma';
+  }
+  function dropTrailingComma() {
+    const trimmed = out.trimEnd();
+    if (trimmed.endsWith(',')) {
+      out = trimmed.slice(0, -1) + out.slice(trimmed.length);
+      note('trailing comma removed');
+    }
+  }
+  function closeLevel() {
+    const level = stack.pop();
+    dropTrailingComma();
+    if (level.expect === 'colon') {
+      out += ':null';
+      note('missing value filled with null');
+    } else if (level.expect === 'value' && out.trimEnd().endsWith(':')) {
+      out += 'null';
+      note('missing value filled with null');
+    }
+    out += level.close;
+    afterValue();
   }
-}
 
+  while (i < src.length && !done) {
+    const c = src[i];
 
-// ===== YAML Module =====
+    if (/\s/.test(c)) {
+      out += c;
+      i++;
+      continue;
+    }
 
-function initYAML() {
-  const inputContainer = document.getElementById('yaml-input');
-  const outputContainer = document.getElementById('yaml-output');
-  const statusBar = 'yaml-status-bar';
-  const copyBtn = document.getElementById('yaml-copy-btn');
-  const formatBtn = document.getElementById('yaml-format-btn');
-  const clearBtn = document.getElementById('yaml-clear-btn');
-  const pasteBtn = document.getElementById('yaml-paste-btn');
+    // Comments
+    if (c === '/' && src[i + 1] === '/' || c === '#') {
+      while (i < src.length && src[i] !== '\n') i++;
+      note('comment removed');
+      continue;
+    }
+    if (c === '/' && src[i + 1] === '*') {
+      const end = src.indexOf('*/', i + 2);
+      i = end === -1 ? src.length : end + 2;
+      note('comment removed');
+      continue;
+    }
 
-  // Restore from localStorage
-  const defaultInput = `name: DevFormat\nawesome: true\nfeatures:\n  - format\n  - validate`;
-  let savedInput = localStorage.getItem(KEYS.yamlInput);
-  if (savedInput === null) savedInput = defaultInput;
-  const savedOutput = localStorage.getItem(KEYS.yamlOutput) || '';
+    // Strings, including single-quoted and “smart” quoted ones
+    if (c === '"' || c === "'" || SMART_QUOTES[c] || c === '”' || c === '’') {
+      const smart = !(c === '"' || c === "'");
+      const closers = smart ? [SMART_QUOTES[c] || c, c === '‘' || c === '’' || c === '‚' ? "'" : '"'] : [c];
+      if (smart) note('smart quotes replaced');
+      else if (c === "'") note('single-quoted string converted');
+      let value = '';
+      let closed = false;
+      i++;
+      while (i < src.length) {
+        const ch = src[i];
+        if (closers.includes(ch)) {
+          closed = true;
+          i++;
+          break;
+        }
+        if (ch === '\\' && i + 1 < src.length) {
+          const esc = src[i + 1];
+          if (esc === 'u' && /^[0-9a-fA-F]{4}$/.test(src.slice(i + 2, i + 6))) {
+            value += String.fromCharCode(parseInt(src.slice(i + 2, i + 6), 16));
+            i += 6;
+          } else if (esc === 'x' && /^[0-9a-fA-F]{2}$/.test(src.slice(i + 2, i + 4))) {
+            value += String.fromCharCode(parseInt(src.slice(i + 2, i + 4), 16));
+            i += 4;
+          } else if (esc === '\n') {
+            i += 2;
+          } else {
+            value += STRING_ESCAPES[esc] ?? esc;
+            i += 2;
+          }
+          continue;
+        }
+        if (ch === '\n') note('raw line break in string escaped');
+        value += ch;
+        i++;
+      }
+      if (!closed) note('unterminated string closed');
+      beforeValue(true);
+      out += JSON.stringify(value);
+      afterValue();
+      continue;
+    }
 
-  let debounceTimer;
-  let isSyncing = false;
+    if (c === '{' || c === '[') {
+      beforeValue(false);
+      stack.push({ close: c === '{' ? '}' : ']', expect: c === '{' ? 'key' : 'value' });
+      out += c;
+      i++;
+      continue;
+    }
 
-  const inputEditor = createEditor(inputContainer, savedInput, yaml, (val) => {
-    if (isSyncing) return;
-    localStorage.setItem(KEYS.yamlInput, val);
-    clearTimeout(debounceTimer);
-    debounceTimer = setTimeout(() => {
-      if (val.trim()) processYAML(true);
-    }, 600);
-  });
+    if (c === '}' || c === ']') {
+      if (!stack.some(level => level.close === c)) {
+        note(`unmatched ${c} removed`);
+        i++;
+        continue;
+      }
+      while (top().close !== c) {
+        note(`missing ${top().close} inserted`);
+        closeLevel();
+      }
+      closeLevel();
+      i++;
+      continue;
+    }
 
-  const outputEditor = createEditor(outputContainer, savedOutput, yaml, (val) => {
-    if (isSyncing) return;
-    localStorage.setItem(KEYS.yamlOutput, val);
-    clearTimeout(debounceTimer);
-    debounceTimer = setTimeout(() => {
-      if (!val.trim()) {
-        isSyncing = true;
-        setEditorDoc(inputEditor, '', true);
-        isSyncing = false;
-        return;
+    if (c === ',') {
+      const level = top();
+      if (!level || level.expect !== 'comma') {
+        note('extra comma removed');
+      } else {
+        out += c;
+        level.expect = level.close === '}' ? 'key' : 'value';
       }
-      try {
-        YAML.parse(val); // dry run to validate
-        isSyncing = true;
-        setEditorDoc(inputEditor, val, true);
-        isSyncing = false;
-      } catch (e) { }
-    }, 600);
-  });
+      i++;
+      continue;
+    }
 
-  function processYAML(fromInput = true) {
-    const raw = fromInput ? inputEditor.state.doc.toString().trim() : outputEditor.state.doc.toString().trim();
-    if (!raw) {
-      if (fromInput) {
-        isSyncing = true;
-        setEditorDoc(outputEditor, '');
-        isSyncing = false;
-        localStorage.removeItem(KEYS.yamlOutput);
+    if (c === ':') {
+      const level = top();
+      if (level && level.expect === 'colon') {
+        out += c;
+        level.expect = 'value';
+      } else {
+        note('stray colon removed');
       }
-      setStatus(statusBar, 'idle', 'Ready · Paste YAML and click Format');
-      return;
+      i++;
+      continue;
     }
 
-    try {
-      // The `yaml` package preserves comments by default when document stringifying
-      const docs = YAML.parseAllDocuments(raw);
-      let formatted = docs.map(doc => doc.toString({ indent: 2, lineWidth: 0 })).join('\n---\n');
-      formatted = formatted.trimEnd();
+    // Bare words: literals, numbers, unquoted keys
+    const word = /^[\w$+\-.]+/.exec(src.slice(i, i + 256));
+    if (!word) {
+      note(`stray "${c}" removed`);
+      i++;
+      continue;
+    }
+    const token = word[0];
+    i += token.length;
+    const isKey = top()?.expect === 'key';
+    beforeValue(false);
+    if (isKey) {
+      out += JSON.stringify(token);
+    } else if (PYTHON_LITERALS[token]) {
+      out += PYTHON_LITERALS[token];
+      note(`Python ${token} → ${PYTHON_LITERALS[token]}`);
+    } else if (/^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)$/.test(token)) {
+      out += token;
+    } else if (/^(?:undefined|NaN|[+-]?Infinity)$/.test(token)) {
+      out += 'null';
+      note(`${token} → null`);
+    } else if (Number.isFinite(Number(token))) {
+      out += String(Number(token));
+      note('number normalized');
+    } else {
+      out += JSON.stringify(token);
+      note('bare word quoted');
+    }
+    afterValue();
+  }
 
-      isSyncing = true;
-      if (fromInput) setEditorDoc(outputEditor, formatted);
-      else setEditorDoc(inputEditor, formatted, true);
-      isSyncing = false;
-      localStorage.setItem(KEYS.yamlOutput, formatted);
+  if (done && src.slice(i).trim()) note('trailing text removed');
+  if (stack.length) {
+    note(`${stack.length} unclosed bracket${stack.length === 1 ? '' : 's'} closed`);
+    while (stack.length) closeLevel();
+  }
 
-      const lines = formatted.split('\n').length;
-      const size = new Blob([formatted]).size;
-      const sizeStr = size > 1024 ? `${(size / 1024).toFixed(1)} KB` : `${size} B`;
-      setStatus(statusBar, 'ok', `Valid YAML · ${lines} lines · ${sizeStr}`);
-    } catch (err) {
-      setEditorDoc(outputEditor, '');
-      localStorage.removeItem(KEYS.yamlOutput);
+  // Re-indented keeping every number as written, so big integers and decimals aren't rounded
+  const parsed = parseExactJSON(out);
+  const list = [...fixes].map(([msg, n]) => (n > 1 ? `${n}× ${msg}` : msg));
+  return { text: writeExactJSON(parsed, '  ', ''), fixes: list };
+}
+
+
+// ===== Embedded Documents =====
+
+const setEmbeddedMarks = StateEffect.define();
+
+// Spots the JSON panel's Expand action unpacked, each mark carrying what Re-stringify needs
+// to write it back. Marks follow edits and drop out when their text is deleted.
+const embeddedMarks = StateField.define({
+  create: () => Decoration.none,
+  update(marks, tr) {
+    for (const effect of tr.effects) if (effect.is(setEmbeddedMarks)) return effect.value;
+    return marks.map(tr.changes);
+  },
+  provide: field => EditorView.decorations.from(field),
+});
+
+// `index` orders the spots outermost first, which is the order they were expanded in
+function embeddedMark(spot, index) {
+  return Decoration.mark({
+    class: 'cm-embedded',
+    attributes: { title: `Expanded from a ${EMBEDDED_ENCODINGS[spot.encoding]} string · Re-stringify writes it back` },
+    spot,
+    index,
+  });
+}
+
+// Expands the embedded documents in JSON (or NDJSON) text: `{ text, marks, counts }`, with
+// the spots found per encoding, or null when there are none. NDJSON stays one record per
+// line; lines that don't parse are kept as written.
+function expandEmbeddedText(text, { lenient, ndjson, options }) {
+  const marks = [];
+  const counts = {};
+  let index = 0;
 
-      let detail = '';
-      if (err.mark) detail = `Line ${err.mark.line + 1}, Col ${err.mark.column + 1}`;
-      setStatus(statusBar, 'error', `Invalid YAML${detail ? ` · ${detail}` : ''}`, err.message);
+  function expand(value, write, offset) {
+    const { value: expanded, spots } = expandEmbedded(value);
+    const out = write(expanded);
+    const docs = spots.length ? YAML.parseAllDocuments(out, { uniqueKeys: false }) : [];
+    for (const spot of spots) {
+      const loc = locatePath(docs, spot.path);
+      if (loc) marks.push(embeddedMark(spot, index).range(offset + loc.valueFrom, offset + loc.to));
+      counts[spot.encoding] = (counts[spot.encoding] || 0) + 1;
+      index++;
     }
+    return out;
+  }
+
+  let output;
+  if (ndjson) {
+    const records = new Map(parseNDJSON(text, { lenient }).records.map(r => [r.line, r.value]));
+    let offset = 0;
+    output = text.split('\n').map((raw, i) => {
+      const line = records.has(i + 1) ? expand(records.get(i + 1), value => JSON.stringify(value), offset) : raw;
+      offset += line.length + 1;
+      return line;
+    }).join('\n');
+  } else {
+    output = expand(parseJSON(text, lenient), value => runFormatJob({
+      format: 'json', text: JSON.stringify(value), mode: 'format', options,
+    }).output, 0);
+  }
+  return index ? { text: output, marks: Decoration.set(marks, true), counts } : null;
+}
+
+// Writes every marked spot back as a string, innermost first, mapping the rest through each
+// replacement. Spots whose text no longer parses keep their marks. Returns the counts.
+function restringifyMarked(view, lenient) {
+  const spots = [];
+  view.state.field(embeddedMarks).between(0, view.state.doc.length, (from, to, deco) => {
+    spots.push({ from, to, ...deco.spec });
+  });
+  spots.sort((a, b) => b.index - a.index);
+
+  let doc = view.state.doc;
+  let changes = ChangeSet.empty(doc.length);
+  const kept = [];
+  for (const { from, to, spot, index } of spots) {
+    // Inner spots may share an edge with this one, so keep their new text inside it
+    const start = changes.mapPos(from, -1);
+    const end = changes.mapPos(to, 1);
+    let value;
+    try {
+      value = parseJSON(doc.sliceString(start, end), lenient);
+    } catch {
+      kept.push({ from, to, spot, index });
+      continue;
+    }
+    const change = ChangeSet.of({ from: start, to: end, insert: JSON.stringify(restringifyEmbedded(value, spot)) }, doc.length);
+    doc = change.apply(doc);
+    changes = changes.compose(change);
+  }
+
+  const marks = kept.map(({ from, to, spot, index }) => embeddedMark(spot, index).range(changes.mapPos(from, -1), changes.mapPos(to, 1)));
+  view.dispatch({ changes, effects: setEmbeddedMarks.of(Decoration.set(marks, true)), userEvent: 'input' });
+  return { restored: spots.length - kept.length, kept: kept.length };
+}
+
+
+// ===== JSON Schema Validation =====
+
+const SCHEMA_DRAFTS = {
+  '2020-12': () => new Ajv2020({ allErrors: true, strict: false }),
+  'draft-07': () => new Ajv({ allErrors: true, strict: false }),
+};
+
+function detectSchemaDraft(schema) {
+  const uri = typeof schema?.$schema === 'string' ? schema.$schema : '';
+  if (/draft-0[4-7]/.test(uri)) return 'draft-07';
+  return '2020-12';
+}
+
+// Compiles a schema once per (text, draft) pair; a fresh Ajv instance avoids `$id` clashes
+const compileSchema = (() => {
+  let cache = { key: null, validate: null, draft: null };
+  return (schemaText, draft = 'auto') => {
+    const key = `${draft}\n${schemaText}`;
+    if (cache.key === key) return cache;
+    const schema = JSON5.parse(schemaText);
+    const resolved = draft === 'auto' ? detectSchemaDraft(schema) : draft;
+    // An explicit draft choice overrides the schema's own `$schema` meta-schema reference
+    if (draft !== 'auto' && schema && typeof schema === 'object') delete schema.$schema;
+    const ajv = SCHEMA_DRAFTS[resolved]();
+    addFormats(ajv);
+    cache = { key, validate: ajv.compile(schema), draft: resolved };
+    return cache;
+  };
+})();
+
+// JSON Pointer ("/spec/containers/0") → data path, using the instance to tell indexes from keys
+function pointerToPath(pointer, value) {
+  if (!pointer) return [];
+  let node = value;
+  return pointer.slice(1).split('/').map(raw => {
+    const seg = raw.replace(/~1/g, '/').replace(/~0/g, '~');
+    const key = Array.isArray(node) && /^\d+$/.test(seg) ? Number(seg) : seg;
+    node = node == null ? undefined : node[key];
+    return key;
+  });
+}
+
+// Validates each document; `values` has one entry per document
+function validateAgainstSchema(values, schemaText, draft = 'auto') {
+  const { validate, draft: resolved } = compileSchema(schemaText, draft);
+  const violations = [];
+  values.forEach((value, docIndex) => {
+    if (validate(value)) return;
+    for (const err of validate.errors) {
+      const path = pointerToPath(err.instancePath, value);
+      violations.push({
+        path: values.length > 1 ? [docIndex, ...path] : path,
+        keyword: err.keyword,
+        message: err.message,
+        schemaPath: err.schemaPath,
+      });
+    }
+  });
+  return { violations, draft: resolved };
+}
+
+function initSchemaPanel(prefix, { inputEditor, getDocuments }) {
+  const wrapper = document.querySelector(`#panel-${prefix} .pane-wrapper`);
+  const toggleBtn = document.getElementById(`${prefix}-schema-btn`);
+  const closeBtn = document.getElementById(`${prefix}-schema-close-btn`);
+  const loadBtn = document.getElementById(`${prefix}-schema-load-btn`);
+  const fileInput = document.getElementById(`${prefix}-schema-file`);
+  const draftSelect = document.getElementById(`${prefix}-schema-draft`);
+  const summary = document.getElementById(`${prefix}-schema-summary`);
+  const list = document.getElementById(`${prefix}-schema-violations`);
+  const storageKey = KEYS[`${prefix}Schema`];
+
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(storageKey)) || {};
+  } catch { }
+  draftSelect.value = saved.draft || 'auto';
+
+  let debounceTimer;
+  let violations = [];
+  let located = null;
+
+  const schemaEditor = createEditor(document.getElementById(`${prefix}-schema-input`), saved.text || '', json, () => {
+    persist();
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(validate, 600);
+  });
+
+  function persist() {
+    const text = schemaEditor.state.doc.toString();
+    localStorage.setItem(storageKey, JSON.stringify({
+      text,
+      draft: draftSelect.value,
+      open: wrapper.classList.contains('with-schema'),
+    }));
+  }
+
+  function setOpen(open) {
+    wrapper.classList.toggle('with-schema', open);
+    toggleBtn.classList.toggle('active', open);
+    persist();
+    if (open) validate();
+  }
+
+  function setSummary(type, text) {
+    summary.className = `schema-summary schema-${type}`;
+    summary.textContent = text;
+  }
+
+  function render() {
+    list.innerHTML = '';
+    violations.forEach((v, idx) => {
+      const item = document.createElement('button');
+      item.className = 'diff-item diff-removed';
+      item.dataset.index = idx;
+
+      const path = document.createElement('code');
+      path.className = 'diff-path';
+      path.textContent = formatPath(v.path);
+
+      const keyword = document.createElement('span');
+      keyword.className = 'schema-keyword';
+      keyword.textContent = v.keyword;
+
+      const message = document.createElement('span');
+      message.className = 'diff-values';
+      message.textContent = v.message;
+      message.title = v.schemaPath;
+
+      item.append(path, keyword, message);
+      list.appendChild(item);
+    });
+  }
+
+  function validate() {
+    if (!wrapper.classList.contains('with-schema')) return;
+    violations = [];
+    located = null;
+    const schemaText = schemaEditor.state.doc.toString();
+    if (!schemaText.trim()) {
+      render();
+      setSummary('idle', 'Paste a JSON Schema or load one from a file');
+      return;
+    }
+
+    let target;
+    try {
+      target = getDocuments();
+    } catch {
+      render();
+      setSummary('idle', 'Input is not valid · fix parse errors first');
+      return;
+    }
+    if (!target) {
+      render();
+      setSummary('idle', 'No input to validate');
+      return;
+    }
+
+    try {
+      const result = validateAgainstSchema(target.values, schemaText, draftSelect.value);
+      violations = result.violations;
+      located = target.docs;
+      render();
+      if (violations.length) {
+        setSummary('error', `${pluralize(violations.length, 'violation')} · ${result.draft}`);
+      } else {
+        setSummary('ok', `Valid against schema · ${result.draft}`);
+      }
+    } catch (err) {
+      render();
+      setSummary('error', `Invalid schema · ${err.message}`);
+    }
+  }
+
+  list.addEventListener('click', (e) => {
+    const item = e.target.closest('.diff-item');
+    if (!item || !located) return;
+    const loc = locatePath(located, violations[Number(item.dataset.index)].path);
+    if (!loc) {
+      showToast('Could not locate that node in the input', 'error-toast');
+      return;
+    }
+    const len = inputEditor.state.doc.length;
+    inputEditor.dispatch({
+      selection: { anchor: Math.min(loc.from, len), head: Math.min(loc.to, len) },
+      scrollIntoView: true,
+    });
+    inputEditor.focus();
+  });
+
+  toggleBtn.addEventListener('click', () => setOpen(!wrapper.classList.contains('with-schema')));
+  closeBtn.addEventListener('click', () => setOpen(false));
+
+  draftSelect.addEventListener('change', () => {
+    persist();
+    validate();
+  });
+
+  loadBtn.addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+    const text = await file.text();
+    fileInput.value = '';
+    // YAML schemas are common for k8s / OpenAPI; store them as JSON so the editor stays JSON
+    let schemaText = text;
+    if (!/\.json$/i.test(file.name)) {
+      try {
+        schemaText = JSON.stringify(YAML.parse(text), null, 2);
+      } catch { }
+    }
+    setEditorDoc(schemaEditor, schemaText);
+    persist();
+    validate();
+    showToast(`Loaded schema ${file.name}`, 'success');
+  });
+
+  if (saved.open) setOpen(true);
+  return { validate };
+}
+
+
+// ===== Patch Pane =====
+
+const PATCH_PANE_TEXT = {
+  generate: {
+    label: 'Modified document',
+    hint: 'JSON or YAML · the patch turns the input into this document',
+  },
+  apply: {
+    label: 'Patch',
+    hint: 'A JSON Patch (array of operations) or Merge Patch (object), as JSON or YAML',
+  },
+};
+
+// Second document for the patch output modes: the modified document to diff the input
+// against, or the patch to apply to it. Shown while a patch mode is selected; `onChange`
+// runs after its text or output format changes, `onClose` when the pane is closed.
+function initPatchPane(prefix, { onChange, onClose }) {
+  const wrapper = document.querySelector(`#panel-${prefix} .pane-wrapper`);
+  const label = document.getElementById(`${prefix}-patch-label`);
+  const hint = document.getElementById(`${prefix}-patch-hint`);
+  const outputSelect = document.getElementById(`${prefix}-patch-output`);
+  const closeBtn = document.getElementById(`${prefix}-patch-close-btn`);
+  const storageKey = KEYS[`${prefix}Patch`];
+
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(storageKey)) || {};
+  } catch { }
+  outputSelect.value = saved.output || prefix;
+
+  let debounceTimer;
+
+  const patchEditor = createEditor(document.getElementById(`${prefix}-patch-input`), saved.text || '', LANGUAGES[prefix], (val) => {
+    persist();
+    detectLanguage(val);
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(onChange, 600);
+  });
+
+  // The pane takes either format whichever panel it's in
+  function detectLanguage(text) {
+    if (text.trim()) setEditorLanguage(patchEditor, LANGUAGES[detectFormat(text)]);
+  }
+
+  function persist() {
+    localStorage.setItem(storageKey, JSON.stringify({
+      text: patchEditor.state.doc.toString(),
+      output: outputSelect.value,
+    }));
+  }
+
+  function setMode(mode) {
+    wrapper.classList.toggle('with-patch', Boolean(PATCH_MODES[mode]));
+    const text = PATCH_PANE_TEXT[mode === 'apply-patch' ? 'apply' : 'generate'];
+    label.textContent = text.label;
+    hint.textContent = text.hint;
+  }
+
+  outputSelect.addEventListener('change', () => {
+    persist();
+    onChange();
+  });
+  closeBtn.addEventListener('click', onClose);
+
+  detectLanguage(patchEditor.state.doc.toString());
+  return {
+    setMode,
+    getPatch: () => ({ text: patchEditor.state.doc.toString(), output: outputSelect.value }),
+    outputFormat: () => outputSelect.value,
+  };
+}
+
+
+// ===== YAML Lint =====
+
+const LINT_LIST_LIMIT = 200;
+
+// Editors with a lint rule set, and where each one reports its results
+const lintedEditors = new WeakMap();
+
+// Dispatched when an editor's rule set changes, so it re-lints without an edit
+const lintRulesChanged = StateEffect.define();
+
+// Problems found at `text` can be a keystroke stale by the time a fix is clicked, so the
+// fix is shifted by however far its diagnostic has moved
+function lintFixAction(fix, problemFrom, name = 'Fix') {
+  return {
+    name,
+    apply(view, from) {
+      const delta = from - problemFrom;
+      view.dispatch({ changes: { from: fix.from + delta, to: fix.to + delta, insert: fix.insert }, userEvent: 'input' });
+    },
+  };
+}
+
+const yamlRuleLinter = linter(view => {
+  const linted = lintedEditors.get(view);
+  if (!linted) return [];
+  if (view.state.doc.length > LARGE_DOC_SIZE) {
+    linted.onResults(null);
+    return [];
+  }
+  const problems = lintYAML(view.state.doc.toString(), linted.config);
+  linted.onResults(problems);
+  return problems.map(p => ({
+    from: p.from,
+    to: p.to,
+    severity: p.level,
+    source: p.rule,
+    message: p.message,
+    actions: p.fix ? [lintFixAction(p.fix, p.from)] : p.suggestion ? [lintFixAction(p.suggestion, p.from, p.suggestion.label)] : [],
+  }));
+}, {
+  delay: 400,
+  needsRefresh: update => update.transactions.some(tr => tr.effects.some(e => e.is(lintRulesChanged))),
+});
+
+// yamllint-style rules for the YAML input: a summary beside the status bar that opens the
+// problem list and rule settings. The rule set is global, like the schema.
+function initYAMLLint(prefix, inputEditor) {
+  const toggleBtn = document.getElementById(`${prefix}-lint-btn`);
+  const popover = document.getElementById(`${prefix}-lint`);
+  const list = popover.querySelector('.lint-problems');
+  const fixAllBtn = popover.querySelector('[data-action="fix-all"]');
+  const fileInput = popover.querySelector('.lint-config-file');
+  const fields = [...popover.querySelectorAll('[name]')];
+  const storageKey = KEYS[`${prefix}Lint`];
+
+  let config = DEFAULT_LINT_CONFIG;
+  try {
+    config = normalizeLintConfig(JSON.parse(localStorage.getItem(storageKey)) || {});
+  } catch { }
+  let problems = [];
+
+  function renderFields() {
+    for (const field of fields) {
+      const [rule, option] = field.name.split('.');
+      if (field.type === 'checkbox') field.checked = config[rule][option];
+      else field.value = String(config[rule][option]);
+    }
+  }
+
+  function readFields() {
+    const next = structuredClone(config);
+    for (const field of fields) {
+      const [rule, option] = field.name.split('.');
+      if (field.type === 'checkbox') next[rule][option] = field.checked;
+      else next[rule][option] = /^\d+$/.test(field.value) ? Number(field.value) : field.value;
+    }
+    return normalizeLintConfig(next);
+  }
+
+  function apply(next) {
+    config = next;
+    lintedEditors.get(inputEditor).config = config;
+    localStorage.setItem(storageKey, JSON.stringify(config));
+    renderFields();
+    inputEditor.dispatch({ effects: lintRulesChanged.of(null) });
+    forceLinting(inputEditor);
+  }
+
+  function renderSummary() {
+    const enabled = Object.values(config).some(rule => rule.level !== 'off');
+    const errors = problems?.filter(p => p.level === 'error').length ?? 0;
+    const warnings = problems?.filter(p => p.level === 'warning').length ?? 0;
+    let type = 'ok';
+    let text = 'Lint · clean';
+    if (!enabled) {
+      type = 'idle';
+      text = 'Lint · off';
+    } else if (!problems) {
+      type = 'idle';
+      text = 'Lint · paused for large documents';
+    } else if (errors || warnings) {
+      type = errors ? 'error' : 'warn';
+      text = [errors && pluralize(errors, 'error'), warnings && pluralize(warnings, 'warning')].filter(Boolean).join(' · ');
+    }
+    toggleBtn.className = `lint-summary lint-${type}`;
+    toggleBtn.textContent = text;
+  }
+
+  function renderList() {
+    list.innerHTML = '';
+    const shown = problems ?? [];
+    if (!shown.length) {
+      list.textContent = problems ? 'No problems' : 'Not linted';
+    }
+    shown.slice(0, LINT_LIST_LIMIT).forEach((p, idx) => {
+      const item = document.createElement('div');
+      item.className = `lint-problem lint-problem-${p.level}`;
+
+      const jump = document.createElement('button');
+      jump.className = 'lint-problem-jump';
+      jump.dataset.index = idx;
+      jump.title = `${p.rule} · Line ${p.line}, Col ${p.col}`;
+      const where = document.createElement('code');
+      where.textContent = `${p.line}:${p.col}`;
+      const message = document.createElement('span');
+      message.textContent = p.message;
+      const rule = document.createElement('span');
+      rule.className = 'lint-rule';
+      rule.textContent = p.rule;
+      jump.append(where, message, rule);
+      item.appendChild(jump);
+
+      // Suggestions get their own label and stay out of Fix all
+      if (p.fix || p.suggestion) {
+        const fix = document.createElement('button');
+        fix.className = 'lint-problem-fix';
+        fix.dataset.index = idx;
+        fix.textContent = p.fix ? 'Fix' : p.suggestion.label;
+        item.appendChild(fix);
+      }
+      list.appendChild(item);
+    });
+    if (shown.length > LINT_LIST_LIMIT) {
+      const more = document.createElement('div');
+      more.className = 'lint-more';
+      more.textContent = `… ${pluralize(shown.length - LINT_LIST_LIMIT, 'more problem')}`;
+      list.appendChild(more);
+    }
+    fixAllBtn.disabled = !shown.some(p => p.fix);
+  }
+
+  lintedEditors.set(inputEditor, {
+    config,
+    onResults(next) {
+      problems = next;
+      renderSummary();
+      renderList();
+    },
+  });
+
+  list.addEventListener('click', (e) => {
+    const jump = e.target.closest('.lint-problem-jump');
+    const fix = e.target.closest('.lint-problem-fix');
+    const problem = problems?.[Number((jump ?? fix)?.dataset.index)];
+    if (!problem) return;
+    const len = inputEditor.state.doc.length;
+    if (fix) {
+      // The list is rebuilt by the next lint run, which the edit schedules
+      const { from, to, insert } = problem.fix ?? problem.suggestion;
+      inputEditor.dispatch({ changes: { from, to, insert }, userEvent: 'input' });
+      fix.disabled = true;
+      return;
+    }
+    inputEditor.dispatch({
+      selection: { anchor: Math.min(problem.from, len), head: Math.min(problem.to, len) },
+      scrollIntoView: true,
+    });
+    inputEditor.focus();
+  });
+
+  fixAllBtn.addEventListener('click', () => {
+    const { text, fixed } = fixYAML(inputEditor.state.doc.toString(), config);
+    if (!fixed) return;
+    setEditorDoc(inputEditor, text, true);
+    showToast(`Applied ${pluralize(fixed, 'fix', 'fixes')}`, 'success');
+  });
+
+  initPopover(toggleBtn, popover);
+  popover.addEventListener('change', (e) => {
+    if (e.target === fileInput) return;
+    apply(readFields());
+  });
+  popover.querySelector('[data-action="reset"]').addEventListener('click', () => apply(DEFAULT_LINT_CONFIG));
+  popover.querySelector('[data-action="import"]').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+    fileInput.value = '';
+    try {
+      const { config: imported, skipped } = parseYamllintConfig(await file.text());
+      apply(imported);
+      showToast(skipped.length
+        ? `Imported ${file.name} · skipped ${skipped.join(', ')}`
+        : `Imported ${file.name}`, 'success');
+    } catch (err) {
+      showToast(`Can't import ${file.name}: ${err.message.split('\n')[0]}`, 'error-toast');
+    }
+  });
+
+  renderFields();
+  renderSummary();
+}
+
+
+// ===== Query (JSONPath / jq) =====
+
+const QUERY_HISTORY_SIZE = 10;
+
+function initQueryBar(prefix, onRun) {
+  const langSelect = document.getElementById(`${prefix}-query-lang`);
+  const input = document.getElementById(`${prefix}-query-input`);
+  const runBtn = document.getElementById(`${prefix}-query-run-btn`);
+  const historyList = document.getElementById(`${prefix}-query-history`);
+  const storageKey = KEYS[`${prefix}QueryHistory`];
+
+  let history = [];
+  try {
+    history = JSON.parse(localStorage.getItem(storageKey)) || [];
+  } catch { }
+  if (history.length) {
+    langSelect.value = history[0].lang;
+    input.value = history[0].expr;
+  }
+
+  function renderHistory() {
+    historyList.innerHTML = '';
+    history.filter(h => h.lang === langSelect.value).forEach(h => {
+      const option = document.createElement('option');
+      option.value = h.expr;
+      historyList.appendChild(option);
+    });
+  }
+
+  function remember() {
+    const entry = { lang: langSelect.value, expr: input.value.trim() };
+    history = [entry, ...history.filter(h => h.lang !== entry.lang || h.expr !== entry.expr)].slice(0, QUERY_HISTORY_SIZE);
+    localStorage.setItem(storageKey, JSON.stringify(history));
+    renderHistory();
+  }
+
+  function run() {
+    if (!input.value.trim()) {
+      input.focus();
+      return;
+    }
+    remember();
+    onRun();
+  }
+
+  runBtn.addEventListener('click', run);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      run();
+    }
+  });
+  langSelect.addEventListener('change', renderHistory);
+
+  renderHistory();
+  return {
+    getQuery: () => ({ lang: langSelect.value, expr: input.value }),
+    setQuery({ lang, expr }) {
+      if (QUERY_LANGS[lang]) langSelect.value = lang;
+      input.value = expr;
+      renderHistory();
+    },
+  };
+}
+
+// ===== Tree View =====
+
+const TREE_PATH_FORMATS = {
+  jsonpath: {
+    label: 'JSONPath',
+    format: path => '$' + path.map(seg => (typeof seg === 'number' ? `[${seg}]`
+      : /^[A-Za-z_][\w]*$/.test(seg) ? `.${seg}` : `['${seg.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}']`)).join(''),
+  },
+  js: {
+    label: 'JS accessor',
+    format: path => 'data' + path.map(seg => (typeof seg === 'number' ? `[${seg}]`
+      : /^[A-Za-z_$][\w$]*$/.test(seg) ? `.${seg}` : `[${JSON.stringify(seg)}]`)).join(''),
+  },
+  yaml: {
+    label: 'YAML dotted key',
+    format: path => path.map((seg, i) => (typeof seg === 'number' ? `[${seg}]`
+      : `${i ? '.' : ''}${seg.replace(/([.\\[\]])/g, '\\$1')}`)).join(''),
+  },
+};
+
+function treePreview(value) {
+  const t = valueType(value);
+  if (t === 'array') return `[${value.length}]`;
+  if (t === 'object') return `{${Object.keys(value).length}}`;
+  return previewValue(value, 80);
+}
+
+function initTreeView(prefix, { inputEditor, getDocuments }) {
+  const pane = document.getElementById(`${prefix}-output-pane`);
+  const toggleBtn = document.getElementById(`${prefix}-tree-btn`);
+  const container = document.getElementById(`${prefix}-tree`);
+  const root = container.querySelector('.tree-root');
+  const toolbar = container.querySelector('.tree-toolbar');
+  const storageKey = KEYS[`${prefix}TreeView`];
+
+  const rowData = new WeakMap();
+  let docs = null;
+  let selected = null;
+
+  // `expand(path, depth)` decides whether a freshly built container starts open
+  function buildNode(key, value, path, depth, expand) {
+    const node = document.createElement('div');
+    node.className = 'tree-node';
+    node.setAttribute('role', 'treeitem');
+
+    const row = document.createElement('div');
+    row.className = 'tree-row';
+    row.tabIndex = -1;
+    row.style.paddingLeft = `${depth * 16 + 8}px`;
+
+    const t = valueType(value);
+    const isContainer = t === 'object' || t === 'array';
+
+    const caret = document.createElement('span');
+    caret.className = 'tree-caret';
+    caret.textContent = isContainer ? '▸' : '';
+
+    const label = document.createElement('span');
+    label.className = typeof key === 'number' ? 'tree-key tree-index' : 'tree-key';
+    label.textContent = key === null ? '(root)' : String(key);
+
+    const badge = document.createElement('span');
+    badge.className = `tree-badge tree-type-${t}`;
+    badge.textContent = t;
+
+    const preview = document.createElement('span');
+    preview.className = isContainer ? 'tree-count' : `tree-value tree-type-${t}`;
+    preview.textContent = treePreview(value);
+    if (isContainer) preview.title = `${pluralize(t === 'array' ? value.length : Object.keys(value).length, t === 'array' ? 'item' : 'key')}`;
+
+    row.append(caret, label, badge, preview);
+    node.appendChild(row);
+    rowData.set(row, { path, value, node, depth });
+
+    if (isContainer) {
+      node.setAttribute('aria-expanded', 'false');
+      if (expand(path, depth)) setExpanded(row, true, expand);
+    }
+    return node;
+  }
+
+  // Children are only built the first time a node is expanded, so huge documents stay cheap
+  function setExpanded(row, expanded, expand = () => false) {
+    const data = rowData.get(row);
+    const t = valueType(data.value);
+    if (t !== 'object' && t !== 'array') return;
+    data.node.setAttribute('aria-expanded', String(expanded));
+    row.querySelector('.tree-caret').textContent = expanded ? '▾' : '▸';
+    let children = data.node.querySelector(':scope > .tree-children');
+    if (expanded && !children) {
+      children = document.createElement('div');
+      children.className = 'tree-children';
+      children.setAttribute('role', 'group');
+      const entries = t === 'array' ? data.value.map((v, i) => [i, v]) : Object.entries(data.value);
+      for (const [k, v] of entries) {
+        children.appendChild(buildNode(k, v, [...data.path, k], data.depth + 1, expand));
+      }
+      data.node.appendChild(children);
+    }
+    if (children) children.hidden = !expanded;
+  }
+
+  // Re-renders from the current input. Without an explicit depth, nodes the user had open stay open.
+  function render(expandTo = null) {
+    const openPaths = new Set();
+    root.querySelectorAll('.tree-node[aria-expanded="true"]').forEach(node => {
+      openPaths.add(JSON.stringify(rowData.get(node.firstElementChild).path));
+    });
+    const expand = expandTo === null
+      ? (path, depth) => depth < 1 || openPaths.has(JSON.stringify(path))
+      : (path, depth) => depth < expandTo;
+
+    root.innerHTML = '';
+    selected = null;
+    let target;
+    try {
+      target = getDocuments();
+    } catch (err) {
+      root.innerHTML = '<div class="tree-empty">Input is not valid · fix parse errors first</div>';
+      return;
+    }
+    if (!target) {
+      root.innerHTML = '<div class="tree-empty">No input</div>';
+      return;
+    }
+    docs = target.docs;
+    const value = target.values.length > 1 ? target.values : target.values[0];
+    root.appendChild(buildNode(null, value, [], 0, expand));
+  }
+
+  function select(row) {
+    if (selected) selected.classList.remove('selected');
+    selected = row;
+    row.classList.add('selected');
+    row.focus({ preventScroll: true });
+    row.scrollIntoView({ block: 'nearest' });
+
+    const loc = docs && locatePath(docs, rowData.get(row).path);
+    if (!loc) return;
+    const len = inputEditor.state.doc.length;
+    inputEditor.dispatch({
+      selection: { anchor: Math.min(loc.from, len), head: Math.min(loc.to, len) },
+      scrollIntoView: true,
+    });
+  }
+
+  function visibleRows() {
+    return [...root.querySelectorAll('.tree-row')].filter(r => !r.closest('.tree-children[hidden]'));
+  }
+
+  // ----- Context menu -----
+  const menu = document.createElement('div');
+  menu.className = 'context-menu';
+  menu.hidden = true;
+  for (const [id, { label }] of Object.entries(TREE_PATH_FORMATS)) {
+    const item = document.createElement('button');
+    item.dataset.format = id;
+    item.textContent = `Copy ${label}`;
+    menu.appendChild(item);
+  }
+  document.body.appendChild(menu);
+  let menuPath = null;
+
+  menu.addEventListener('click', async (e) => {
+    const item = e.target.closest('button');
+    if (!item) return;
+    menu.hidden = true;
+    const text = TREE_PATH_FORMATS[item.dataset.format].format(menuPath);
+    try {
+      await navigator.clipboard.writeText(text);
+      showToast(`Copied ${text}`, 'success');
+    } catch {
+      showToast('Copy failed – check clipboard permissions', 'error-toast');
+    }
+  });
+  document.addEventListener('click', () => { menu.hidden = true; });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') menu.hidden = true;
+  });
+
+  root.addEventListener('contextmenu', (e) => {
+    const row = e.target.closest('.tree-row');
+    if (!row) return;
+    e.preventDefault();
+    select(row);
+    menuPath = rowData.get(row).path;
+    menu.hidden = false;
+    menu.style.left = `${Math.min(e.clientX, window.innerWidth - menu.offsetWidth - 8)}px`;
+    menu.style.top = `${Math.min(e.clientY, window.innerHeight - menu.offsetHeight - 8)}px`;
+  });
+
+  // ----- Interaction -----
+  root.addEventListener('click', (e) => {
+    const row = e.target.closest('.tree-row');
+    if (!row) return;
+    if (e.target.closest('.tree-caret') || e.detail === 2) {
+      const node = rowData.get(row).node;
+      setExpanded(row, node.getAttribute('aria-expanded') !== 'true');
+    }
+    select(row);
+  });
+
+  root.addEventListener('keydown', (e) => {
+    if (!selected) return;
+    const rows = visibleRows();
+    const idx = rows.indexOf(selected);
+    const expanded = rowData.get(selected).node.getAttribute('aria-expanded');
+    if (e.key === 'ArrowDown' && rows[idx + 1]) select(rows[idx + 1]);
+    else if (e.key === 'ArrowUp' && rows[idx - 1]) select(rows[idx - 1]);
+    else if (e.key === 'ArrowRight' && expanded === 'false') setExpanded(selected, true);
+    else if (e.key === 'ArrowLeft' && expanded === 'true') setExpanded(selected, false);
+    else if (e.key === 'ArrowLeft') {
+      const parentRow = rowData.get(selected).node.parentElement.closest('.tree-node')?.querySelector(':scope > .tree-row');
+      if (parentRow) select(parentRow);
+    } else return;
+    e.preventDefault();
+  });
+
+  toolbar.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-depth]');
+    if (btn) render(Number(btn.dataset.depth));
+  });
+
+  function setVisible(visible) {
+    pane.classList.toggle('tree-mode', visible);
+    toggleBtn.classList.toggle('active', visible);
+    container.hidden = !visible;
+    localStorage.setItem(storageKey, String(visible));
+    if (visible) render();
+  }
+
+  toggleBtn.addEventListener('click', () => setVisible(container.hidden));
+
+  if (localStorage.getItem(storageKey) === 'true') setVisible(true);
+
+  return {
+    refresh: () => {
+      if (!container.hidden) render();
+    },
+  };
+}
+
+
+// ===== YAML Document Outline =====
+
+// Lists each document of a multi-document stream (Kubernetes manifests, Helm output) with
+// its parse status, and reorders, extracts or deletes single documents in the input
+function initDocumentOutline(prefix, { inputEditor, onExtract }) {
+  const toggleBtn = document.getElementById(`${prefix}-outline-btn`);
+  const container = document.getElementById(`${prefix}-outline`);
+  const summary = container.querySelector('.doc-outline-summary');
+  const list = container.querySelector('.doc-outline-list');
+  const storageKey = KEYS[`${prefix}Outline`];
+
+  let entries = [];
+
+  function label(entry) {
+    if (entry.kind && entry.name) return `${entry.kind}/${entry.name}`;
+    return entry.kind || entry.name || `Document ${entry.index + 1}`;
+  }
+
+  function actionButton(action, text, title, disabled = false) {
+    const btn = document.createElement('button');
+    btn.className = 'doc-outline-action';
+    btn.dataset.action = action;
+    btn.textContent = text;
+    btn.title = title;
+    btn.disabled = disabled;
+    return btn;
+  }
+
+  function render() {
+    const text = inputEditor.state.doc.toString();
+    list.innerHTML = '';
+    if (text.length > LARGE_DOC_SIZE) {
+      entries = [];
+      summary.textContent = `Large document (${formatSize(text.length)}) · outline off`;
+      return;
+    }
+    entries = text.trim() ? outlineDocuments(text) : [];
+    const broken = entries.filter(e => e.error).length;
+    summary.textContent = entries.length
+      ? `${pluralize(entries.length, 'document')}${broken ? ` · ${broken} with errors` : ''}`
+      : 'No documents';
+    summary.classList.toggle('has-errors', broken > 0);
+
+    for (const entry of entries) {
+      const item = document.createElement('li');
+      item.className = `doc-outline-item${entry.error ? ' has-error' : ''}`;
+      item.dataset.index = entry.index;
+
+      const jump = document.createElement('button');
+      jump.className = 'doc-outline-jump';
+      jump.dataset.action = 'jump';
+      jump.title = entry.error ? `Line ${entry.error.line ?? '?'}: ${entry.error.message}` : 'Go to document';
+      const index = document.createElement('span');
+      index.className = 'doc-outline-index';
+      index.textContent = entry.index + 1;
+      const name = document.createElement('span');
+      name.className = 'doc-outline-name';
+      name.textContent = label(entry);
+      jump.append(index, name);
+      if (entry.namespace) {
+        const namespace = document.createElement('span');
+        namespace.className = 'doc-outline-namespace';
+        namespace.textContent = entry.namespace;
+        jump.appendChild(namespace);
+      }
+
+      const actions = document.createElement('span');
+      actions.className = 'doc-outline-actions';
+      actions.append(
+        actionButton('up', '↑', 'Move up', entry.index === 0),
+        actionButton('down', '↓', 'Move down', entry.index === entries.length - 1),
+        actionButton('extract', '⧉', 'Open as a new document'),
+        actionButton('delete', '✕', 'Delete from stream'),
+      );
+      item.append(jump, actions);
+      list.appendChild(item);
+    }
+  }
+
+  // Stream edits go through the editor as user input, so they can be undone and reformat
+  function replaceInput(text) {
+    setEditorDoc(inputEditor, text, true);
+    render();
+  }
+
+  list.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    const entry = entries[Number(btn?.closest('.doc-outline-item').dataset.index)];
+    if (!entry) return;
+    const text = inputEditor.state.doc.toString();
+    switch (btn.dataset.action) {
+      case 'jump':
+        inputEditor.dispatch({ selection: { anchor: Math.min(entry.start, text.length) }, scrollIntoView: true });
+        inputEditor.focus();
+        break;
+      case 'up':
+        replaceInput(moveDocument(text, entry.index, entry.index - 1));
+        break;
+      case 'down':
+        replaceInput(moveDocument(text, entry.index, entry.index + 1));
+        break;
+      case 'extract':
+        onExtract({ name: label(entry), text: extractDocument(text, entry.index) });
+        break;
+      case 'delete':
+        replaceInput(removeDocument(text, entry.index));
+        showToast(`Deleted ${label(entry)} · Undo with Ctrl+Z`, 'success');
+        break;
+    }
+  });
+
+  function setVisible(visible) {
+    toggleBtn.classList.toggle('active', visible);
+    container.hidden = !visible;
+    localStorage.setItem(storageKey, String(visible));
+    if (visible) render();
+  }
+
+  toggleBtn.addEventListener('click', () => setVisible(container.hidden));
+
+  if (localStorage.getItem(storageKey) === 'true') setVisible(true);
+
+  return {
+    refresh: () => {
+      if (!container.hidden) render();
+    },
+  };
+}
+
+
+// ===== Workspaces =====
+
+const DOCUMENT_DB = { name: 'devformat', version: 1, store: 'documents' };
+const WORKSPACE_SAVE_DELAY = 400;
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Named documents for the JSON and YAML panels, kept in IndexedDB. Falls back to memory
+// (nothing survives a reload) where IndexedDB is unavailable, e.g. some private windows.
+const documentStore = (() => {
+  const memory = new Map();
+  let dbPromise = null;
+
+  function open() {
+    dbPromise ??= new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') return resolve(null);
+      const req = indexedDB.open(DOCUMENT_DB.name, DOCUMENT_DB.version);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(DOCUMENT_DB.store, { keyPath: 'id' }).createIndex('format', 'format');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+    }).then((db) => {
+      if (!db) showToast('Storage unavailable – documents won’t be kept after reload', 'error-toast');
+      return db;
+    });
+    return dbPromise;
+  }
+
+  async function store(mode) {
+    const db = await open();
+    return db && db.transaction(DOCUMENT_DB.store, mode).objectStore(DOCUMENT_DB.store);
+  }
+
+  return {
+    persistent: async () => (await open()) !== null,
+    async list(format) {
+      const os = await store('readonly');
+      if (!os) return [...memory.values()].filter(doc => doc.format === format);
+      return idbRequest(os.index('format').getAll(format));
+    },
+    async put(doc) {
+      const os = await store('readwrite');
+      if (!os) memory.set(doc.id, { ...doc });
+      else await idbRequest(os.put(doc));
+    },
+    async delete(id) {
+      const os = await store('readwrite');
+      if (!os) memory.delete(id);
+      else await idbRequest(os.delete(id));
+    },
+  };
+})();
+
+function newDocumentId() {
+  return `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function timeAgo(ts) {
+  const minutes = Math.round((Date.now() - ts) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h ago`;
+  return new Date(ts).toLocaleDateString();
+}
+
+const DOC_ACTIONS = {
+  rename: { title: 'Rename', icon: '<path d="M12 20h9" /><path d="M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4z" />' },
+  duplicate: { title: 'Duplicate', icon: '<rect x="9" y="9" width="13" height="13" rx="2" /><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1" />' },
+  delete: { title: 'Delete', icon: '<path d="M3 6h18M8 6V4h8v2M19 6l-1 14H6L5 6" />' },
+};
+
+// Sidebar of named documents for one panel. The panel supplies `snapshot()` (its current
+// input, output, format options and status) and `load(doc)`, and calls `touch()` after
+// any change so the document is saved shortly after. Documents for which `keepUnsaved(doc)`
+// holds stay in memory only, and any stored copy is removed.
+function initWorkspace(prefix, { defaultInput, snapshot, load, keepUnsaved = () => false }) {
+  const sidebar = document.getElementById(`${prefix}-workspace`);
+  const toggleBtn = document.getElementById(`${prefix}-workspace-btn`);
+  const newBtn = document.getElementById(`${prefix}-doc-new-btn`);
+  const search = document.getElementById(`${prefix}-doc-search`);
+  const list = document.getElementById(`${prefix}-doc-list`);
+  const nameLabel = document.getElementById(`${prefix}-doc-name`);
+  const activeKey = KEYS[`${prefix}ActiveDoc`];
+  const openKey = KEYS[`${prefix}Workspace`];
+
+  let docs = [];
+  let current = null;
+  let dirty = false;
+  let saveTimer;
+  const unsaved = new Set();
+
+  function createDocument(fields = {}) {
+    const now = Date.now();
+    return {
+      id: newDocumentId(),
+      format: prefix,
+      name: uniqueName('Untitled'),
+      input: '',
+      output: '',
+      formatOptions: DEFAULT_FORMAT_OPTIONS,
+      status: null,
+      createdAt: now,
+      updatedAt: now,
+      ...fields,
+    };
+  }
+
+  function uniqueName(base) {
+    const names = new Set(docs.map(doc => doc.name));
+    if (!names.has(base)) return base;
+    let n = 2;
+    while (names.has(`${base} ${n}`)) n++;
+    return `${base} ${n}`;
+  }
+
+  async function store(doc) {
+    if (keepUnsaved(doc)) {
+      unsaved.add(doc.id);
+      await documentStore.delete(doc.id);
+    } else {
+      unsaved.delete(doc.id);
+      await documentStore.put(doc);
+    }
+  }
+
+  async function save() {
+    clearTimeout(saveTimer);
+    if (!current || !dirty) return;
+    dirty = false;
+    Object.assign(current, snapshot(), { updatedAt: Date.now() });
+    try {
+      await store(current);
+    } catch {
+      showToast('Could not save document – storage may be full', 'error-toast');
+    }
+    render();
+  }
+
+  function touch() {
+    dirty = true;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(save, WORKSPACE_SAVE_DELAY);
+  }
+
+  async function open(doc) {
+    if (current && current !== doc) await save();
+    current = doc;
+    localStorage.setItem(activeKey, doc.id);
+    nameLabel.textContent = `· ${doc.name}`;
+    load(doc);
+    render();
+  }
+
+  async function add(doc) {
+    docs.push(doc);
+    await store(doc);
+    await open(doc);
+  }
+
+  // Single-slot data from before workspaces becomes the "Default" document
+  function migrate() {
+    let formatOptions = DEFAULT_FORMAT_OPTIONS;
+    try {
+      formatOptions = normalizeFormatOptions(JSON.parse(localStorage.getItem(KEYS[`${prefix}FormatOptions`])) || {});
+    } catch { }
+    return createDocument({
+      name: 'Default',
+      input: localStorage.getItem(KEYS[`${prefix}Input`]) ?? defaultInput,
+      output: localStorage.getItem(KEYS[`${prefix}Output`]) || '',
+      formatOptions,
+    });
+  }
+
+  function render() {
+    const query = search.value.trim().toLowerCase();
+    const visible = docs
+      .filter(doc => !query || doc.name.toLowerCase().includes(query) || doc.input.toLowerCase().includes(query))
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+    list.innerHTML = '';
+    for (const doc of visible) {
+      const item = document.createElement('li');
+      item.className = 'workspace-item';
+      item.dataset.id = doc.id;
+      item.tabIndex = 0;
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', String(doc === current));
+
+      const name = document.createElement('span');
+      name.className = 'workspace-item-name';
+      name.textContent = doc.name;
+      name.title = doc.name;
+
+      const meta = document.createElement('span');
+      meta.className = `workspace-item-meta status-${doc.status?.type ?? 'idle'}`;
+      meta.textContent = `${formatSize(doc.input.length)} · ${timeAgo(doc.updatedAt)}`;
+      if (doc.status) meta.title = doc.status.message;
+      if (unsaved.has(doc.id)) {
+        meta.textContent += ' · not saved';
+        meta.title = 'Contains possible secrets – kept until this tab closes';
+      }
+
+      const actions = document.createElement('span');
+      actions.className = 'workspace-item-actions';
+      for (const [action, { title, icon }] of Object.entries(DOC_ACTIONS)) {
+        const btn = document.createElement('button');
+        btn.dataset.action = action;
+        btn.title = title;
+        btn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${icon}</svg>`;
+        actions.appendChild(btn);
+      }
+
+      item.append(name, actions, meta);
+      list.appendChild(item);
+    }
+    if (!visible.length) {
+      const empty = document.createElement('li');
+      empty.className = 'workspace-empty';
+      empty.textContent = query ? 'No matching documents' : 'No documents';
+      list.appendChild(empty);
+    }
+  }
+
+  function startRename(item, doc) {
+    const name = item.querySelector('.workspace-item-name');
+    const input = document.createElement('input');
+    input.className = 'workspace-rename';
+    input.value = doc.name;
+    name.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = async (commit) => {
+      if (done) return;
+      done = true;
+      const value = input.value.trim();
+      if (commit && value && value !== doc.name) {
+        doc.name = value;
+        doc.updatedAt = Date.now();
+        if (doc === current) nameLabel.textContent = `· ${doc.name}`;
+        await store(doc);
+      }
+      render();
+    };
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(true);
+      else if (e.key === 'Escape') finish(false);
+      e.stopPropagation();
+    });
+    input.addEventListener('blur', () => finish(true));
+  }
+
+  async function remove(doc) {
+    if (!confirm(`Delete "${doc.name}"? This can't be undone.`)) return;
+    docs = docs.filter(d => d !== doc);
+    unsaved.delete(doc.id);
+    await documentStore.delete(doc.id);
+    if (doc !== current) {
+      render();
+      return;
+    }
+    current = null;
+    dirty = false;
+    if (docs.length) await open(docs[0]);
+    else await add(createDocument());
+  }
+
+  list.addEventListener('click', async (e) => {
+    const item = e.target.closest('.workspace-item');
+    if (!item || e.target.closest('.workspace-rename')) return;
+    const doc = docs.find(d => d.id === item.dataset.id);
+    const action = e.target.closest('button[data-action]')?.dataset.action;
+    if (action === 'rename') {
+      startRename(item, doc);
+    } else if (action === 'duplicate') {
+      if (doc === current) await save();
+      const { id, name, createdAt, updatedAt, ...content } = doc;
+      await add(createDocument({ ...structuredClone(content), name: uniqueName(`${name} copy`) }));
+    } else if (action === 'delete') {
+      await remove(doc);
+    } else if (doc !== current) {
+      await open(doc);
+    }
+  });
+
+  list.addEventListener('dblclick', (e) => {
+    const item = e.target.closest('.workspace-item');
+    if (item && !e.target.closest('button, .workspace-rename')) {
+      startRename(item, docs.find(d => d.id === item.dataset.id));
+    }
+  });
+
+  list.addEventListener('keydown', (e) => {
+    const item = e.target.closest('.workspace-item');
+    if (!item || e.target !== item) return;
+    const doc = docs.find(d => d.id === item.dataset.id);
+    if (e.key === 'Enter' && doc !== current) open(doc);
+    else if (e.key === 'F2') startRename(item, doc);
+    else if (e.key === 'Delete') remove(doc);
+    else if (e.key === 'ArrowDown') item.nextElementSibling?.focus();
+    else if (e.key === 'ArrowUp') item.previousElementSibling?.focus();
+    else return;
+    e.preventDefault();
+  });
+
+  newBtn.addEventListener('click', () => add(createDocument()));
+  search.addEventListener('input', render);
+
+  function setVisible(visible) {
+    sidebar.hidden = !visible;
+    toggleBtn.classList.toggle('active', visible);
+    localStorage.setItem(openKey, String(visible));
+  }
+  toggleBtn.addEventListener('click', () => setVisible(sidebar.hidden));
+  setVisible(localStorage.getItem(openKey) === 'true');
+
+  // Flush pending edits when the tab is hidden or closed
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') save();
+  });
+
+  const ready = (async () => {
+    docs = await documentStore.list(prefix);
+    const persistent = await documentStore.persistent();
+    if (!docs.length) {
+      const doc = migrate();
+      docs.push(doc);
+      await store(doc);
+      if (persistent) {
+        for (const key of ['Input', 'Output', 'FormatOptions']) localStorage.removeItem(KEYS[`${prefix}${key}`]);
+      }
+    }
+    await open(docs.find(doc => doc.id === localStorage.getItem(activeKey)) ?? docs[0]);
+  })();
+
+  // Re-applies `keepUnsaved` to every document, e.g. after the panel changes its rule
+  async function resave() {
+    dirty = true;
+    await save();
+    await Promise.all(docs.filter(doc => doc !== current).map(store));
+    render();
+  }
+
+  return {
+    ready,
+    touch,
+    resave,
+    current: () => current,
+    create: ({ name = 'Untitled', ...fields }) => add(createDocument({ ...fields, name: uniqueName(name) })),
+  };
+}
+
+
+// ===== Share Links =====
+
+// A share link carries one panel's state in the URL fragment, which browsers never send to
+// a server: `#share=` + base64url(flags byte, deflated JSON). With a passphrase the deflated
+// bytes are sealed with AES-GCM under a PBKDF2 key, and the salt and IV travel alongside.
+const SHARE_PREFIX = '#share=';
+const SHARE_ENCRYPTED = 0b1;
+const SHARE_WARN_LENGTH = 8000; // chat apps and some browsers truncate URLs beyond this
+const SHARE_KDF_ITERATIONS = 600000;
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function deriveShareKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: SHARE_KDF_ITERATIONS },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+async function createShareLink(state, passphrase = '') {
+  let body = await pipeBytes(new TextEncoder().encode(JSON.stringify(state)), new CompressionStream('deflate-raw'));
+  let flags = 0;
+  if (passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveShareKey(passphrase, salt);
+    const sealed = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, body));
+    body = new Uint8Array([...salt, ...iv, ...sealed]);
+    flags |= SHARE_ENCRYPTED;
+  }
+  const payload = new Uint8Array(body.length + 1);
+  payload[0] = flags;
+  payload.set(body, 1);
+  return `${location.origin}${location.pathname}${location.search}${SHARE_PREFIX}${bytesToBase64Url(payload)}`;
+}
+
+// Splits a `#share=` fragment into its flags and body; null when the hash isn't a share link
+function parseShareFragment(hash) {
+  if (!hash.startsWith(SHARE_PREFIX)) return null;
+  const payload = base64UrlToBytes(hash.slice(SHARE_PREFIX.length));
+  if (!payload.length) throw new Error('Empty share link');
+  return { encrypted: (payload[0] & SHARE_ENCRYPTED) !== 0, body: payload.subarray(1) };
+}
+
+// Rejects with a DOMException named OperationError when the passphrase is wrong
+async function openShareFragment({ encrypted, body }, passphrase) {
+  if (encrypted) {
+    const key = await deriveShareKey(passphrase, body.subarray(0, 16));
+    body = new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: body.subarray(16, 28) }, key, body.subarray(28)));
+  }
+  const state = JSON.parse(new TextDecoder().decode(await pipeBytes(body, new DecompressionStream('deflate-raw'))));
+  if (!state || typeof state.input !== 'string' || !Object.hasOwn(DATA_FORMATS, state.tab)) {
+    throw new Error('Unrecognised share link');
+  }
+  return state;
+}
+
+// Asks for the passphrase until it decrypts the link; resolves null if the user gives up
+function unlockShareFragment(fragment) {
+  const dialog = document.getElementById('share-unlock');
+  const form = dialog.querySelector('form');
+  const input = dialog.querySelector('input[name="passphrase"]');
+  const error = dialog.querySelector('.share-unlock-error');
+
+  return new Promise((resolve) => {
+    async function submit(e) {
+      e.preventDefault();
+      error.textContent = 'Decrypting…';
+      try {
+        const state = await openShareFragment(fragment, input.value);
+        finish(state);
+      } catch (err) {
+        error.textContent = err.name === 'OperationError' ? 'Wrong passphrase' : 'This link is damaged or incomplete';
+        input.select();
+      }
+    }
+    function finish(state) {
+      form.removeEventListener('submit', submit);
+      dialog.removeEventListener('cancel', cancel);
+      dialog.close();
+      resolve(state);
+    }
+    function cancel(e) {
+      e.preventDefault();
+      finish(null);
+    }
+    form.addEventListener('submit', submit);
+    dialog.addEventListener('cancel', cancel);
+    dialog.querySelector('[data-action="cancel"]').onclick = () => finish(null);
+    error.textContent = '';
+    input.value = '';
+    dialog.showModal();
+  });
+}
+
+// The state from a share link the page was opened with, or null. It's read once and the
+// fragment is then dropped from the address bar, so a reload doesn't import it again.
+let sharedState = null;
+
+function readSharedState() {
+  sharedState ??= (async () => {
+    let fragment;
+    try {
+      fragment = parseShareFragment(location.hash);
+    } catch {
+      showToast('This share link is damaged or incomplete', 'error-toast');
+    }
+    if (location.hash.startsWith(SHARE_PREFIX)) history.replaceState(null, '', location.pathname + location.search);
+    if (!fragment) return null;
+    if (fragment.encrypted) return unlockShareFragment(fragment);
+    try {
+      return await openShareFragment(fragment);
+    } catch {
+      showToast('This share link is damaged or incomplete', 'error-toast');
+      return null;
+    }
+  })();
+  return sharedState;
+}
+
+// A share link pasted into an already-open tab only changes the hash
+window.addEventListener('hashchange', () => {
+  if (location.hash.startsWith(SHARE_PREFIX)) location.reload();
+});
+
+function initSharePanel(prefix, getState) {
+  const toggleBtn = document.getElementById(`${prefix}-share-btn`);
+  const popover = document.getElementById(`${prefix}-share`);
+  const passphrase = popover.querySelector('input[name="passphrase"]');
+  const size = popover.querySelector('.share-size');
+  const copyBtn = popover.querySelector('[data-action="copy"]');
+
+  function showLength(url) {
+    const tooLong = url.length > SHARE_WARN_LENGTH;
+    size.className = `share-size${tooLong ? ' share-size-warn' : ''}`;
+    size.textContent = tooLong
+      ? `${url.length.toLocaleString()} characters – links this long may be cut off by chat apps and some browsers`
+      : `${url.length.toLocaleString()} characters`;
+  }
+
+  initPopover(toggleBtn, popover, async () => {
+    size.className = 'share-size';
+    size.textContent = 'Measuring…';
+    showLength(await createShareLink(getState()));
+  });
+
+  copyBtn.addEventListener('click', async () => {
+    const state = getState();
+    if (!state.input.trim()) {
+      showToast('Nothing to share – input is empty', 'error-toast');
+      return;
+    }
+    const url = await createShareLink(state, passphrase.value);
+    showLength(url);
+    copyToClipboard(url, copyBtn);
+  });
+}
+
+
+// ===== Secret Detection =====
+
+const SECRET_SETTINGS = { redact: false, keepUnsaved: false };
+
+// Marks likely secrets in an input editor and reports each scan (with the view, which the
+// secrets popover uses to jump to one)
+function secretHighlighter(onScan) {
+  return ViewPlugin.fromClass(class {
+    constructor(view) {
+      this.decorations = this.scan(view);
+    }
+
+    update(update) {
+      if (update.docChanged) this.decorations = this.scan(update.view);
+    }
+
+    scan(view) {
+      const { doc } = view.state;
+      const secrets = doc.length > LARGE_DOC_SIZE ? [] : findSecrets(doc.toString());
+      onScan(view, secrets);
+      return Decoration.set(secrets.map(({ from, to, kind }) => Decoration.mark({
+        class: 'cm-secret',
+        attributes: { title: `Possible secret · ${kind}` },
+      }).range(from, to)));
+    }
+  }, { decorations: plugin => plugin.decorations });
+}
+
+// Secrets button and popover of a panel. Returns the input editor extension, `mask()` for
+// output text (a no-op unless Redact is on) and `keepUnsaved(doc)` for its workspace.
+// `onChange` runs after either setting is toggled.
+function initSecrets(prefix, onChange) {
+  const toggleBtn = document.getElementById(`${prefix}-secrets-btn`);
+  const count = toggleBtn.querySelector('.secrets-count');
+  const popover = document.getElementById(`${prefix}-secrets`);
+  const list = popover.querySelector('.secrets-list');
+  const redactToggle = popover.querySelector('input[name="redact"]');
+  const keepUnsavedToggle = popover.querySelector('input[name="keepUnsaved"]');
+  const key = KEYS[`${prefix}Secrets`];
+
+  let settings = SECRET_SETTINGS;
+  try {
+    settings = { ...SECRET_SETTINGS, ...JSON.parse(localStorage.getItem(key)) };
+  } catch { }
+  redactToggle.checked = settings.redact;
+  keepUnsavedToggle.checked = settings.keepUnsaved;
+
+  let editor = null;
+  let found = [];
+
+  function showCount() {
+    count.textContent = found.length || '';
+    toggleBtn.classList.toggle('has-secrets', found.length > 0);
+    toggleBtn.classList.toggle('active', settings.redact);
+    toggleBtn.title = found.length
+      ? `${pluralize(found.length, 'possible secret')}${settings.redact ? ' · redacted in output' : ''}`
+      : `No secrets found${settings.redact ? ' · Redact on' : ''}`;
+  }
+
+  function renderList() {
+    list.innerHTML = '';
+    if (!found.length) {
+      const empty = document.createElement('li');
+      empty.className = 'secrets-empty';
+      empty.textContent = 'No likely secrets in the input';
+      list.appendChild(empty);
+      return;
+    }
+    const text = editor.state.doc;
+    for (const { from, to, kind } of found) {
+      const item = document.createElement('li');
+      const btn = document.createElement('button');
+      btn.className = 'secrets-item';
+      btn.dataset.from = from;
+      btn.dataset.to = to;
+      const where = document.createElement('span');
+      where.className = 'secrets-item-line';
+      where.textContent = `Line ${text.lineAt(from).number}`;
+      const what = document.createElement('span');
+      what.textContent = kind;
+      btn.append(where, what);
+      item.appendChild(btn);
+      list.appendChild(item);
+    }
+  }
+
+  list.addEventListener('click', (e) => {
+    const btn = e.target.closest('.secrets-item');
+    if (!btn) return;
+    const from = Number(btn.dataset.from);
+    const to = Number(btn.dataset.to);
+    if (to > editor.state.doc.length) return;
+    editor.dispatch({ selection: { anchor: from, head: to }, scrollIntoView: true });
+    editor.focus();
+  });
+
+  initPopover(toggleBtn, popover, renderList);
+
+  function update(name, value) {
+    settings = { ...settings, [name]: value };
+    localStorage.setItem(key, JSON.stringify(settings));
+    showCount();
+    onChange();
+  }
+  redactToggle.addEventListener('change', () => update('redact', redactToggle.checked));
+  keepUnsavedToggle.addEventListener('change', () => update('keepUnsaved', keepUnsavedToggle.checked));
+
+  return {
+    extension: secretHighlighter((view, secrets) => {
+      editor = view;
+      found = secrets;
+      showCount();
+    }),
+    redacting: () => settings.redact,
+    mask: text => (settings.redact ? redactSecrets(text) : text),
+    keepUnsaved: doc => settings.keepUnsaved && findSecrets(doc.input).length > 0,
+  };
+}
+
+
+// ===== Files =====
+
+const FILE_PICKER_TYPES = [{
+  description: 'Data files',
+  accept: {
+    'application/json': ['.json', '.jsonc', '.ndjson', '.jsonl'],
+    'application/yaml': ['.yaml', '.yml'],
+    'application/toml': ['.toml'],
+    'application/xml': ['.xml'],
+    'text/csv': ['.csv'],
+    'text/plain': ['.env'],
+  },
+}];
+
+// The same extensions for the `<input type="file">` fallback, so the two lists can't drift
+const FILE_ACCEPT = FILE_PICKER_TYPES.flatMap(type => Object.values(type.accept).flat()).join(',');
+
+const MIME_TYPES = {
+  json: 'application/json',
+  yaml: 'application/yaml',
+  toml: 'application/toml',
+  xml: 'application/xml',
+  csv: 'text/csv',
+  env: 'text/plain',
+  'schema.json': 'application/schema+json',
+  ts: 'text/typescript',
+  ndjson: 'application/x-ndjson',
+  txt: 'text/plain',
+};
+
+function downloadFile(name, bytes, type) {
+  const url = URL.createObjectURL(new Blob([bytes], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+async function saveFileHandle(handle, bytes) {
+  if (await handle.requestPermission({ mode: 'readwrite' }) !== 'granted') {
+    throw new DOMException('Write permission was denied', 'NotAllowedError');
+  }
+  const writable = await handle.createWritable();
+  await writable.write(bytes);
+  await writable.close();
+}
+
+// Files plus, where the File System Access API exists, handles that Save back can write to
+async function pickFiles(fileInput) {
+  if ('showOpenFilePicker' in window) {
+    try {
+      const handles = await window.showOpenFilePicker({ multiple: true, types: FILE_PICKER_TYPES });
+      return Promise.all(handles.map(async handle => ({ file: await handle.getFile(), handle })));
+    } catch (err) {
+      if (err.name === 'AbortError') return [];
+      throw err;
+    }
+  }
+  return new Promise((resolve) => {
+    fileInput.addEventListener('change', () => {
+      const files = [...fileInput.files].map(file => ({ file, handle: null }));
+      fileInput.value = '';
+      resolve(files);
+    }, { once: true });
+    fileInput.click();
+  });
+}
+
+async function droppedFiles(dataTransfer) {
+  const items = [...dataTransfer.items].filter(item => item.kind === 'file');
+  return Promise.all(items.map(async (item) => {
+    const file = item.getAsFile();
+    const handle = await item.getAsFileSystemHandle?.().catch(() => null);
+    return { file, handle: handle?.kind === 'file' ? handle : null };
+  }));
+}
+
+// Open buttons and drops on either pane of a panel. Each file becomes a document in the
+// panel for its format, switching tabs when that's not the panel it was dropped on.
+function initFileOpen(activateTab, panels) {
+  async function open(entries) {
+    for (const { file, handle } of entries) {
+      try {
+        const { text, ...encoding } = decodeFileBytes(new Uint8Array(await file.arrayBuffer()));
+        const format = fileFormat(file.name, text);
+        activateTab(format);
+        await panels[format].openFile({ name: file.name, text, file: { name: file.name, format, handle, ...encoding } });
+      } catch (err) {
+        showToast(`Couldn't open ${file.name} – ${err.message}`, 'error-toast');
+      }
+    }
+  }
+
+  for (const prefix of Object.keys(panels)) {
+    const fileInput = document.getElementById(`${prefix}-open-file`);
+    fileInput.accept = FILE_ACCEPT;
+    document.getElementById(`${prefix}-open-btn`).addEventListener('click', async () => {
+      open(await pickFiles(fileInput));
+    });
+
+    // Capture phase, so CodeMirror doesn't insert the dropped file's text at the cursor
+    for (const pane of document.querySelectorAll(`#panel-${prefix} .pane`)) {
+      const hasFiles = e => e.dataTransfer?.types.includes('Files');
+      pane.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        e.dataTransfer.dropEffect = 'copy';
+        pane.classList.add('drop-target');
+      }, true);
+      pane.addEventListener('dragleave', (e) => {
+        if (!pane.contains(e.relatedTarget)) pane.classList.remove('drop-target');
+      }, true);
+      pane.addEventListener('drop', async (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        pane.classList.remove('drop-target');
+        open(await droppedFiles(e.dataTransfer));
+      }, true);
+    }
+  }
+}
+
+
+// Download and Save back for a panel's output. Both reuse the encoding, BOM and line endings
+// of the file the current document was opened from. `redacting()` is true while the output
+// has secrets masked, which must never be saved over the original file.
+function initOutputFile(prefix, { workspace, outputEditor, outputFormat, isFormatted, redacting }) {
+  const downloadBtn = document.getElementById(`${prefix}-download-btn`);
+  const saveBtn = document.getElementById(`${prefix}-save-btn`);
+
+  function output() {
+    const text = outputEditor.state.doc.toString();
+    if (!text) showToast('Nothing to save – format first', 'error-toast');
+    return text;
+  }
+
+  downloadBtn.addEventListener('click', () => {
+    const text = output();
+    if (!text) return;
+    const { name, file } = workspace.current();
+    const format = outputFormat();
+    downloadFile(outputFileName(file?.name ?? name, format), encodeFileText(text, file), MIME_TYPES[format]);
+  });
+
+  saveBtn.addEventListener('click', async () => {
+    const { file } = workspace.current();
+    // NDJSON output belongs to the JSON family, like the .ndjson/.jsonl file it came from
+    const family = FILE_FORMATS[outputFormat()] ?? outputFormat();
+    if (!isFormatted() || family !== file.format) {
+      showToast(`Switch the output to Formatted to save back to ${file.name}`, 'error-toast');
+      return;
+    }
+    if (redacting()) {
+      showToast(`Turn off Redact to save back to ${file.name} – the output has secrets masked`, 'error-toast');
+      return;
+    }
+    const text = output();
+    if (!text) return;
+    try {
+      await saveFileHandle(file.handle, encodeFileText(text, file));
+      showToast(`Saved ${file.name}`, 'success');
+    } catch (err) {
+      if (err.name !== 'AbortError') showToast(`Couldn't save ${file.name} – ${err.message}`, 'error-toast');
+    }
+  });
+
+  return {
+    // Save back is offered only for documents opened through the File System Access API
+    refresh(doc) {
+      saveBtn.hidden = !doc.file?.handle;
+      if (doc.file) saveBtn.title = `Save back to ${doc.file.name}`;
+    },
+  };
+}
+
+
+// ===== Background Formatting =====
+
+// One worker per panel. `run(job, onProgress)` resolves with the job's result, or with
+// null when a newer job superseded it. A synchronous JSON.parse can't be interrupted, so
+// a worker that is still busy with a stale job is terminated and replaced.
+function createFormatRunner() {
+  let worker = null;
+  let pending = null;
+  let nextId = 0;
+
+  function spawn() {
+    worker = new Worker(new URL('./format.worker.js', import.meta.url), { type: 'module' });
+    worker.addEventListener('message', ({ data }) => {
+      if (!pending || data.id !== pending.id) return;
+      if (data.stage) {
+        pending.onProgress(data.stage);
+        return;
+      }
+      const { resolve } = pending;
+      pending = null;
+      resolve(data.result);
+    });
+    worker.addEventListener('error', (e) => {
+      e.preventDefault();
+      worker.terminate();
+      worker = null;
+      if (!pending) return;
+      const { job, onProgress, resolve } = pending;
+      pending = null;
+      // Workers unavailable (e.g. opened from file://): fall back to the main thread
+      resolve(runFormatJob(job, onProgress));
+    });
+  }
+
+  function cancel() {
+    if (!pending) return;
+    worker.terminate();
+    worker = null;
+    pending.resolve(null);
+    pending = null;
+  }
+
+  function run(job, onProgress = () => { }) {
+    cancel();
+    if (!worker) spawn();
+    return new Promise((resolve) => {
+      pending = { id: ++nextId, job, onProgress, resolve };
+      worker.postMessage({ id: pending.id, job });
+    });
+  }
+
+  return { run, cancel };
+}
+
+
+// ===== JSON Module =====
+
+function initJSON() {
+  const inputContainer = document.getElementById('json-input');
+  const outputContainer = document.getElementById('json-output');
+  const statusBar = 'json-status-bar';
+  const copyBtn = document.getElementById('json-copy-btn');
+  const formatBtn = document.getElementById('json-format-btn');
+  const minifyBtn = document.getElementById('json-minify-btn');
+  const clearBtn = document.getElementById('json-clear-btn');
+  const pasteBtn = document.getElementById('json-paste-btn');
+  const outputModeSelect = document.getElementById('json-output-mode');
+  const lenientToggle = document.getElementById('json-lenient-toggle');
+  const losslessToggle = document.getElementById('json-lossless-toggle');
+  const ndjsonToggle = document.getElementById('json-ndjson-toggle');
+  const repairBtn = document.getElementById('json-repair-btn');
+  const expandBtn = document.getElementById('json-expand-btn');
+  const restringifyBtn = document.getElementById('json-restringify-btn');
+
+  const defaultInput = `{\n  "name": "DevFormat",\n  "awesome": true\n}`;
+  let outputMode = localStorage.getItem(KEYS.jsonOutputMode) || 'format';
+  outputModeSelect.value = outputMode;
+  let lenient = localStorage.getItem(KEYS.jsonLenient) === 'true';
+  lenientToggle.checked = lenient;
+  let lossless = localStorage.getItem(KEYS.jsonLossless) === 'true';
+  losslessToggle.checked = lossless;
+  let ndjsonMode = localStorage.getItem(KEYS.jsonNdjson) === 'true';
+  ndjsonToggle.checked = ndjsonMode;
+
+  let debounceTimer;
+  let isSyncing = false;
+
+  const secrets = initSecrets('json', () => {
+    workspace.resave();
+    if (inputEditor.state.doc.toString().trim()) processJSON(false, true);
+  });
+
+  // "Selected record" follows the cursor from line to line
+  let recordTimer;
+  const selectedRecordFollower = EditorView.updateListener.of((update) => {
+    if (outputMode !== 'ndjson-record' || !update.selectionSet) return;
+    const line = (state) => state.doc.lineAt(state.selection.main.head).number;
+    if (line(update.state) === line(update.startState)) return;
+    clearTimeout(recordTimer);
+    recordTimer = setTimeout(() => processJSON(false, true), 150);
+  });
+
+  const inputLanguage = () => ndjsonMode ? ndjsonLanguage : json;
+
+  // Initialize CodeMirror Editors
+  const inputEditor = createEditor(inputContainer, '', inputLanguage(), (val) => {
+    if (isSyncing) return;
+    workspace.touch();
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      if (val.length > LARGE_DOC_SIZE) {
+        setStatus(statusBar, 'idle', `Large document (${formatSize(val.length)}) · Live formatting off · Click Format`);
+      } else if (val.trim()) {
+        processJSON(false, true);
+      }
+    }, 600);
+  }, [secrets.extension, selectedRecordFollower, embeddedMarks]);
+
+  if (lenient) lenientEditors.add(inputEditor);
+  if (lossless) losslessEditors.add(inputEditor);
+
+  const patchPane = initPatchPane('json', {
+    onChange: () => {
+      if (!PATCH_MODES[outputMode]) return;
+      setOutputMode(outputMode);
+      processJSON(false, true);
+    },
+    onClose: () => {
+      setOutputMode('format');
+      processJSON(false, true);
+    },
+  });
+  patchPane.setMode(outputMode);
+
+  const outputEditor = createEditor(outputContainer, '', outputLanguage(outputMode, inputLanguage(), patchPane.outputFormat()), (val) => {
+    if (isSyncing) return;
+    workspace.touch();
+    if (outputMode !== 'format') return; // converted output can't sync back into JSON input
+    if (secrets.redacting()) return; // nor can masked output
+    if (val.length > LARGE_DOC_SIZE) return;
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      if (!val.trim()) {
+        isSyncing = true;
+        setEditorDoc(inputEditor, '', true);
+        isSyncing = false;
+        return;
+      }
+      try {
+        // only sync back if valid
+        if (ndjsonMode) {
+          if (parseNDJSON(val).errors.length) return;
+        } else {
+          JSON.parse(val);
+        }
+        isSyncing = true;
+        setEditorDoc(inputEditor, val, true);
+        isSyncing = false;
+      } catch (e) { }
+    }, 600);
+  });
+
+  // Parsed input plus its AST (for source ranges), shared by the schema panel and tree view
+  function getDocuments() {
+    const text = inputEditor.state.doc.toString();
+    if (!text.trim()) return null;
+    if (ndjsonMode) {
+      const { records, errors } = parseNDJSON(text, { lenient });
+      if (errors.length) throw new Error(errors[0].message);
+      return { values: records.map(r => r.value), docs: [] };
+    }
+    return { values: [parseJSON(text, lenient)], docs: YAML.parseAllDocuments(text, { uniqueKeys: false }) };
+  }
+
+  const schemaPanel = initSchemaPanel('json', { inputEditor, getDocuments });
+  const treeView = initTreeView('json', { inputEditor, getDocuments });
+  const formatRunner = createFormatRunner();
+  const formatOptions = initFormatOptions('json', () => {
+    workspace.touch();
+    if (inputEditor.state.doc.toString().trim()) processJSON(false, true);
+  });
+
+  function snapshot() {
+    const status = lastStatus.get(statusBar);
+    return {
+      input: inputEditor.state.doc.toString(),
+      output: outputEditor.state.doc.toString(),
+      formatOptions: formatOptions.get(),
+      status: status?.type === 'busy' ? null : status ?? null,
+    };
+  }
+
+  function loadDocument(doc) {
+    clearTimeout(debounceTimer);
+    formatRunner.cancel();
+    resetEditorDoc(inputEditor, doc.input);
+    resetEditorDoc(outputEditor, doc.output);
+    formatOptions.set(doc.formatOptions);
+    if (doc.status) {
+      setStatus(statusBar, doc.status.type, doc.status.message, doc.status.detail);
+    } else if (doc.output) {
+      setStatus(statusBar, 'ok', `Restored · ${doc.output.split('\n').length} lines · ${formatSize(new Blob([doc.output]).size)}`);
+    } else if (doc.input) {
+      setStatus(statusBar, 'idle', 'Input restored · Click Format to validate');
+    } else {
+      setStatus(statusBar, 'idle', 'Ready · Paste JSON and click Format');
+    }
+    outputFile.refresh(doc);
+    schemaPanel.validate();
+    treeView.refresh();
+  }
+
+  const workspace = initWorkspace('json', { defaultInput, snapshot, load: loadDocument, keepUnsaved: secrets.keepUnsaved });
+  const outputFile = initOutputFile('json', {
+    workspace,
+    outputEditor,
+    outputFormat: () => outputFileFormat(outputMode, ndjsonMode ? 'ndjson' : 'json', patchPane.outputFormat()),
+    isFormatted: () => outputMode === 'format',
+    redacting: secrets.redacting,
+  });
+
+  const queryBar = initQueryBar('json', () => {
+    setOutputMode('query');
+    processJSON(false, true);
+  });
+
+  function setOutputMode(mode) {
+    outputMode = mode;
+    outputModeSelect.value = outputMode;
+    localStorage.setItem(KEYS.jsonOutputMode, outputMode);
+    setEditorLanguage(outputEditor, outputLanguage(outputMode, inputLanguage(), patchPane.outputFormat()));
+    patchPane.setMode(outputMode);
+  }
+
+  function setNDJSON(on) {
+    ndjsonMode = on;
+    ndjsonToggle.checked = on;
+    localStorage.setItem(KEYS.jsonNdjson, String(on));
+    setEditorLanguage(inputEditor, inputLanguage());
+    setOutputMode(outputMode);
+  }
+
+  function setLenient(on) {
+    lenient = on;
+    lenientToggle.checked = on;
+    localStorage.setItem(KEYS.jsonLenient, String(on));
+    if (on) lenientEditors.add(inputEditor);
+    else lenientEditors.delete(inputEditor);
+    forceLinting(inputEditor);
+  }
+
+  function setLossless(on) {
+    lossless = on;
+    losslessToggle.checked = on;
+    localStorage.setItem(KEYS.jsonLossless, String(on));
+    if (on) losslessEditors.add(inputEditor);
+    else losslessEditors.delete(inputEditor);
+    forceLinting(inputEditor);
+  }
+
+  async function processJSON(minify = false, fromInput = true) {
+    const text = fromInput ? inputEditor.state.doc.toString() : outputEditor.state.doc.toString();
+    if (!text.trim()) {
+      if (fromInput) {
+        isSyncing = true;
+        setEditorDoc(outputEditor, '');
+        isSyncing = false;
+      }
+      setStatus(statusBar, 'idle', 'Ready · Paste JSON and click Format');
+      workspace.touch();
+      schemaPanel.validate();
+      treeView.refresh();
+      return;
+    }
+
+    const mode = fromInput ? outputMode : 'format';
+    const result = await formatRunner.run({
+      format: 'json',
+      text,
+      mode,
+      minify,
+      lenient: lenient && fromInput,
+      exact: lossless,
+      ndjson: ndjsonMode,
+      record: inputEditor.state.doc.lineAt(inputEditor.state.selection.main.head).number,
+      query: queryBar.getQuery(),
+      patch: patchPane.getPatch(),
+      options: formatOptions.get(),
+    }, stage => setStatus(statusBar, 'busy', `${stage} ${formatSize(text.length)}…`));
+    if (!result) return; // superseded by a newer job
+
+    if (result.error) {
+      setEditorDoc(outputEditor, '');
+      const { kind, message, pos, location } = result.error;
+      if (kind === 'query') {
+        const lang = QUERY_LANGS[queryBar.getQuery().lang];
+        setStatus(statusBar, 'error', pos === undefined ? `${lang} error` : `Invalid ${lang} expression`, message);
+      } else if (kind === 'patch') {
+        setStatus(statusBar, 'error', `Patch error${location ? ` · ${location}` : ''}`, message);
+      } else {
+        setStatus(statusBar, 'error', `Invalid JSON${location ? ` · ${location}` : ''}`, message);
+      }
+    } else {
+      const { output: formatted, label, warnings, lines, size } = result;
+      isSyncing = true;
+      if (fromInput) setEditorDoc(outputEditor, secrets.mask(formatted));
+      else setEditorDoc(inputEditor, formatted, true);
+      isSyncing = false;
+
+      const summary = `${label} · ${lines} lines · ${formatSize(size)}`;
+      if (DATA_FORMATS[mode] && warnings.length) {
+        setStatus(statusBar, 'warn', `${summary} · ${pluralize(warnings.length, 'fidelity warning')}`, warnings.join(' · '));
+      } else if (warnings.length) {
+        setStatus(statusBar, 'warn', summary, warnings.join(' · '));
+      } else {
+        setStatus(statusBar, 'ok', summary);
+      }
+    }
+    workspace.touch();
+    schemaPanel.validate();
+    treeView.refresh();
+  }
+
+  formatBtn.addEventListener('click', () => processJSON(false));
+  minifyBtn.addEventListener('click', () => processJSON(true));
+
+  lenientToggle.addEventListener('change', () => {
+    setLenient(lenientToggle.checked);
+    processJSON(false, true);
+  });
+
+  losslessToggle.addEventListener('change', () => {
+    setLossless(losslessToggle.checked);
+    processJSON(false, true);
+  });
+
+  ndjsonToggle.addEventListener('change', () => {
+    setNDJSON(ndjsonToggle.checked);
+    processJSON(false, true);
+  });
+
+  repairBtn.addEventListener('click', async () => {
+    const raw = inputEditor.state.doc.toString();
+    if (!raw.trim()) {
+      showToast('Nothing to repair', 'error-toast');
+      return;
+    }
+    try {
+      const { text, fixes } = repairJSON(raw);
+      if (!fixes.length) {
+        setStatus(statusBar, 'ok', 'Nothing to repair · Valid JSON');
+        return;
+      }
+      isSyncing = true;
+      setEditorDoc(inputEditor, text, true);
+      isSyncing = false;
+      await processJSON(false, true);
+      setStatus(statusBar, 'warn', `Repaired · ${pluralize(fixes.length, 'fix', 'fixes')}`, fixes.join(' · '));
+      workspace.touch();
+    } catch (err) {
+      setStatus(statusBar, 'error', 'Repair failed', err.message);
+    }
+  });
+
+  expandBtn.addEventListener('click', async () => {
+    const raw = inputEditor.state.doc.toString();
+    if (!raw.trim()) {
+      showToast('Nothing to expand', 'error-toast');
+      return;
+    }
+    let expanded;
+    try {
+      expanded = expandEmbeddedText(raw, { lenient, ndjson: ndjsonMode, options: formatOptions.get() });
+    } catch (err) {
+      setStatus(statusBar, 'error', 'Invalid JSON · fix parse errors first', err.message);
+      return;
+    }
+    if (!expanded) {
+      setStatus(statusBar, 'ok', 'Nothing to expand · No string values hold JSON, YAML or base64 JSON');
+      return;
+    }
+    isSyncing = true;
+    setEditorDoc(inputEditor, expanded.text, true);
+    inputEditor.dispatch({ effects: setEmbeddedMarks.of(expanded.marks) });
+    isSyncing = false;
+    await processJSON(false, true);
+    const counts = Object.entries(expanded.counts).map(([encoding, n]) => `${n} ${EMBEDDED_ENCODINGS[encoding]}`);
+    const total = Object.values(expanded.counts).reduce((a, b) => a + b, 0);
+    setStatus(statusBar, 'ok', `Expanded ${pluralize(total, 'embedded document')} · Re-stringify to restore`, counts.join(' · '));
+    workspace.touch();
+  });
+
+  restringifyBtn.addEventListener('click', async () => {
+    if (!inputEditor.state.field(embeddedMarks).size) {
+      showToast('Nothing to re-stringify – expand first', 'error-toast');
+      return;
+    }
+    isSyncing = true;
+    const { restored, kept } = restringifyMarked(inputEditor, lenient);
+    isSyncing = false;
+    await processJSON(false, true);
+    if (kept) {
+      setStatus(statusBar, 'warn', `Re-stringified ${restored} of ${pluralize(restored + kept, 'value')}`, `${pluralize(kept, 'marked value')} no longer parse${kept === 1 ? 's' : ''} and stay expanded`);
+    } else {
+      setStatus(statusBar, 'ok', `Re-stringified ${pluralize(restored, 'value')}`);
+    }
+    workspace.touch();
+  });
+
+  outputModeSelect.addEventListener('change', () => {
+    setOutputMode(outputModeSelect.value);
+    processJSON(false, true);
+  });
+
+  clearBtn.addEventListener('click', () => {
+    isSyncing = true;
+    setEditorDoc(inputEditor, '', true);
+    setEditorDoc(outputEditor, '');
+    isSyncing = false;
+    workspace.touch();
+    setStatus(statusBar, 'idle', 'Ready · Paste JSON and click Format');
+    inputEditor.focus();
+  });
+
+  pasteBtn.addEventListener('click', async () => {
+    try {
+      const text = await navigator.clipboard.readText();
+      isSyncing = true;
+      setEditorDoc(inputEditor, text, true);
+      isSyncing = false;
+      workspace.touch();
+      processJSON(false, true);
+    } catch {
+      showToast('Clipboard access denied', 'error-toast');
+    }
+  });
+
+  copyBtn.addEventListener('click', () => {
+    const text = outputEditor.state.doc.toString();
+    if (!text) {
+      showToast('Nothing to copy – format first', 'error-toast');
+      return;
+    }
+    copyToClipboard(text, copyBtn);
+  });
+
+  initSharePanel('json', () => ({
+    tab: 'json',
+    input: secrets.mask(inputEditor.state.doc.toString()),
+    mode: outputMode,
+    options: formatOptions.get(),
+    lenient,
+    lossless,
+    ndjson: ndjsonMode,
+    ...(outputMode === 'query' && { query: queryBar.getQuery() }),
+  }));
+
+  async function openFile({ name, text, file }) {
+    await workspace.ready;
+    const ext = fileExtension(name);
+    if (['jsonc', 'json5'].includes(ext)) setLenient(true);
+    setNDJSON(['ndjson', 'jsonl'].includes(ext));
+    await workspace.create({ name, input: text, file });
+    processJSON(false, true);
+  }
+
+  // A share link opens as a new document, taking priority over the restored one
+  workspace.ready.then(readSharedState).then(async (shared) => {
+    if (shared?.tab !== 'json') return;
+    if ([...outputModeSelect.options].some(o => o.value === shared.mode)) setOutputMode(shared.mode);
+    setLenient(shared.lenient === true);
+    setLossless(shared.lossless === true);
+    setNDJSON(shared.ndjson === true);
+    if (typeof shared.query?.expr === 'string') queryBar.setQuery(shared.query);
+    await workspace.create({
+      name: 'Shared',
+      input: shared.input,
+      formatOptions: normalizeFormatOptions({ ...shared.options }),
+    });
+    processJSON(false, true);
+  });
+
+  return { openFile };
+}
+
+
+// ===== YAML Module =====
+
+function initYAML() {
+  const inputContainer = document.getElementById('yaml-input');
+  const outputContainer = document.getElementById('yaml-output');
+  const statusBar = 'yaml-status-bar';
+  const copyBtn = document.getElementById('yaml-copy-btn');
+  const formatBtn = document.getElementById('yaml-format-btn');
+  const clearBtn = document.getElementById('yaml-clear-btn');
+  const pasteBtn = document.getElementById('yaml-paste-btn');
+  const outputModeSelect = document.getElementById('yaml-output-mode');
+
+  const defaultInput = `name: DevFormat\nawesome: true\nfeatures:\n  - format\n  - validate`;
+  let outputMode = localStorage.getItem(KEYS.yamlOutputMode) || 'format';
+  outputModeSelect.value = outputMode;
+
+  let debounceTimer;
+  let isSyncing = false;
+
+  const secrets = initSecrets('yaml', () => {
+    workspace.resave();
+    if (inputEditor.state.doc.toString().trim()) processYAML(true);
+  });
+
+  const inputEditor = createEditor(inputContainer, '', yaml, (val) => {
+    if (isSyncing) return;
+    workspace.touch();
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      if (val.length > LARGE_DOC_SIZE) {
+        setStatus(statusBar, 'idle', `Large document (${formatSize(val.length)}) · Live formatting off · Click Format`);
+      } else if (val.trim()) {
+        processYAML(true);
+      }
+    }, 600);
+  }, [yamlAliasPreviews, yamlRuleLinter, secrets.extension]);
+
+  const patchPane = initPatchPane('yaml', {
+    onChange: () => {
+      if (!PATCH_MODES[outputMode]) return;
+      setOutputMode(outputMode);
+      processYAML(true);
+    },
+    onClose: () => {
+      setOutputMode('format');
+      processYAML(true);
+    },
+  });
+  patchPane.setMode(outputMode);
+
+  const outputEditor = createEditor(outputContainer, '', outputLanguage(outputMode, yaml, patchPane.outputFormat()), (val) => {
+    if (isSyncing) return;
+    workspace.touch();
+    if (outputMode !== 'format') return; // converted output can't sync back into YAML input
+    if (secrets.redacting()) return; // nor can masked output
+    if (val.length > LARGE_DOC_SIZE) return;
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      if (!val.trim()) {
+        isSyncing = true;
+        setEditorDoc(inputEditor, '', true);
+        isSyncing = false;
+        return;
+      }
+      try {
+        YAML.parse(val); // dry run to validate
+        isSyncing = true;
+        setEditorDoc(inputEditor, val, true);
+        isSyncing = false;
+      } catch (e) { }
+    }, 600);
+  });
+
+  // Parsed input plus its AST (for source ranges), shared by the schema panel and tree view
+  function getDocuments() {
+    const text = inputEditor.state.doc.toString();
+    if (!text.trim()) return null;
+    const { value, docs } = parseStructured(text, 'yaml');
+    return { values: docs.length > 1 ? value : [value], docs };
+  }
+
+  const schemaPanel = initSchemaPanel('yaml', { inputEditor, getDocuments });
+  initYAMLLint('yaml', inputEditor);
+  const treeView = initTreeView('yaml', { inputEditor, getDocuments });
+  const outline = initDocumentOutline('yaml', {
+    inputEditor,
+    onExtract: ({ name, text }) => openFile({ name, text }),
+  });
+  const formatRunner = createFormatRunner();
+  const formatOptions = initFormatOptions('yaml', () => {
+    workspace.touch();
+    if (inputEditor.state.doc.toString().trim()) processYAML(true);
+  });
+
+  function snapshot() {
+    const status = lastStatus.get(statusBar);
+    return {
+      input: inputEditor.state.doc.toString(),
+      output: outputEditor.state.doc.toString(),
+      formatOptions: formatOptions.get(),
+      status: status?.type === 'busy' ? null : status ?? null,
+    };
+  }
+
+  function loadDocument(doc) {
+    clearTimeout(debounceTimer);
+    formatRunner.cancel();
+    resetEditorDoc(inputEditor, doc.input);
+    resetEditorDoc(outputEditor, doc.output);
+    formatOptions.set(doc.formatOptions);
+    if (doc.status) {
+      setStatus(statusBar, doc.status.type, doc.status.message, doc.status.detail);
+    } else if (doc.output) {
+      setStatus(statusBar, 'ok', `Restored · ${doc.output.split('\n').length} lines · ${formatSize(new Blob([doc.output]).size)}`);
+    } else if (doc.input) {
+      setStatus(statusBar, 'idle', 'Input restored · Click Format to validate');
+    } else {
+      setStatus(statusBar, 'idle', 'Ready · Paste YAML and click Format');
+    }
+    outputFile.refresh(doc);
+    schemaPanel.validate();
+    treeView.refresh();
+    outline.refresh();
+  }
+
+  const workspace = initWorkspace('yaml', { defaultInput, snapshot, load: loadDocument, keepUnsaved: secrets.keepUnsaved });
+  const outputFile = initOutputFile('yaml', {
+    workspace,
+    outputEditor,
+    outputFormat: () => outputFileFormat(outputMode, 'yaml', patchPane.outputFormat()),
+    isFormatted: () => outputMode === 'format',
+    redacting: secrets.redacting,
+  });
+
+  const queryBar = initQueryBar('yaml', () => {
+    setOutputMode('query');
+    processYAML(true);
+  });
+
+  function setOutputMode(mode) {
+    outputMode = mode;
+    outputModeSelect.value = outputMode;
+    localStorage.setItem(KEYS.yamlOutputMode, outputMode);
+    setEditorLanguage(outputEditor, outputLanguage(outputMode, yaml, patchPane.outputFormat()));
+    patchPane.setMode(outputMode);
+  }
+
+  async function processYAML(fromInput = true) {
+    const text = fromInput ? inputEditor.state.doc.toString() : outputEditor.state.doc.toString();
+    if (!text.trim()) {
+      if (fromInput) {
+        isSyncing = true;
+        setEditorDoc(outputEditor, '');
+        isSyncing = false;
+      }
+      setStatus(statusBar, 'idle', 'Ready · Paste YAML and click Format');
+      workspace.touch();
+      schemaPanel.validate();
+      treeView.refresh();
+      outline.refresh();
+      return;
+    }
+
+    const mode = fromInput ? outputMode : 'format';
+    const result = await formatRunner.run({
+      format: 'yaml',
+      text,
+      mode,
+      query: queryBar.getQuery(),
+      patch: patchPane.getPatch(),
+      options: formatOptions.get(),
+    }, stage => setStatus(statusBar, 'busy', `${stage} ${formatSize(text.length)}…`));
+    if (!result) return; // superseded by a newer job
+
+    if (result.error) {
+      setEditorDoc(outputEditor, '');
+
+      const { kind, message, pos, location } = result.error;
+      if (kind === 'query') {
+        const lang = QUERY_LANGS[queryBar.getQuery().lang];
+        setStatus(statusBar, 'error', pos === undefined ? `${lang} error` : `Invalid ${lang} expression`, message);
+      } else if (kind === 'patch') {
+        setStatus(statusBar, 'error', `Patch error${location ? ` · ${location}` : ''}`, message);
+      } else {
+        setStatus(statusBar, 'error', `Invalid YAML${location ? ` · ${location}` : ''}`, message);
+      }
+    } else {
+      const { output: formatted, label, warnings, lines, size } = result;
+      isSyncing = true;
+      if (fromInput) setEditorDoc(outputEditor, secrets.mask(formatted));
+      else setEditorDoc(inputEditor, formatted, true);
+      isSyncing = false;
+
+      const summary = `${label} · ${lines} lines · ${formatSize(size)}`;
+      if (DATA_FORMATS[mode] && warnings.length) {
+        setStatus(statusBar, 'warn', `${summary} · ${pluralize(warnings.length, 'fidelity warning')}`, warnings.join(' · '));
+      } else if (warnings.length) {
+        setStatus(statusBar, 'warn', summary, warnings.join(' · '));
+      } else {
+        setStatus(statusBar, 'ok', summary);
+      }
+    }
+    workspace.touch();
+    schemaPanel.validate();
+    treeView.refresh();
+    outline.refresh();
   }
 
   formatBtn.addEventListener('click', () => processYAML(true));
 
+  outputModeSelect.addEventListener('change', () => {
+    setOutputMode(outputModeSelect.value);
+    processYAML(true);
+  });
+
+  clearBtn.addEventListener('click', () => {
+    isSyncing = true;
+    setEditorDoc(inputEditor, '', true);
+    setEditorDoc(outputEditor, '');
+    isSyncing = false;
+    workspace.touch();
+    setStatus(statusBar, 'idle', 'Ready · Paste YAML and click Format');
+    outline.refresh();
+    inputEditor.focus();
+  });
+
+  pasteBtn.addEventListener('click', async () => {
+    try {
+      const text = await navigator.clipboard.readText();
+      isSyncing = true;
+      setEditorDoc(inputEditor, text, true);
+      isSyncing = false;
+      workspace.touch();
+      processYAML(true);
+    } catch {
+      showToast('Clipboard access denied', 'error-toast');
+    }
+  });
+
+  copyBtn.addEventListener('click', () => {
+    const text = outputEditor.state.doc.toString();
+    if (!text) {
+      showToast('Nothing to copy – format first', 'error-toast');
+      return;
+    }
+    copyToClipboard(text, copyBtn);
+  });
+
+  initSharePanel('yaml', () => ({
+    tab: 'yaml',
+    input: secrets.mask(inputEditor.state.doc.toString()),
+    mode: outputMode,
+    options: formatOptions.get(),
+    ...(outputMode === 'query' && { query: queryBar.getQuery() }),
+  }));
+
+  async function openFile({ name, text, file }) {
+    await workspace.ready;
+    await workspace.create({ name, input: text, file });
+    processYAML(true);
+  }
+
+  // A share link opens as a new document, taking priority over the restored one
+  workspace.ready.then(readSharedState).then(async (shared) => {
+    if (shared?.tab !== 'yaml') return;
+    if ([...outputModeSelect.options].some(o => o.value === shared.mode)) setOutputMode(shared.mode);
+    if (typeof shared.query?.expr === 'string') queryBar.setQuery(shared.query);
+    await workspace.create({
+      name: 'Shared',
+      input: shared.input,
+      formatOptions: normalizeFormatOptions({ ...shared.options }),
+    });
+    processYAML(true);
+  });
+
+  return { openFile };
+}
+
+
+// ===== Data Format Modules =====
+
+const DATA_PANEL_INPUTS = {
+  toml: `title = "DevFormat"\nawesome = true\n\n[features]\nlist = ["format", "validate"]`,
+  xml: `<devformat awesome="true"><feature>format</feature><feature>validate</feature></devformat>`,
+  csv: `name,awesome,features\nDevFormat,true,format\nDevFormat,true,validate`,
+  env: `NAME=DevFormat\nAWESOME=true\nFEATURES="format validate"`,
+};
+
+// TOML, XML, CSV and .env share one panel layout: format in place, or convert to any
+// other data format through the output mode select
+function initDataPanel(prefix) {
+  const label = DATA_FORMATS[prefix];
+  const inputContainer = document.getElementById(`${prefix}-input`);
+  const outputContainer = document.getElementById(`${prefix}-output`);
+  const statusBar = `${prefix}-status-bar`;
+  const copyBtn = document.getElementById(`${prefix}-copy-btn`);
+  const formatBtn = document.getElementById(`${prefix}-format-btn`);
+  const clearBtn = document.getElementById(`${prefix}-clear-btn`);
+  const pasteBtn = document.getElementById(`${prefix}-paste-btn`);
+  const outputModeSelect = document.getElementById(`${prefix}-output-mode`);
+  const readyMessage = `Ready · Paste ${label} and click Format`;
+
+  let outputMode = localStorage.getItem(KEYS[`${prefix}OutputMode`]) || 'format';
+  if (![...outputModeSelect.options].some(o => o.value === outputMode)) outputMode = 'format';
+  outputModeSelect.value = outputMode;
+
+  let debounceTimer;
+  let isSyncing = false;
+
+  const secrets = initSecrets(prefix, () => {
+    workspace.resave();
+    if (inputEditor.state.doc.toString().trim()) process(true);
+  });
+
+  const inputEditor = createEditor(inputContainer, '', LANGUAGES[prefix], (val) => {
+    if (isSyncing) return;
+    workspace.touch();
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      if (val.length > LARGE_DOC_SIZE) {
+        setStatus(statusBar, 'idle', `Large document (${formatSize(val.length)}) · Live formatting off · Click Format`);
+      } else if (val.trim()) {
+        process(true);
+      }
+    }, 600);
+  }, [secrets.extension]);
+
+  const outputEditor = createEditor(outputContainer, '', outputLanguage(outputMode, LANGUAGES[prefix]), (val) => {
+    if (isSyncing) return;
+    workspace.touch();
+    if (outputMode !== 'format') return; // converted output can't sync back into the input
+    if (secrets.redacting()) return; // nor can masked output
+    if (val.length > LARGE_DOC_SIZE) return;
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      if (val.trim() && dataSyntaxError(val, prefix)) return;
+      isSyncing = true;
+      setEditorDoc(inputEditor, val, true);
+      isSyncing = false;
+    }, 600);
+  });
+
+  const formatRunner = createFormatRunner();
+  const formatOptions = initFormatOptions(prefix, () => {
+    workspace.touch();
+    if (inputEditor.state.doc.toString().trim()) process(true);
+  });
+
+  function snapshot() {
+    const status = lastStatus.get(statusBar);
+    return {
+      input: inputEditor.state.doc.toString(),
+      output: outputEditor.state.doc.toString(),
+      formatOptions: formatOptions.get(),
+      status: status?.type === 'busy' ? null : status ?? null,
+    };
+  }
+
+  function loadDocument(doc) {
+    clearTimeout(debounceTimer);
+    formatRunner.cancel();
+    resetEditorDoc(inputEditor, doc.input);
+    resetEditorDoc(outputEditor, doc.output);
+    formatOptions.set(doc.formatOptions);
+    if (doc.status) {
+      setStatus(statusBar, doc.status.type, doc.status.message, doc.status.detail);
+    } else if (doc.output) {
+      setStatus(statusBar, 'ok', `Restored · ${doc.output.split('\n').length} lines · ${formatSize(new Blob([doc.output]).size)}`);
+    } else if (doc.input) {
+      setStatus(statusBar, 'idle', 'Input restored · Click Format to validate');
+    } else {
+      setStatus(statusBar, 'idle', readyMessage);
+    }
+    outputFile.refresh(doc);
+  }
+
+  const workspace = initWorkspace(prefix, {
+    defaultInput: DATA_PANEL_INPUTS[prefix],
+    snapshot,
+    load: loadDocument,
+    keepUnsaved: secrets.keepUnsaved,
+  });
+  const outputFile = initOutputFile(prefix, {
+    workspace,
+    outputEditor,
+    outputFormat: () => outputFileFormat(outputMode, prefix),
+    isFormatted: () => outputMode === 'format',
+    redacting: secrets.redacting,
+  });
+
+  function setOutputMode(mode) {
+    outputMode = mode;
+    outputModeSelect.value = outputMode;
+    localStorage.setItem(KEYS[`${prefix}OutputMode`], outputMode);
+    setEditorLanguage(outputEditor, outputLanguage(outputMode, LANGUAGES[prefix]));
+  }
+
+  async function process(fromInput = true) {
+    const text = fromInput ? inputEditor.state.doc.toString() : outputEditor.state.doc.toString();
+    if (!text.trim()) {
+      if (fromInput) {
+        isSyncing = true;
+        setEditorDoc(outputEditor, '');
+        isSyncing = false;
+      }
+      setStatus(statusBar, 'idle', readyMessage);
+      workspace.touch();
+      return;
+    }
+
+    const mode = fromInput ? outputMode : 'format';
+    const result = await formatRunner.run({
+      format: prefix,
+      text,
+      mode,
+      options: formatOptions.get(),
+    }, stage => setStatus(statusBar, 'busy', `${stage} ${formatSize(text.length)}…`));
+    if (!result) return; // superseded by a newer job
+
+    if (result.error) {
+      setEditorDoc(outputEditor, '');
+      const { message, location } = result.error;
+      setStatus(statusBar, 'error', `Invalid ${label}${location ? ` · ${location}` : ''}`, message);
+    } else {
+      const { output: formatted, label: resultLabel, warnings, lines, size } = result;
+      isSyncing = true;
+      if (fromInput) setEditorDoc(outputEditor, secrets.mask(formatted));
+      else setEditorDoc(inputEditor, formatted, true);
+      isSyncing = false;
+
+      const summary = `${resultLabel} · ${lines} lines · ${formatSize(size)}`;
+      if (DATA_FORMATS[mode] && warnings.length) {
+        setStatus(statusBar, 'warn', `${summary} · ${pluralize(warnings.length, 'fidelity warning')}`, warnings.join(' · '));
+      } else if (warnings.length) {
+        setStatus(statusBar, 'warn', summary, warnings.join(' · '));
+      } else {
+        setStatus(statusBar, 'ok', summary);
+      }
+    }
+    workspace.touch();
+  }
+
+  formatBtn.addEventListener('click', () => process(true));
+
+  outputModeSelect.addEventListener('change', () => {
+    setOutputMode(outputModeSelect.value);
+    process(true);
+  });
+
   clearBtn.addEventListener('click', () => {
     isSyncing = true;
     setEditorDoc(inputEditor, '', true);
     setEditorDoc(outputEditor, '');
     isSyncing = false;
-    localStorage.removeItem(KEYS.yamlInput);
-    localStorage.removeItem(KEYS.yamlOutput);
-    setStatus(statusBar, 'idle', 'Ready · Paste YAML and click Format');
+    workspace.touch();
+    setStatus(statusBar, 'idle', readyMessage);
     inputEditor.focus();
   });
 
@@ -483,8 +3783,8 @@ function initYAML() {
       isSyncing = true;
       setEditorDoc(inputEditor, text, true);
       isSyncing = false;
-      localStorage.setItem(KEYS.yamlInput, text);
-      processYAML(true);
+      workspace.touch();
+      process(true);
     } catch {
       showToast('Clipboard access denied', 'error-toast');
     }
@@ -499,15 +3799,319 @@ function initYAML() {
     copyToClipboard(text, copyBtn);
   });
 
-  // Restore status
-  if (savedOutput) {
-    const lines = savedOutput.split('\n').length;
-    const size = new Blob([savedOutput]).size;
-    const sizeStr = size > 1024 ? `${(size / 1024).toFixed(1)} KB` : `${size} B`;
-    setStatus(statusBar, 'ok', `Restored · ${lines} lines · ${sizeStr}`);
-  } else if (savedInput) {
-    setStatus(statusBar, 'idle', 'Input restored · Click Format to validate');
+  initSharePanel(prefix, () => ({
+    tab: prefix,
+    input: secrets.mask(inputEditor.state.doc.toString()),
+    mode: outputMode,
+    options: formatOptions.get(),
+  }));
+
+  async function openFile({ name, text, file }) {
+    await workspace.ready;
+    await workspace.create({ name, input: text, file });
+    process(true);
+  }
+
+  // A share link opens as a new document, taking priority over the restored one
+  workspace.ready.then(readSharedState).then(async (shared) => {
+    if (shared?.tab !== prefix) return;
+    if ([...outputModeSelect.options].some(o => o.value === shared.mode)) setOutputMode(shared.mode);
+    await workspace.create({
+      name: 'Shared',
+      input: shared.input,
+      formatOptions: normalizeFormatOptions({ ...shared.options }),
+    });
+    process(true);
+  });
+
+  return { openFile };
+}
+
+
+// ===== Compare Module =====
+
+// Inline diff highlights: the whole set is replaced on every compare run
+const setDiffMarks = StateEffect.define();
+
+const diffMarksField = StateField.define({
+  create: () => Decoration.none,
+  update(marks, tr) {
+    marks = marks.map(tr.changes);
+    for (const e of tr.effects) {
+      if (e.is(setDiffMarks)) marks = e.value;
+    }
+    return marks;
+  },
+  provide: f => EditorView.decorations.from(f)
+});
+
+const DIFF_MARKS = {
+  added: Decoration.mark({ class: 'cm-diff-added' }),
+  removed: Decoration.mark({ class: 'cm-diff-removed' }),
+  changed: Decoration.mark({ class: 'cm-diff-changed' }),
+  reordered: Decoration.mark({ class: 'cm-diff-reordered' }),
+};
+
+// Resolves a data path to source ranges in a parsed side. `from`/`to` cover the whole
+// entry (key and value for map pairs), `valueFrom` just the value.
+function locatePath(docs, path) {
+  if (!docs.length) return null;
+  let doc = docs[0];
+  let segs = path;
+  if (docs.length > 1) {
+    if (!path.length) return null;
+    doc = docs[path[0]];
+    segs = path.slice(1);
+    if (!doc) return null;
+  }
+
+  let node = doc.contents;
+  let from = node?.range?.[0];
+  let valueFrom = from;
+  for (const seg of segs) {
+    if (YAML.isAlias(node)) node = node.resolve(doc);
+    if (YAML.isMap(node)) {
+      const pair = node.items.find(p => nodeKey(p.key) === String(seg));
+      if (!pair) return null;
+      node = pair.value;
+      valueFrom = node?.range?.[0] ?? pair.key?.range?.[1];
+      from = pair.key?.range?.[0] ?? valueFrom;
+    } else if (YAML.isSeq(node)) {
+      node = node.items[seg];
+      if (!node) return null;
+      from = valueFrom = node.range?.[0];
+    } else {
+      return null;
+    }
+  }
+  const to = node?.range?.[1] ?? valueFrom;
+  if (from === undefined || to === undefined) return null;
+  return { from, to: Math.max(to, from), valueFrom: valueFrom ?? from };
+}
+
+function buildDiffMarks(docs, diffs, side, docLength) {
+  const ranges = [];
+  for (const d of diffs) {
+    const path = side === 'left' ? d.leftPath : d.rightPath;
+    if (!path) continue;
+    const loc = locatePath(docs, path);
+    if (!loc) continue;
+    const wholeEntry = d.type === 'added' || d.type === 'removed';
+    const from = Math.min(wholeEntry ? loc.from : loc.valueFrom, docLength);
+    const to = Math.min(loc.to, docLength);
+    if (to > from) ranges.push(DIFF_MARKS[d.type].range(from, to));
+  }
+  return Decoration.set(ranges, true);
+}
+
+function initCompare() {
+  const leftContainer = document.getElementById('compare-left');
+  const rightContainer = document.getElementById('compare-right');
+  const statusBar = 'compare-status-bar';
+  const diffList = document.getElementById('compare-diff-list');
+  const compareBtn = document.getElementById('compare-run-btn');
+  const swapBtn = document.getElementById('compare-swap-btn');
+  const ignoreKeyOrderBox = document.getElementById('compare-ignore-key-order');
+  const ignoreArrayOrderBox = document.getElementById('compare-ignore-array-order');
+  const sides = {
+    left: {
+      formatSelect: document.getElementById('compare-left-format'),
+      formatBadge: document.getElementById('compare-left-detected'),
+      pasteBtn: document.getElementById('compare-left-paste-btn'),
+      clearBtn: document.getElementById('compare-left-clear-btn'),
+      storageKey: KEYS.compareLeft,
+      label: 'Left',
+    },
+    right: {
+      formatSelect: document.getElementById('compare-right-format'),
+      formatBadge: document.getElementById('compare-right-detected'),
+      pasteBtn: document.getElementById('compare-right-paste-btn'),
+      clearBtn: document.getElementById('compare-right-clear-btn'),
+      storageKey: KEYS.compareRight,
+      label: 'Right',
+    },
+  };
+
+  // Restore from localStorage
+  const defaultLeft = `{\n  "name": "DevFormat",\n  "version": 1,\n  "features": ["format", "validate"]\n}`;
+  const defaultRight = `name: DevFormat\nversion: 2\nfeatures:\n  - format\n  - validate\n  - compare`;
+  let savedOptions = {};
+  try {
+    savedOptions = JSON.parse(localStorage.getItem(KEYS.compareOptions)) || {};
+  } catch { }
+  ignoreKeyOrderBox.checked = savedOptions.ignoreKeyOrder ?? true;
+  ignoreArrayOrderBox.checked = savedOptions.ignoreArrayOrder ?? false;
+  sides.left.formatSelect.value = savedOptions.leftFormat || 'auto';
+  sides.right.formatSelect.value = savedOptions.rightFormat || 'auto';
+
+  let debounceTimer;
+  let lastDiffs = [];
+
+  for (const [name, side] of Object.entries(sides)) {
+    let saved = localStorage.getItem(side.storageKey);
+    if (saved === null) saved = name === 'left' ? defaultLeft : defaultRight;
+    const container = name === 'left' ? leftContainer : rightContainer;
+    side.editor = createEditor(container, saved, detectFormat(saved) === 'json' ? json : yaml, (val) => {
+      persist(side.storageKey, val);
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(runCompare, 600);
+    }, [diffMarksField]);
+  }
+
+  function saveOptions() {
+    localStorage.setItem(KEYS.compareOptions, JSON.stringify({
+      ignoreKeyOrder: ignoreKeyOrderBox.checked,
+      ignoreArrayOrder: ignoreArrayOrderBox.checked,
+      leftFormat: sides.left.formatSelect.value,
+      rightFormat: sides.right.formatSelect.value,
+    }));
+  }
+
+  function clearMarks() {
+    for (const side of Object.values(sides)) {
+      side.editor.dispatch({ effects: setDiffMarks.of(Decoration.none) });
+    }
+  }
+
+  function renderDiffList(diffs) {
+    diffList.innerHTML = '';
+    diffList.hidden = !diffs.length;
+    diffs.forEach((d, idx) => {
+      const { symbol, path: pathText, detail } = describeDiff(d);
+      const item = document.createElement('button');
+      item.className = `diff-item diff-${d.type}`;
+      item.dataset.index = idx;
+
+      const badge = document.createElement('span');
+      badge.className = 'diff-badge';
+      badge.textContent = symbol;
+
+      const path = document.createElement('code');
+      path.className = 'diff-path';
+      path.textContent = pathText;
+
+      const values = document.createElement('span');
+      values.className = 'diff-values';
+      values.textContent = detail;
+
+      item.append(badge, path, values);
+      diffList.appendChild(item);
+    });
+  }
+
+  function revealDiff(d) {
+    for (const [name, side] of Object.entries(sides)) {
+      const path = name === 'left' ? d.leftPath : d.rightPath;
+      if (!path || !side.docs) continue;
+      const loc = locatePath(side.docs, path);
+      if (!loc) continue;
+      const len = side.editor.state.doc.length;
+      side.editor.dispatch({
+        selection: { anchor: Math.min(loc.from, len), head: Math.min(loc.to, len) },
+        scrollIntoView: true,
+      });
+    }
+  }
+
+  function runCompare() {
+    const leftText = sides.left.editor.state.doc.toString();
+    const rightText = sides.right.editor.state.doc.toString();
+    sides.left.docs = sides.right.docs = null;
+    if (!leftText.trim() || !rightText.trim()) {
+      clearMarks();
+      renderDiffList([]);
+      setStatus(statusBar, 'idle', 'Ready · Paste JSON or YAML on both sides to compare');
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = compare(leftText, rightText, {
+        leftFormat: sides.left.formatSelect.value,
+        rightFormat: sides.right.formatSelect.value,
+        ignoreKeyOrder: ignoreKeyOrderBox.checked,
+        ignoreArrayOrder: ignoreArrayOrderBox.checked,
+      });
+    } catch (err) {
+      clearMarks();
+      renderDiffList([]);
+      setStatus(statusBar, 'error', `${sides[err.side].label}: Invalid ${err.format.toUpperCase()}`, err.message);
+      return;
+    }
+    for (const [name, side] of Object.entries(sides)) {
+      side.docs = parsed[name].docs;
+      side.formatBadge.textContent = parsed[name].format.toUpperCase();
+      setEditorLanguage(side.editor, parsed[name].format === 'json' ? json : yaml);
+    }
+    lastDiffs = parsed.diffs;
+
+    for (const [name, side] of Object.entries(sides)) {
+      side.editor.dispatch({
+        effects: setDiffMarks.of(buildDiffMarks(side.docs, lastDiffs, name, side.editor.state.doc.length))
+      });
+    }
+    renderDiffList(lastDiffs);
+
+    const formats = `${parsed.left.format.toUpperCase()} ⇄ ${parsed.right.format.toUpperCase()}`;
+    if (!lastDiffs.length) {
+      setStatus(statusBar, 'ok', `Identical · ${formats}`);
+    } else {
+      setStatus(statusBar, 'warn', `${lastDiffs.length} difference${lastDiffs.length === 1 ? '' : 's'} · ${formats}`, summarizeDiffs(lastDiffs));
+    }
+  }
+
+  diffList.addEventListener('click', (e) => {
+    const item = e.target.closest('.diff-item');
+    if (item) revealDiff(lastDiffs[Number(item.dataset.index)]);
+  });
+
+  compareBtn.addEventListener('click', runCompare);
+
+  swapBtn.addEventListener('click', () => {
+    const leftText = sides.left.editor.state.doc.toString();
+    const rightText = sides.right.editor.state.doc.toString();
+    const leftFormat = sides.left.formatSelect.value;
+    sides.left.formatSelect.value = sides.right.formatSelect.value;
+    sides.right.formatSelect.value = leftFormat;
+    setEditorDoc(sides.left.editor, rightText);
+    setEditorDoc(sides.right.editor, leftText);
+    persist(KEYS.compareLeft, rightText);
+    persist(KEYS.compareRight, leftText);
+    saveOptions();
+    runCompare();
+  });
+
+  [ignoreKeyOrderBox, ignoreArrayOrderBox].forEach(box => box.addEventListener('change', () => {
+    saveOptions();
+    runCompare();
+  }));
+
+  for (const side of Object.values(sides)) {
+    side.formatSelect.addEventListener('change', () => {
+      saveOptions();
+      runCompare();
+    });
+
+    side.clearBtn.addEventListener('click', () => {
+      setEditorDoc(side.editor, '');
+      localStorage.removeItem(side.storageKey);
+      runCompare();
+      side.editor.focus();
+    });
+
+    side.pasteBtn.addEventListener('click', async () => {
+      try {
+        const text = await navigator.clipboard.readText();
+        setEditorDoc(side.editor, text);
+        persist(side.storageKey, text);
+        runCompare();
+      } catch {
+        showToast('Clipboard access denied', 'error-toast');
+      }
+    });
   }
+
+  runCompare();
 }
 
 
@@ -535,6 +4139,436 @@ function initTabs() {
   });
 
   activateTab(savedTab);
+  readSharedState().then((shared) => {
+    if (shared) activateTab(shared.tab);
+  });
+  return activateTab;
+}
+
+
+// ===== Command Palette & Shortcuts =====
+
+const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform);
+
+// Panel actions. Each runs on a tab by clicking the first of its `${tab}-${control}` elements
+// that isn't hidden or disabled, so a command only exists where its control does. Keys use
+// CodeMirror's notation, with Mod for Cmd on macOS and Ctrl elsewhere; commands that never
+// share a tab can share a key.
+const PANEL_COMMANDS = [
+  { id: 'format', title: 'Format', controls: ['format-btn'], key: 'Mod-Enter' },
+  { id: 'minify', title: 'Minify', controls: ['minify-btn'], key: 'Mod-Shift-m' },
+  { id: 'compare', title: 'Compare', controls: ['run-btn'], key: 'Mod-Enter' },
+  { id: 'swap', title: 'Swap sides', controls: ['swap-btn'] },
+  { id: 'copy', title: 'Copy output', controls: ['copy-btn'] },
+  { id: 'paste', title: 'Paste from clipboard', controls: ['paste-btn'] },
+  { id: 'pasteLeft', title: 'Paste into left side', controls: ['left-paste-btn'] },
+  { id: 'pasteRight', title: 'Paste into right side', controls: ['right-paste-btn'] },
+  { id: 'clear', title: 'Clear', controls: ['clear-btn'] },
+  { id: 'clearLeft', title: 'Clear left side', controls: ['left-clear-btn'] },
+  { id: 'clearRight', title: 'Clear right side', controls: ['right-clear-btn'] },
+  { id: 'open', title: 'Open file…', controls: ['open-btn'], key: 'Mod-o' },
+  { id: 'save', title: 'Save', controls: ['save-btn', 'download-btn'], key: 'Mod-s' },
+  { id: 'download', title: 'Download output', controls: ['download-btn'] },
+  { id: 'newDocument', title: 'New document', controls: ['doc-new-btn'] },
+  { id: 'documents', title: 'Documents', controls: ['workspace-btn'] },
+  { id: 'share', title: 'Share as link…', controls: ['share-btn'] },
+  { id: 'formatOptions', title: 'Formatting options…', controls: ['format-options-btn'] },
+  { id: 'secrets', title: 'Secrets…', controls: ['secrets-btn'] },
+  { id: 'lenient', title: 'Toggle JSON5', controls: ['lenient-toggle'] },
+  { id: 'lossless', title: 'Toggle lossless numbers', controls: ['lossless-toggle'] },
+  { id: 'ndjson', title: 'Toggle NDJSON', controls: ['ndjson-toggle'] },
+  { id: 'repair', title: 'Repair JSON', controls: ['repair-btn'] },
+  { id: 'expand', title: 'Expand embedded documents', controls: ['expand-btn'] },
+  { id: 'restringify', title: 'Re-stringify expanded values', controls: ['restringify-btn'] },
+  { id: 'query', title: 'Run query', controls: ['query-run-btn'] },
+  { id: 'schema', title: 'Validate against a JSON Schema', controls: ['schema-btn'] },
+  { id: 'tree', title: 'Toggle tree view', controls: ['tree-btn'] },
+  { id: 'outline', title: 'Document outline', controls: ['outline-btn'] },
+  { id: 'lint', title: 'Lint problems and rules', controls: ['lint-btn'] },
+];
+
+const MODIFIER_KEYS = new Set(['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock']);
+const MAC_KEY_SYMBOLS = { Mod: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧', Enter: '↩' };
+
+// A keydown in the same notation, modifiers in a fixed order ("Alt-Mod-Shift-p"). Letters
+// and digits come from the physical key, since Alt and Shift change `e.key`.
+function eventKeyName(e) {
+  let name = e.key;
+  if (/^Key[A-Z]$/.test(e.code)) name = e.code.slice(3).toLowerCase();
+  else if (/^Digit\d$/.test(e.code)) name = e.code.slice(5);
+  else if (name === ' ') name = 'Space';
+  else if (name.length === 1) name = name.toLowerCase();
+  const mods = [];
+  if (e.altKey) mods.push('Alt');
+  if (IS_MAC ? e.metaKey : e.ctrlKey) mods.push('Mod');
+  if (IS_MAC ? e.ctrlKey : e.metaKey) mods.push(IS_MAC ? 'Ctrl' : 'Meta');
+  if (e.shiftKey) mods.push('Shift');
+  return [...mods, name].join('-');
+}
+
+// "Mod-Shift-m" as this platform writes it: ⌘⇧M on macOS, Ctrl+Shift+M elsewhere
+function formatKeyName(key) {
+  const parts = key.split(/-(?!$)/).map(part => (part.length === 1 ? part.toUpperCase() : part));
+  if (IS_MAC) return parts.map(part => MAC_KEY_SYMBOLS[part] ?? part).join('');
+  return parts.map(part => (part === 'Mod' ? 'Ctrl' : part)).join('+');
+}
+
+// Scores `query` as a subsequence of `text`, preferring runs of adjacent characters and word
+// starts: `{ score, indices }`, or null when some character is missing
+function fuzzyMatch(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, '');
+  const t = text.toLowerCase();
+  const indices = [];
+  let score = 0;
+  let from = 0;
+  const wordStart = i => i === 0 || /[\s:./(-]/.test(t[i - 1]);
+  for (const ch of q) {
+    let i = indices.length && t[from] === ch ? from : -1;
+    if (i !== -1) {
+      score += 3;
+    } else {
+      for (let j = t.indexOf(ch, from); j !== -1; j = t.indexOf(ch, j + 1)) {
+        if (wordStart(j)) {
+          i = j;
+          break;
+        }
+      }
+      if (i !== -1) score += 2;
+      else if ((i = t.indexOf(ch, from)) !== -1) score += 1;
+      else return null;
+    }
+    indices.push(i);
+    from = i + 1;
+  }
+  return { score: score - t.length / 100, indices };
+}
+
+// The palette (Ctrl/Cmd+Shift+P) lists the active tab's commands, then app-wide ones, then
+// every other tab's, which switch tabs first. Shortcuts run a command on the active tab and
+// can be rebound from the palette; only changes from the defaults are stored.
+function initCommands(activateTab) {
+  const dialog = document.getElementById('command-palette');
+  const search = dialog.querySelector('.command-search');
+  const list = dialog.querySelector('.command-list');
+  const hint = dialog.querySelector('.command-hint');
+  const openBtn = document.getElementById('command-palette-btn');
+  const tabs = [...document.querySelectorAll('.tab')].map(tab => ({
+    mode: tab.dataset.mode,
+    name: tab.textContent.replace(tab.querySelector('.tab-icon').textContent, '').trim(),
+  }));
+
+  let lastEditor = null;
+  document.addEventListener('focusin', (e) => {
+    const el = e.target.closest?.('.cm-editor');
+    if (el) lastEditor = EditorView.findFromDOM(el);
+  });
+
+  // The editor an undo applies to: the last one focused on the active tab, else its first
+  function activeEditor() {
+    const panel = document.querySelector('.panel.active');
+    if (lastEditor && panel?.contains(lastEditor.dom)) return lastEditor;
+    const el = panel?.querySelector('.cm-editor');
+    return el ? EditorView.findFromDOM(el) : null;
+  }
+
+  function runOnEditor(command) {
+    const view = activeEditor();
+    if (!view) return;
+    command(view);
+    view.focus();
+  }
+
+  const paletteCommand = { id: 'palette', title: 'Show all commands', key: 'Mod-Shift-p', run: () => open('run') };
+  const appCommands = [
+    paletteCommand,
+    { id: 'shortcuts', title: 'Keyboard shortcuts…', run: () => open('keys') },
+    { id: 'theme', title: 'Toggle theme', run: () => document.getElementById('theme-toggle').click() },
+    { id: 'undo', title: 'Undo', run: () => runOnEditor(undo) },
+    { id: 'redo', title: 'Redo', run: () => runOnEditor(redo) },
+    ...tabs.map(({ mode, name }, i) => ({
+      id: `tab-${mode}`,
+      title: `Go to ${name}`,
+      key: i < 9 ? `Alt-${i + 1}` : undefined,
+      run: () => activateTab(mode),
+    })),
+  ];
+  const panelTabs = new Map(PANEL_COMMANDS.map(command => [
+    command,
+    tabs.filter(({ mode }) => command.controls.some(c => document.getElementById(`${mode}-${c}`))).map(t => t.mode),
+  ]));
+  const commands = [...appCommands, ...PANEL_COMMANDS.filter(command => panelTabs.get(command).length)];
+
+  let overrides = {};
+  try {
+    overrides = JSON.parse(localStorage.getItem(KEYS.shortcuts)) ?? {};
+  } catch { }
+
+  const keyOf = command => (Object.hasOwn(overrides, command.id) ? overrides[command.id] : command.key ?? '');
+  const activeTab = () => document.querySelector('.tab.active')?.dataset.mode;
+  const tabsOf = command => (command.run ? tabs.map(t => t.mode) : panelTabs.get(command));
+
+  function control(command, tab) {
+    return command.controls
+      .map(c => document.getElementById(`${tab}-${c}`))
+      .find(el => el && !el.hidden && !el.disabled);
+  }
+
+  function available(command, tab) {
+    return command.run ? true : Boolean(control(command, tab));
+  }
+
+  function run(command, tab) {
+    if (command.run) {
+      command.run();
+      return;
+    }
+    if (tab !== activeTab()) activateTab(tab);
+    control(command, tab)?.click();
+  }
+
+  function updateTitle() {
+    const key = keyOf(paletteCommand);
+    openBtn.title = `Commands and shortcuts${key ? ` (${formatKeyName(key)})` : ''}`;
+  }
+
+  function bind(command, key) {
+    if (key) {
+      const scope = tabsOf(command);
+      for (const other of commands) {
+        if (other === command || keyOf(other) !== key || !tabsOf(other).some(t => scope.includes(t))) continue;
+        overrides[other.id] = '';
+        showToast(`${formatKeyName(key)} removed from "${other.title}"`);
+      }
+    }
+    overrides[command.id] = key;
+    for (const c of commands) {
+      if (overrides[c.id] === (c.key ?? '')) delete overrides[c.id];
+    }
+    localStorage.setItem(KEYS.shortcuts, JSON.stringify(overrides));
+    updateTitle();
+  }
+
+  window.addEventListener('keydown', (e) => {
+    if (MODIFIER_KEYS.has(e.key) || document.querySelector('dialog[open]')) return;
+    const key = eventKeyName(e);
+    const tab = activeTab();
+    const command = commands.find(c => keyOf(c) === key && available(c, tab));
+    if (!command) return;
+    // Capture phase, so these win over the editors' own bindings (Mod-Enter, Mod-Shift-m)
+    e.preventDefault();
+    e.stopPropagation();
+    run(command, tab);
+  }, true);
+
+  // ----- Palette -----
+
+  let mode = 'run'; // 'run' lists actions per tab; 'keys' lists each command once to rebind
+  let items = [];
+  let selected = 0;
+  let recording = null;
+
+  const HINTS = {
+    run: '↑↓ to choose · Enter to run · Click a shortcut to change it',
+    keys: '↑↓ to choose · Enter or click to change a shortcut',
+    recording: 'Press the new shortcut · Backspace removes it · Esc cancels',
+  };
+
+  function entries() {
+    const tab = activeTab();
+    const name = mode => tabs.find(t => t.mode === mode).name;
+    if (mode === 'keys') {
+      // Only name the tabs of commands that not every formatting panel has
+      const panels = panelTabs.get(PANEL_COMMANDS[0]).length;
+      return commands.map((command) => {
+        const scope = tabsOf(command);
+        const where = command.run || scope.length >= panels ? '' : scope.map(name).join(', ');
+        return { command, tab, label: command.title, where, showKey: true };
+      });
+    }
+    const panelEntries = t => PANEL_COMMANDS
+      .filter(command => available(command, t))
+      .map(command => ({ command, tab: t, label: `${name(t)}: ${command.title}`, showKey: t === tab }));
+    return [
+      ...panelEntries(tab),
+      ...appCommands.map(command => ({ command, tab, label: command.title, showKey: true })),
+      ...tabs.filter(t => t.mode !== tab).flatMap(t => panelEntries(t.mode)),
+    ];
+  }
+
+  function highlighted(label, indices) {
+    const span = document.createElement('span');
+    span.className = 'command-label';
+    const hits = new Set(indices);
+    let chunk = '';
+    let marked = false;
+    const flush = () => {
+      if (!chunk) return;
+      const node = marked ? document.createElement('mark') : document.createTextNode(chunk);
+      if (marked) node.textContent = chunk;
+      span.appendChild(node);
+      chunk = '';
+    };
+    [...label].forEach((ch, i) => {
+      if (hits.has(i) !== marked) {
+        flush();
+        marked = hits.has(i);
+      }
+      chunk += ch;
+    });
+    flush();
+    return span;
+  }
+
+  function render() {
+    const query = search.value.trim();
+    items = entries()
+      .map(entry => ({ ...entry, match: fuzzyMatch(query, entry.label) }))
+      .filter(entry => entry.match);
+    if (query) items.sort((a, b) => b.match.score - a.match.score);
+    selected = Math.min(selected, Math.max(items.length - 1, 0));
+
+    list.innerHTML = '';
+    if (!items.length) {
+      const empty = document.createElement('li');
+      empty.className = 'command-empty';
+      empty.textContent = 'No matching commands';
+      list.appendChild(empty);
+    }
+    items.forEach((entry, i) => {
+      const item = document.createElement('li');
+      item.className = 'command-item';
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', String(i === selected));
+      item.dataset.index = i;
+      item.appendChild(highlighted(entry.label, entry.match.indices));
+      if (entry.where) {
+        const where = document.createElement('span');
+        where.className = 'command-where';
+        where.textContent = entry.where;
+        item.appendChild(where);
+      }
+      if (entry.showKey) {
+        const key = document.createElement('button');
+        key.type = 'button';
+        key.className = 'command-key';
+        key.dataset.action = 'rebind';
+        const binding = keyOf(entry.command);
+        if (recording === entry.command) {
+          key.classList.add('recording');
+          key.textContent = 'Press keys…';
+        } else {
+          key.textContent = binding ? formatKeyName(binding) : (mode === 'keys' ? 'Add' : '');
+          key.classList.toggle('unbound', !binding);
+        }
+        key.title = 'Change shortcut';
+        item.appendChild(key);
+      }
+      list.appendChild(item);
+    });
+    hint.textContent = HINTS[recording ? 'recording' : mode];
+    list.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: 'nearest' });
+  }
+
+  function open(as) {
+    mode = as;
+    recording = null;
+    selected = 0;
+    search.value = '';
+    search.placeholder = as === 'keys' ? 'Search shortcuts' : 'Search commands';
+    render();
+    if (!dialog.open) dialog.showModal();
+    search.focus();
+  }
+
+  function choose(index) {
+    const entry = items[index];
+    if (!entry) return;
+    if (mode === 'keys') {
+      recording = entry.command;
+      render();
+      return;
+    }
+    dialog.close();
+    run(entry.command, entry.tab);
+  }
+
+  function record(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    if (MODIFIER_KEYS.has(e.key)) return;
+    const command = recording;
+    if (e.key === 'Escape') {
+      recording = null;
+    } else if (e.key === 'Backspace' || e.key === 'Delete') {
+      bind(command, '');
+      recording = null;
+    } else {
+      const key = eventKeyName(e);
+      if (!/^(?:Alt|Mod|Ctrl|Meta)-/.test(key) && !/^(?:Shift-)?F\d+$/.test(key)) {
+        hint.textContent = `Shortcuts need ${IS_MAC ? '⌘, ⌥ or ⌃' : 'Ctrl or Alt'} (or a function key)`;
+        return;
+      }
+      bind(command, key);
+      recording = null;
+    }
+    render();
+  }
+
+  dialog.addEventListener('keydown', (e) => {
+    if (recording) {
+      record(e);
+      return;
+    }
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!items.length) return;
+      selected = (selected + (e.key === 'ArrowDown' ? 1 : items.length - 1)) % items.length;
+      render();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      choose(selected);
+    }
+  });
+
+  search.addEventListener('input', () => {
+    selected = 0;
+    render();
+  });
+
+  list.addEventListener('click', (e) => {
+    const item = e.target.closest('.command-item');
+    if (!item) return;
+    const index = Number(item.dataset.index);
+    if (e.target.closest('[data-action="rebind"]')) {
+      selected = index;
+      recording = items[index].command;
+      render();
+      search.focus();
+      return;
+    }
+    choose(index);
+  });
+
+  dialog.querySelector('[data-action="reset"]').addEventListener('click', () => {
+    overrides = {};
+    localStorage.removeItem(KEYS.shortcuts);
+    recording = null;
+    updateTitle();
+    render();
+    showToast('Shortcuts reset to defaults');
+  });
+
+  // Clicks inside mustn't reach the document, which closes popovers a command may open
+  dialog.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (e.target === dialog) dialog.close(); // the backdrop
+  });
+
+  openBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    open('run');
+  });
+  updateTitle();
 }
 
 
@@ -555,7 +4589,16 @@ function setFavicon() {
 document.addEventListener('DOMContentLoaded', () => {
   setFavicon();
   initTheme();
-  initTabs();
-  initJSON();
-  initYAML();
+  const activateTab = initTabs();
+  const panels = {
+    json: initJSON(),
+    yaml: initYAML(),
+    toml: initDataPanel('toml'),
+    xml: initDataPanel('xml'),
+    csv: initDataPanel('csv'),
+    env: initDataPanel('env'),
+  };
+  initCompare();
+  initFileOpen(activateTab, panels);
+  initCommands(activateTab);
 });
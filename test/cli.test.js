@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const BIN = new URL('../bin/devformat.js', import.meta.url).pathname;
+let dir;
+
+function devformat(args, input) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [BIN, ...args], { cwd: dir, input, encoding: 'utf8' });
+  return { status, stdout, stderr };
+}
+
+before(() => {
+  dir = mkdtempSync(path.join(tmpdir(), 'devformat-'));
+  const files = {
+    'ok.json': '{\n  "a": 1\n}\n',
+    'messy.json': '{"a":1}\n',
+    'broken.json': '{"a":1,}\n',
+    'ok.yaml': 'a: 1\n',
+    'ok.ndjson': '{"a":1}\n{"b":2}\n',
+    'broken.jsonl': '{"a":1}\n{b\n',
+    'stream.yaml': 'a: 1\n---\nb: [\n',
+  };
+  for (const [name, text] of Object.entries(files)) writeFileSync(path.join(dir, name), text);
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test('check exits 0 when every file is formatted', () => {
+  const { status, stderr } = devformat(['check', 'ok.json', 'ok.yaml', 'ok.ndjson']);
+  assert.equal(status, 0);
+  assert.equal(stderr, 'All 3 files formatted\n');
+});
+
+test('check exits 1 and counts the files that need formatting', () => {
+  const { status, stderr } = devformat(['check', 'ok.json', 'messy.json']);
+  assert.equal(status, 1);
+  assert.match(stderr, /^messy\.json: not formatted$/m);
+  assert.match(stderr, /^1 of 2 files needs formatting$/m);
+});
+
+test('check exits 2 on invalid input', () => {
+  assert.equal(devformat(['check', 'broken.json']).status, 2);
+  assert.equal(devformat(['check', 'broken.jsonl']).status, 2);
+  assert.equal(devformat(['check', 'stream.yaml']).status, 2);
+});
+
+test('a missing file is reported and the rest still checked', () => {
+  const { status, stderr } = devformat(['check', 'missing.json', 'messy.json']);
+  assert.equal(status, 2);
+  assert.match(stderr, /^missing\.json: No such file$/m);
+  assert.match(stderr, /^messy\.json: not formatted$/m);
+});
+
+test('numeric flags must be numbers', () => {
+  const { status, stderr } = devformat(['fmt', '--indent', 'abc', 'ok.json']);
+  assert.equal(status, 2);
+  assert.match(stderr, /--indent needs a whole number/);
+  assert.equal(devformat(['fmt', '--line-width', 'x', 'ok.yaml']).status, 2);
+});
+
+test('stdin is sniffed as JSON or YAML', () => {
+  const yaml = devformat(['fmt'], '{a: 1}');
+  assert.equal(yaml.status, 0);
+  assert.equal(yaml.stdout, '{ a: 1 }');
+  assert.equal(devformat(['fmt'], '{"a":1}\n').stdout, '{\n  "a": 1\n}\n');
+});
+
+test('precision warnings name the --lossless flag', () => {
+  const { stderr } = devformat(['fmt'], '{"a": 12345678901234567890}');
+  assert.match(stderr, /pass --lossless to keep them/);
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  format, convert, validate, compare, detectFormat, runFormatJob, lintYAML, fixYAML, normalizeLintConfig,
+  findSecrets, redactSecrets, moveDocument, removeDocument, expandEmbedded, FormatError,
+} from '../formatter.js';
+
+test('detectFormat reads strict JSON as JSON and everything else as YAML', () => {
+  assert.equal(detectFormat('{"a": 1}'), 'json');
+  assert.equal(detectFormat('[1, 2]'), 'json');
+  assert.equal(detectFormat('a: 1'), 'yaml');
+  assert.equal(detectFormat('{a: 1}'), 'yaml');
+  assert.equal(detectFormat('[a, b]'), 'yaml');
+});
+
+test('detectFormat keeps broken JSON as JSON so the error points at it', () => {
+  assert.equal(detectFormat('{"a":1,}'), 'json');
+  const result = validate('{"a":1,}');
+  assert.equal(result.valid, false);
+  assert.equal(result.format, 'json');
+});
+
+test('format pretty-prints JSON and flow YAML', () => {
+  assert.equal(format('{"a":[1,2]}').output, '{\n  "a": [\n    1,\n    2\n  ]\n}');
+  const yaml = format('{a: 1}');
+  assert.equal(yaml.format, 'yaml');
+  assert.equal(compare(yaml.output, 'a: 1').diffs.length, 0);
+});
+
+test('compare treats flow and block YAML as the same data', () => {
+  assert.equal(compare('{a: 1}', 'a: 1').diffs.length, 0);
+  assert.equal(compare('{"a": 1}', 'a: 2').diffs.length, 1);
+});
+
+test('format and validate fail on a YAML stream with a broken document', () => {
+  const stream = 'a: 1\n---\nb: [\n---\nc: 3\n';
+  assert.throws(() => format(stream, { format: 'yaml' }), (err) => {
+    assert.ok(err instanceof FormatError);
+    assert.equal(err.documentErrors.length, 1);
+    assert.equal(err.documentErrors[0].document, 2);
+    assert.match(err.location, /^Document 2/);
+    return true;
+  });
+  assert.equal(validate(stream, { format: 'yaml' }).valid, false);
+});
+
+test('NDJSON formats record by record and fails on an invalid line', () => {
+  assert.equal(format('{ "a": 1 }\n{"b": 2}\n', { ndjson: true }).output, '{"a":1}\n{"b":2}');
+  assert.throws(() => format('{"a":1}\n{b\n', { ndjson: true }), (err) => err.documentErrors[0].line === 2);
+});
+
+test('NDJSON warns about rounded numbers per record unless Lossless is on', () => {
+  const text = '{"ok":1}\n{"id":12345678901234567890}\n';
+  assert.deepEqual(format(text, { ndjson: true }).warnings, [
+    '1 number lost precision — turn on Lossless to keep them',
+    'Line 2: 12345678901234567890 → 12345678901234567000',
+  ]);
+  assert.equal(format(text, { ndjson: true, exact: true }).output, '{"ok":1}\n{"id":12345678901234567890}');
+});
+
+test('JSON5 Infinity and NaN are written as null with a warning', () => {
+  const { output, warnings } = format('{a: Infinity, b: [NaN]}', { format: 'json', lenient: true });
+  assert.equal(output, '{\n  "a": null,\n  "b": [\n    null\n  ]\n}');
+  assert.deepEqual(warnings, ['Infinity at a has no JSON equivalent → null', 'NaN at b[0] has no JSON equivalent → null']);
+});
+
+test('sorting keys keeps a __proto__ key', () => {
+  const { output } = format('{"b":1,"__proto__":{"x":1}}', { options: { sortKeys: 'natural', indent: 0 } });
+  assert.match(output, /"__proto__"/);
+  assert.ok(output.indexOf('__proto__') < output.indexOf('"b"'));
+});
+
+test('TOML integers beyond 2^53 convert exactly', () => {
+  const toml = 'big = 9223372036854775807\n';
+  assert.equal(validate(toml, { format: 'toml' }).valid, true);
+  assert.equal(convert(toml, 'json', { from: 'toml' }).output, '{\n  "big": 9223372036854775807\n}');
+  assert.equal(convert(toml, 'yaml', { from: 'toml' }).output, 'big: 9223372036854775807');
+});
+
+test('jq queries can use empty', () => {
+  const run = expr => runFormatJob({ format: 'json', text: '[{"name":"a"},{"id":2}]', mode: 'query', query: { lang: 'jq', expr } });
+  assert.equal(run('.[] | .name? // empty').output, '"a"');
+  assert.match(run('empty(1)').error.message, /^empty takes 0 arguments/);
+});
+
+test('YAML lint leaves block scalar content and octal quoting out of Fix all', () => {
+  const text = 'a: 1  \nb: |\n  keep  \nc: 0755\n';
+  const config = normalizeLintConfig({ 'octal-values': { level: 'warning' }, 'document-start': { level: 'off' } });
+  const problems = lintYAML(text, config);
+  const block = problems.find(p => p.rule === 'trailing-spaces' && p.line === 3);
+  assert.equal(block.fix, undefined);
+  assert.equal(block.suggestion.label, 'Trim');
+  assert.equal(problems.find(p => p.rule === 'octal-values').suggestion.insert, '"0755"');
+  assert.equal(fixYAML(text, config).text, 'a: 1\nb: |\n  keep  \nc: 0755\n');
+});
+
+test('secrets in block scalars and quoted values with escapes are redacted', () => {
+  const text = "db:\n  password: |\n    hunter2hunter2\n  user: bob\napi_key: 'it''s a secret'\n";
+  assert.equal(findSecrets(text).length, 2);
+  assert.equal(redactSecrets(text), "db:\n  password: |\n    REDACTED\n  user: bob\napi_key: 'REDACTED'\n");
+});
+
+test('moving or removing the first document keeps directives at the top of the stream', () => {
+  const stream = '%YAML 1.2\n---\na: 1\n---\nb: 2\n';
+  assert.equal(moveDocument(stream, 0, 1), '%YAML 1.2\n---\nb: 2\n---\na: 1\n');
+  assert.equal(removeDocument(stream, 0), '%YAML 1.2\n---\nb: 2\n');
+});
+
+test('escaping keeps surrounding whitespace', () => {
+  assert.equal(runFormatJob({ format: 'json', text: '  hi\n', mode: 'escape' }).output, '"  hi\\n"');
+});
+
+test('short base64 strings holding JSON are expanded', () => {
+  const { value } = expandEmbedded({ empty: 'e30=', small: 'eyJhIjoxfQ==', word: 'abcd' });
+  assert.deepEqual(value, { empty: {}, small: { a: 1 }, word: 'abcd' });
+});